@@ -0,0 +1,328 @@
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+} from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Vector3 } from 'three';
+
+// ============================================================================
+// WINGMAN AUDIO
+// ============================================================================
+// Optional Web Audio playback for the simulation's 'audio' events. Place
+// <WingmanAudio> inside the Canvas, around (or above) WingmanSupport: the
+// camera is the listener and every cue is panned from its world position.
+// Cues without a sample in `sounds` use the small synthesized defaults below.
+const WingmanAudioContext = createContext(null);
+
+const AUDIO_DEFAULTS = {
+  REF_DISTANCE: 10,
+  MAX_DISTANCE: 400,
+  ROLLOFF: 1,
+  MAX_VOICES: 24,
+};
+
+// ============================================================================
+// SYNTHESIZED CUES
+// ============================================================================
+// Each synth schedules its nodes on `output` starting at `when` and returns
+// the duration in seconds.
+const noiseBuffers = new WeakMap();
+
+function getNoiseBuffer(ctx) {
+  let buffer = noiseBuffers.get(ctx);
+  if (!buffer) {
+    buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    noiseBuffers.set(ctx, buffer);
+  }
+  return buffer;
+}
+
+function envelope(ctx, output, when, attack, decay, peak) {
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0.0001, when);
+  gain.gain.exponentialRampToValueAtTime(peak, when + attack);
+  gain.gain.exponentialRampToValueAtTime(0.0001, when + attack + decay);
+  gain.connect(output);
+  return gain;
+}
+
+function noise(ctx, output, when, duration, filterType, from, to, peak) {
+  const source = ctx.createBufferSource();
+  source.buffer = getNoiseBuffer(ctx);
+  source.loop = true;
+
+  const filter = ctx.createBiquadFilter();
+  filter.type = filterType;
+  filter.frequency.setValueAtTime(from, when);
+  filter.frequency.exponentialRampToValueAtTime(to, when + duration);
+
+  source.connect(filter);
+  filter.connect(envelope(ctx, output, when, Math.min(0.01, duration / 4), duration, peak));
+  source.start(when);
+  source.stop(when + duration + 0.05);
+}
+
+function tone(ctx, output, when, duration, wave, from, to, peak) {
+  const osc = ctx.createOscillator();
+  osc.type = wave;
+  osc.frequency.setValueAtTime(from, when);
+  osc.frequency.exponentialRampToValueAtTime(to, when + duration);
+  osc.connect(envelope(ctx, output, when, Math.min(0.01, duration / 4), duration, peak));
+  osc.start(when);
+  osc.stop(when + duration + 0.05);
+}
+
+const CUE_SYNTHS = {
+  flyby: (ctx, out, t) => {
+    noise(ctx, out, t, 1.2, 'bandpass', 300, 2400, 0.6);
+    tone(ctx, out, t, 1.2, 'sawtooth', 90, 140, 0.08);
+    return 1.2;
+  },
+  'gatling-fire': (ctx, out, t) => {
+    noise(ctx, out, t, 0.05, 'highpass', 1800, 900, 0.4);
+    return 0.05;
+  },
+  'beam-lock': (ctx, out, t) => {
+    tone(ctx, out, t, 0.12, 'sine', 880, 1320, 0.25);
+    return 0.12;
+  },
+  'beam-release': (ctx, out, t) => {
+    tone(ctx, out, t, 0.15, 'sine', 1320, 440, 0.2);
+    return 0.15;
+  },
+  'lightning-hop': (ctx, out, t) => {
+    noise(ctx, out, t, 0.08, 'bandpass', 2500, 1200, 0.5);
+    tone(ctx, out, t, 0.06, 'square', 160, 60, 0.1);
+    return 0.08;
+  },
+  'missile-launch': (ctx, out, t) => {
+    noise(ctx, out, t, 0.3, 'lowpass', 400, 3000, 0.4);
+    return 0.3;
+  },
+  'missile-impact': (ctx, out, t) => {
+    noise(ctx, out, t, 0.25, 'lowpass', 2000, 300, 0.5);
+    return 0.25;
+  },
+  explosion: (ctx, out, t) => {
+    noise(ctx, out, t, 0.5, 'lowpass', 900, 80, 0.8);
+    tone(ctx, out, t, 0.4, 'sine', 90, 35, 0.5);
+    return 0.5;
+  },
+  escape: (ctx, out, t) => {
+    tone(ctx, out, t, 0.8, 'sawtooth', 180, 600, 0.08);
+    noise(ctx, out, t, 0.8, 'bandpass', 600, 3000, 0.3);
+    return 0.8;
+  },
+};
+
+// ============================================================================
+// SAMPLES
+// ============================================================================
+// `sounds[cue]` may be an AudioBuffer or a URL; URLs are fetched and decoded
+// once per audio context.
+async function loadSample(ctx, cache, source) {
+  if (typeof source !== 'string') return source;
+  if (!cache.has(source)) {
+    cache.set(source, fetch(source)
+      .then(response => response.arrayBuffer())
+      .then(data => ctx.decodeAudioData(data))
+      .catch(() => null));
+  }
+  return cache.get(source);
+}
+
+function playSample(ctx, output, when, buffer) {
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.connect(output);
+  source.start(when);
+  return buffer.duration;
+}
+
+function setAudioParam(param, value, when) {
+  if (param) param.setValueAtTime(value, when);
+}
+
+// The AudioContext is created on first use; browsers keep it suspended until
+// a user gesture, so resume on the next one
+function getEngine(engine) {
+  if (engine.current) return engine.current;
+  const AudioContextClass = typeof window !== 'undefined'
+    && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContextClass) return null;
+
+  const ctx = new AudioContextClass();
+  const master = ctx.createGain();
+  master.connect(ctx.destination);
+
+  const resume = () => {
+    if (ctx.state === 'suspended') ctx.resume();
+  };
+  window.addEventListener('pointerdown', resume);
+  window.addEventListener('keydown', resume);
+
+  engine.current = {
+    ctx,
+    master,
+    voices: 0,
+    samples: new Map(),
+    dispose: () => {
+      window.removeEventListener('pointerdown', resume);
+      window.removeEventListener('keydown', resume);
+      ctx.close();
+    },
+  };
+  return engine.current;
+}
+
+// ============================================================================
+// PROVIDER
+// ============================================================================
+function WingmanAudio({
+  children,
+  volume = 1,
+  muted = false,
+  sounds = {},
+  cueVolumes = {},
+  spatial = true,
+  maxVoices = AUDIO_DEFAULTS.MAX_VOICES,
+}) {
+  const camera = useThree(state => state.camera);
+  const engine = useRef(null);
+  const scratch = useRef({ position: new Vector3(), forward: new Vector3(), up: new Vector3() });
+
+  const latest = useRef({});
+  latest.current = { volume, muted, sounds, cueVolumes, spatial, maxVoices };
+
+  useEffect(() => () => {
+    if (engine.current) engine.current.dispose();
+    engine.current = null;
+  }, []);
+
+  // Master volume
+  useEffect(() => {
+    if (!engine.current) return;
+    const { ctx, master } = engine.current;
+    master.gain.setValueAtTime(muted ? 0 : volume, ctx.currentTime);
+  }, [volume, muted]);
+
+  // The camera is the listener
+  useFrame(() => {
+    if (!engine.current || !camera) return;
+    const { ctx } = engine.current;
+    const { listener, currentTime } = ctx;
+    const { position, forward, up } = scratch.current;
+
+    camera.getWorldPosition(position);
+    camera.getWorldDirection(forward);
+    up.set(0, 1, 0).applyQuaternion(camera.quaternion);
+
+    if (listener.positionX) {
+      setAudioParam(listener.positionX, position.x, currentTime);
+      setAudioParam(listener.positionY, position.y, currentTime);
+      setAudioParam(listener.positionZ, position.z, currentTime);
+      setAudioParam(listener.forwardX, forward.x, currentTime);
+      setAudioParam(listener.forwardY, forward.y, currentTime);
+      setAudioParam(listener.forwardZ, forward.z, currentTime);
+      setAudioParam(listener.upX, up.x, currentTime);
+      setAudioParam(listener.upY, up.y, currentTime);
+      setAudioParam(listener.upZ, up.z, currentTime);
+    } else {
+      listener.setPosition(position.x, position.y, position.z);
+      listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+    }
+  });
+
+  const api = useMemo(() => ({
+    // Play one 'audio' event from the simulation
+    play: async (event) => {
+      const options = latest.current;
+      if (options.muted) return;
+
+      const current = getEngine(engine);
+      if (!current || current.voices >= options.maxVoices) return;
+      const { ctx, master } = current;
+      if (ctx.state === 'suspended') ctx.resume();
+
+      // Take the voice before the sample loads, so cues that arrive
+      // meanwhile count against `maxVoices` too
+      current.voices += 1;
+      const release = () => {
+        current.voices -= 1;
+      };
+
+      const sample = options.sounds[event.cue]
+        ? await loadSample(ctx, current.samples, options.sounds[event.cue])
+        : null;
+      const synth = CUE_SYNTHS[event.cue];
+      if (!sample && !synth) {
+        release();
+        return;
+      }
+
+      const when = ctx.currentTime;
+      master.gain.setValueAtTime(options.volume, when);
+
+      // cue gain -> panner -> master
+      const cueGain = ctx.createGain();
+      cueGain.gain.value = options.cueVolumes[event.cue] == null ? 1 : options.cueVolumes[event.cue];
+      const nodes = [cueGain];
+
+      if (options.spatial && event.position) {
+        const panner = ctx.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = AUDIO_DEFAULTS.REF_DISTANCE;
+        panner.maxDistance = AUDIO_DEFAULTS.MAX_DISTANCE;
+        panner.rolloffFactor = AUDIO_DEFAULTS.ROLLOFF;
+        const [x, y, z] = event.position;
+        if (panner.positionX) {
+          setAudioParam(panner.positionX, x, when);
+          setAudioParam(panner.positionY, y, when);
+          setAudioParam(panner.positionZ, z, when);
+        } else {
+          panner.setPosition(x, y, z);
+        }
+        cueGain.connect(panner);
+        panner.connect(master);
+        nodes.push(panner);
+      } else {
+        cueGain.connect(master);
+      }
+
+      const duration = sample
+        ? playSample(ctx, cueGain, when, sample)
+        : synth(ctx, cueGain, when);
+
+      // Release the voice (and its nodes) once the cue has played
+      setTimeout(() => {
+        release();
+        nodes.forEach(node => node.disconnect());
+      }, (duration + 0.1) * 1000);
+    },
+  }), []);
+
+  return (
+    <WingmanAudioContext.Provider value={api}>
+      {children}
+    </WingmanAudioContext.Provider>
+  );
+}
+
+// The nearest WingmanAudio, or null when there is none
+function useWingmanAudio() {
+  return useContext(WingmanAudioContext);
+}
+
+export {
+  WingmanAudio,
+  WingmanAudioContext,
+  useWingmanAudio,
+  CUE_SYNTHS,
+  AUDIO_DEFAULTS,
+};
@@ -0,0 +1,366 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Matrix4, Quaternion, Vector3 } from 'three';
+import { createRandom } from './WingmanSimulation';
+
+// ============================================================================
+// CAMERA DIRECTOR
+// ============================================================================
+// Optional cinematic shots for the Team Special, driven by the simulation's
+// phase events (the single special and the combo alike):
+//   approach   'dolly'  slow-mo push toward the incoming wingman
+//   attack     'frame'  pull back until the targets and the ship are in view
+//   escape     'blend'  ease back to the game camera
+//   explosion  'shake'  screen shake, weaker with distance
+// The director never moves the camera object. It swaps the camera's world
+// matrix for the render only and puts the game's back afterwards, so camera
+// rigs, controls and the audio listener keep seeing the game camera.
+const CAMERA_DEFAULTS = {
+  DOLLY_DURATION: 1200,    // ms to push in
+  DOLLY_DISTANCE: 0.3,     // fraction of the way from the game camera to the ship
+  SLOW_MO: 0.3,            // special time scale at the start of the dolly
+  SLOW_MO_DURATION: 800,   // real ms until it is back to 1
+  FRAME_DURATION: 500,
+  FRAME_WEIGHT: 0.7,       // how far the framing pulls away from the game camera
+  FRAME_PADDING: 1.4,
+  SHAKE_INTENSITY: 0.6,    // world units at point blank
+  SHAKE_DURATION: 350,
+  SHAKE_RANGE: 80,         // explosions further away than this don't shake
+  BLEND_DURATION: 900,
+};
+
+const PHASE_SHOTS = {
+  approach: 'dolly',
+  attack: 'frame',
+  escape: 'blend',
+  downed: 'blend',
+  idle: 'blend',
+};
+
+function smoothstep(t) {
+  return t * t * (3 - 2 * t);
+}
+
+// ============================================================================
+// SHOTS
+// ============================================================================
+// A shot is plain data handed to `onCameraShot` before it starts:
+//   { type, phase, wingmanId, combo, duration, weight, ... }
+// plus `distance`, `timeScale` and `slowMoDuration` for a dolly, `padding`
+// for a frame and `position`, `intensity` for a shake. The callback returns
+// false to veto the shot, an object to override fields (including fixed
+// `position` / `lookAt` arrays) or nothing to take it as is.
+function createShot(type, { phase, wingmanId = null, combo = false }, rules) {
+  const base = { type, phase, wingmanId, combo };
+  switch (type) {
+    case 'dolly': {
+      let timeScale = typeof rules.slowMo === 'number' ? rules.slowMo : CAMERA_DEFAULTS.SLOW_MO;
+      if (rules.slowMo === false) timeScale = 1;
+      return {
+        ...base,
+        duration: CAMERA_DEFAULTS.DOLLY_DURATION,
+        weight: 1,
+        distance: CAMERA_DEFAULTS.DOLLY_DISTANCE,
+        timeScale,
+        slowMoDuration: CAMERA_DEFAULTS.SLOW_MO_DURATION,
+      };
+    }
+    case 'frame':
+      return {
+        ...base,
+        duration: CAMERA_DEFAULTS.FRAME_DURATION,
+        weight: CAMERA_DEFAULTS.FRAME_WEIGHT,
+        padding: CAMERA_DEFAULTS.FRAME_PADDING,
+      };
+    default:
+      return { ...base, duration: CAMERA_DEFAULTS.BLEND_DURATION, weight: 0 };
+  }
+}
+
+// The shot as the game wants it, or null when it was vetoed. Under reduced
+// motion there is no shake and no slow-mo, whatever the rules or
+// `onCameraShot` ask for.
+function resolveShot(shot, options) {
+  const rules = options.camera === true ? {} : options.camera;
+  if (!rules || rules[shot.type] === false) return null;
+  if (options.reducedMotion && shot.type === 'shake') return null;
+
+  let resolved = shot;
+  if (options.onCameraShot) {
+    const override = options.onCameraShot(shot);
+    if (override === false) return null;
+    if (override) resolved = { ...shot, ...override };
+  }
+  if (options.reducedMotion && resolved.timeScale != null) resolved = { ...resolved, timeScale: 1 };
+  return resolved;
+}
+
+function getShotShip(state, shot) {
+  if (!shot.combo) return state.phase === 'idle' ? null : state.shipPosition;
+  const member = state.combo
+    ? state.combo.members.find(m => m.wingmanId === shot.wingmanId)
+    : null;
+  return member ? member.shipPosition : null;
+}
+
+// ============================================================================
+// HOOK
+// ============================================================================
+// Used by WingmanSupport. `options` holds the `camera` and `onCameraShot`
+// props, `paused`, `reducedMotion`, and `getTargets()` returning the live
+// target positions.
+// Returns { getTimeScale(), release(duration?) }.
+function useCameraDirector(simulation, options) {
+  const camera = useThree(state => state.camera);
+  const scene = useThree(state => state.scene);
+
+  const latest = useRef(options);
+  latest.current = options;
+
+  const director = useRef({
+    shot: null,             // current dolly, frame or blend
+    weight: 0,              // 0 = game camera, 1 = shot camera
+    from: 0,                // weight when the shot started
+    time: 0,                // real ms into the shot
+    slowMo: null,           // { timeScale, duration, time }
+    shake: null,            // { intensity, duration, time, random }
+    hasPose: false,
+    shotPosition: new Vector3(),
+    shotTarget: new Vector3(),
+    gamePosition: new Vector3(),
+  });
+
+  const scratch = useRef({
+    position: new Vector3(),
+    quaternion: new Quaternion(),
+    scale: new Vector3(),
+    shotQuaternion: new Quaternion(),
+    up: new Vector3(),
+    offset: new Vector3(),
+    look: new Matrix4(),
+    savedMatrix: new Matrix4(),
+    savedInverse: new Matrix4(),
+    applied: false,
+  });
+
+  const api = useMemo(() => {
+    const cut = () => {
+      const current = director.current;
+      current.shot = null;
+      current.weight = 0;
+      current.slowMo = null;
+      current.hasPose = false;
+    };
+
+    const start = (shot) => {
+      const current = director.current;
+      // A vetoed shot hands the camera straight back to the game
+      if (!shot) {
+        cut();
+        return;
+      }
+
+      current.shot = shot;
+      current.from = current.weight;
+      current.time = 0;
+      current.slowMo = shot.type === 'dolly' && shot.timeScale < 1
+        ? { timeScale: shot.timeScale, duration: shot.slowMoDuration, time: 0 }
+        : null;
+    };
+
+    return {
+      start,
+      cut,
+      // Multiplier for the special's game time while the dolly plays
+      getTimeScale: () => {
+        const { slowMo } = director.current;
+        if (!slowMo) return 1;
+        const t = Math.min(1, slowMo.time / Math.max(1, slowMo.duration));
+        return slowMo.timeScale + (1 - slowMo.timeScale) * t * t;
+      },
+      // Blend back to the game camera now, e.g. when the player takes a hit
+      release: (duration = CAMERA_DEFAULTS.BLEND_DURATION) => {
+        const { shot } = director.current;
+        if (!shot) return;
+        start({ type: 'blend', phase: shot.phase, wingmanId: shot.wingmanId, combo: shot.combo, duration, weight: 0 });
+      },
+    };
+  }, []);
+
+  // Phase changes pick the shot, explosions shake
+  useEffect(() => simulation.subscribe((event) => {
+    const current = latest.current;
+    if (!current.camera) return;
+
+    if (event.type === 'phase' || event.type === 'combo') {
+      const type = PHASE_SHOTS[event.phase];
+      const { shot } = director.current;
+      if (!type || (type === 'blend' && (!shot || shot.type === 'blend'))) return;
+
+      const rules = current.camera === true ? {} : current.camera;
+      const combo = event.type === 'combo';
+      const wingmanId = combo ? event.wingmanIds[0] : simulation.getState().wingmanId;
+      api.start(resolveShot(createShot(type, { phase: event.phase, wingmanId, combo }, rules), current));
+      return;
+    }
+
+    if (event.type === 'audio' && event.cue === 'explosion' && event.position) {
+      const distance = director.current.gamePosition.distanceTo(scratch.current.offset.fromArray(event.position));
+      const falloff = 1 - distance / CAMERA_DEFAULTS.SHAKE_RANGE;
+      if (falloff <= 0) return;
+
+      const shot = resolveShot({
+        type: 'shake',
+        phase: simulation.getState().phase,
+        wingmanId: event.wingmanId,
+        combo: false,
+        position: event.position,
+        intensity: CAMERA_DEFAULTS.SHAKE_INTENSITY * falloff,
+        duration: CAMERA_DEFAULTS.SHAKE_DURATION,
+      }, current);
+      if (!shot) return;
+
+      // Overlapping explosions keep the strongest shake going
+      const { shake } = director.current;
+      const remaining = shake ? shake.intensity * (1 - shake.time / shake.duration) : 0;
+      if (shot.intensity >= remaining) {
+        // Seeded from the simulation so a replay shakes the same way
+        director.current.shake = {
+          intensity: shot.intensity,
+          duration: Math.max(1, shot.duration),
+          time: 0,
+          random: createRandom(simulation.getState().rng),
+        };
+      }
+    }
+  }), [simulation, api]);
+
+  // Real time drives the shots so slow motion doesn't stretch them
+  useFrame((_, delta) => {
+    const current = director.current;
+    camera.getWorldPosition(current.gamePosition);
+    if (!latest.current.camera) {
+      if (current.shot) api.cut();
+      current.shake = null;
+      return;
+    }
+    if (latest.current.reducedMotion) {
+      // Switched on mid-shot: stop what is already running
+      current.slowMo = null;
+      current.shake = null;
+    }
+    if (latest.current.paused) return;
+
+    const ms = delta * 1000;
+    if (current.shot) {
+      current.time += ms;
+      const t = current.shot.duration > 0 ? Math.min(1, current.time / current.shot.duration) : 1;
+      current.weight = current.from + (current.shot.weight - current.from) * t;
+      if (current.shot.type === 'blend' && t >= 1) api.cut();
+    }
+    if (current.slowMo) {
+      current.slowMo.time += ms;
+      if (current.slowMo.time >= current.slowMo.duration) current.slowMo = null;
+    }
+    if (current.shake) {
+      current.shake.time += ms;
+      if (current.shake.time >= current.shake.duration) current.shake = null;
+    }
+  });
+
+  // Where the shot camera wants to be this frame; false keeps the last pose
+  const updatePose = (shot, gamePosition) => {
+    const current = director.current;
+    const state = simulation.getState();
+    const ship = getShotShip(state, shot);
+
+    if (shot.type === 'dolly' && ship) {
+      current.shotTarget.fromArray(ship);
+      current.shotPosition.copy(gamePosition).lerp(current.shotTarget, shot.distance);
+    } else if (shot.type === 'frame') {
+      const points = latest.current.getTargets();
+      if (ship) points.push(new Vector3().fromArray(ship));
+      if (points.length === 0) return current.hasPose;
+
+      const center = current.shotTarget.set(0, 0, 0);
+      points.forEach(point => center.add(point));
+      center.divideScalar(points.length);
+      const radius = points.reduce((max, point) => Math.max(max, point.distanceTo(center)), 1);
+
+      const fov = camera.isPerspectiveCamera ? (camera.fov * Math.PI) / 180 : Math.PI / 3;
+      const distance = (radius * shot.padding) / Math.tan(fov / 2);
+      const direction = scratch.current.offset.copy(center).sub(gamePosition);
+      if (direction.lengthSq() === 0) direction.set(0, 0, -1);
+      current.shotPosition.copy(center).addScaledVector(direction.normalize(), -distance);
+    } else if (!current.hasPose) {
+      return false;
+    }
+
+    if (shot.position) current.shotPosition.fromArray(shot.position);
+    if (shot.lookAt) current.shotTarget.fromArray(shot.lookAt);
+    return true;
+  };
+
+  // Swap in the directed camera for this render only
+  useEffect(() => {
+    const previousBefore = scene.onBeforeRender;
+    const previousAfter = scene.onAfterRender;
+    const s = scratch.current;
+
+    scene.onBeforeRender = function onBeforeRender(renderer, renderScene, renderCamera, ...rest) {
+      previousBefore.call(this, renderer, renderScene, renderCamera, ...rest);
+      const current = director.current;
+      if (renderCamera !== camera || (!current.shot && !current.shake)) return;
+
+      renderCamera.matrixWorld.decompose(s.position, s.quaternion, s.scale);
+      if (current.shot && current.weight > 0) {
+        current.hasPose = updatePose(current.shot, s.position);
+        if (current.hasPose && current.shotPosition.distanceToSquared(current.shotTarget) > 0) {
+          s.up.set(0, 1, 0).applyQuaternion(s.quaternion);
+          s.look.lookAt(current.shotPosition, current.shotTarget, s.up);
+          s.shotQuaternion.setFromRotationMatrix(s.look);
+
+          const weight = smoothstep(Math.min(1, current.weight));
+          s.position.lerp(current.shotPosition, weight);
+          s.quaternion.slerp(s.shotQuaternion, weight);
+        }
+      }
+      if (current.shake) {
+        const fade = 1 - current.shake.time / current.shake.duration;
+        const amount = current.shake.intensity * fade * fade;
+        const { random } = current.shake;
+        s.offset.set(random() * 2 - 1, random() * 2 - 1, 0)
+          .multiplyScalar(amount)
+          .applyQuaternion(s.quaternion);
+        s.position.add(s.offset);
+      }
+
+      s.savedMatrix.copy(renderCamera.matrixWorld);
+      s.savedInverse.copy(renderCamera.matrixWorldInverse);
+      renderCamera.matrixWorld.compose(s.position, s.quaternion, s.scale);
+      renderCamera.matrixWorldInverse.copy(renderCamera.matrixWorld).invert();
+      s.applied = true;
+    };
+
+    scene.onAfterRender = function onAfterRender(renderer, renderScene, renderCamera, ...rest) {
+      if (s.applied) {
+        s.applied = false;
+        renderCamera.matrixWorld.copy(s.savedMatrix);
+        renderCamera.matrixWorldInverse.copy(s.savedInverse);
+      }
+      previousAfter.call(this, renderer, renderScene, renderCamera, ...rest);
+    };
+
+    return () => {
+      scene.onBeforeRender = previousBefore;
+      scene.onAfterRender = previousAfter;
+    };
+  }, [scene, camera, simulation]);
+
+  return api;
+}
+
+export {
+  useCameraDirector,
+  CAMERA_DEFAULTS,
+};
@@ -0,0 +1,324 @@
+// ============================================================================
+// WINGMAN INPUT
+// ============================================================================
+// Keyboard and gamepad bindings for the Team Special's actions:
+//   trigger      call the selected wingman in
+//   combo        call every available wingman in
+//   next         select the next wingman
+//   previous     select the previous one
+//   select1-9    select a wingman by number
+//   radial       hold to open a selection wheel: the right stick (or the
+//                mouse, from the middle of the screen) points at a wingman,
+//                and letting go selects it
+// A binding is a KeyboardEvent.code ('KeyQ', 'Digit1') or 'Gamepad<n>', button
+// n of the standard gamepad mapping ('Gamepad3' is Y / triangle).
+//
+// Nothing here knows about React or the simulation. Listeners receive
+//   { action: 'trigger' | 'combo' | 'next' | 'previous' }
+//   { action: 'select', index }           (0-based)
+//   { action: 'radial', phase: 'open' | 'change' | 'close', index }
+// A wheel that closes on a wingman reports 'close' with its index and then a
+// 'select'; one closed without a pick (released at the center, disabled,
+// window blurred) reports index null.
+const INPUT_DEFAULTS = {
+  STORAGE_KEY: 'wingman-input-bindings',
+  MAX_SELECT: 9,
+  STICK_DEADZONE: 0.5,   // stick deflection before the wheel picks a wingman
+  POINTER_DEADZONE: 40,  // px from the middle of the screen, for the mouse
+  RADIAL_AXES: [2, 3],   // right stick
+};
+
+const DEFAULT_BINDINGS = {
+  trigger: ['KeyQ', 'Gamepad3'],           // Y / triangle
+  combo: ['KeyE', 'Gamepad10'],            // left stick press
+  next: ['BracketRight', 'Gamepad15'],     // d-pad right
+  previous: ['BracketLeft', 'Gamepad14'],  // d-pad left
+  radial: ['KeyR', 'Gamepad4'],            // left bumper
+  ...Object.fromEntries(Array.from({ length: INPUT_DEFAULTS.MAX_SELECT }, (_, i) => [`select${i + 1}`, [`Digit${i + 1}`]])),
+};
+
+function isGamepadBinding(binding) {
+  return binding.startsWith('Gamepad');
+}
+
+// Keys typed into a form field are not game input
+function isEditable(target) {
+  return Boolean(target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)));
+}
+
+// A direction (x right, y down) -> wheel slot: slot 0 at the top, clockwise
+function getRadialIndex(x, y, count) {
+  if (count <= 0) return null;
+  const step = (Math.PI * 2) / count;
+  const slot = Math.round(Math.atan2(x, -y) / step);
+  return ((slot % count) + count) % count;
+}
+
+// localStorage, or null where it is missing or blocked (sandboxed iframes throw)
+function getStorage() {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Saved bindings for known actions only; anything unreadable is ignored
+function loadBindings(storage, key, defaults) {
+  let saved = null;
+  try {
+    saved = JSON.parse(storage.getItem(key));
+  } catch (error) {
+    return {};
+  }
+  if (!saved || typeof saved !== 'object') return {};
+
+  const bindings = {};
+  Object.keys(defaults).forEach(action => {
+    const list = saved[action];
+    if (Array.isArray(list) && list.every(binding => typeof binding === 'string')) bindings[action] = list;
+  });
+  return bindings;
+}
+
+// ============================================================================
+// INPUT
+// ============================================================================
+// `bindings` is merged over DEFAULT_BINDINGS; what the player rebinds is
+// saved under `storageKey` (false to keep it in memory) and wins over both.
+// attach() listens on the window and polls gamepads every animation frame;
+// press(binding) / release(binding) feed it from anything else, such as
+// on-screen touch buttons. Rebinding keeps working while `disabled`, so a
+// controls menu can disable the game's input and still capture keys.
+function createWingmanInput({
+  bindings: overrides,
+  storageKey = INPUT_DEFAULTS.STORAGE_KEY,
+  storage = getStorage(),
+  count: initialCount = 4,
+  disabled: initialDisabled = false,
+} = {}) {
+  const defaults = { ...DEFAULT_BINDINGS, ...overrides };
+  const persist = Boolean(storageKey && storage);
+  let bindings = { ...defaults, ...(persist ? loadBindings(storage, storageKey, defaults) : {}) };
+  let count = initialCount;
+  let disabled = Boolean(initialDisabled);
+  let radial = null;   // { index } while the wheel is open
+  let capture = null;  // { action, callback } while rebinding
+  let buttons = [];    // gamepad buttons down at the last poll
+  const held = new Set();
+  const listeners = new Set();
+  const bindingListeners = new Set();
+
+  const emit = event => listeners.forEach(listener => listener(event));
+  const getActions = binding => Object.keys(bindings).filter(action => bindings[action].includes(binding));
+  const checkAction = (name, action) => {
+    if (!bindings[action]) throw new Error(`${name}: unknown action "${action}"`);
+  };
+
+  const setBindings = (next) => {
+    bindings = next;
+    if (persist) {
+      try {
+        storage.setItem(storageKey, JSON.stringify(bindings));
+      } catch (error) {
+        // Quota or privacy mode: the bindings still apply for this session
+      }
+    }
+    bindingListeners.forEach(listener => listener(bindings));
+  };
+
+  const closeRadial = (pick) => {
+    if (!radial) return;
+    const index = pick ? radial.index : null;
+    radial = null;
+    emit({ action: 'radial', phase: 'close', index });
+    if (index != null) emit({ action: 'select', index });
+  };
+
+  // Points the open wheel; inside the deadzone it keeps the last pick
+  const aim = (x, y, deadzone) => {
+    if (!radial || Math.hypot(x, y) < deadzone) return;
+    const index = getRadialIndex(x, y, count);
+    if (index === radial.index) return;
+    radial = { index };
+    emit({ action: 'radial', phase: 'change', index });
+  };
+
+  // The captured binding goes to one action only, and replaces that action's
+  // binding on the same device (keyboard or gamepad)
+  const finishCapture = (binding) => {
+    const { action, callback } = capture;
+    capture = null;
+    if (binding) {
+      const gamepad = isGamepadBinding(binding);
+      const next = {};
+      Object.keys(bindings).forEach(key => {
+        next[key] = bindings[key].filter(existing => existing !== binding);
+      });
+      next[action] = [...next[action].filter(existing => isGamepadBinding(existing) !== gamepad), binding];
+      setBindings(next);
+    }
+    if (callback) callback(binding);
+  };
+
+  const press = (binding) => {
+    if (held.has(binding)) return;
+    held.add(binding);
+    if (capture) {
+      finishCapture(binding);
+      return;
+    }
+    if (disabled) return;
+
+    getActions(binding).forEach(action => {
+      const select = /^select(\d+)$/.exec(action);
+      if (select) {
+        const index = Number(select[1]) - 1;
+        if (index < count) emit({ action: 'select', index });
+      } else if (action === 'radial') {
+        if (radial) return;
+        radial = { index: null };
+        emit({ action: 'radial', phase: 'open', index: null });
+      } else {
+        emit({ action });
+      }
+    });
+  };
+
+  const release = (binding) => {
+    if (!held.delete(binding)) return;
+    if (radial && bindings.radial.includes(binding) && !bindings.radial.some(other => held.has(other))) {
+      closeRadial(true);
+    }
+  };
+
+  // Reads every connected gamepad; attach() calls this each animation frame
+  const poll = () => {
+    const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+    const pressed = [];
+    Array.from(pads).forEach(pad => {
+      if (!pad) return;
+      pad.buttons.forEach((button, i) => {
+        if (button.pressed) pressed[i] = true;
+      });
+      const [x, y] = INPUT_DEFAULTS.RADIAL_AXES;
+      aim(pad.axes[x] || 0, pad.axes[y] || 0, INPUT_DEFAULTS.STICK_DEADZONE);
+    });
+
+    const length = Math.max(pressed.length, buttons.length);
+    const previous = buttons;
+    buttons = pressed;
+    for (let i = 0; i < length; i++) {
+      if (pressed[i] && !previous[i]) press(`Gamepad${i}`);
+      else if (!pressed[i] && previous[i]) release(`Gamepad${i}`);
+    }
+  };
+
+  const attach = (target = window) => {
+    const onKeyDown = (event) => {
+      if (event.repeat || isEditable(event.target)) return;
+      if (capture && event.code === 'Escape') {
+        finishCapture(null);
+        event.preventDefault();
+        return;
+      }
+      if (capture || (!disabled && getActions(event.code).length > 0)) event.preventDefault();
+      press(event.code);
+    };
+    const onKeyUp = event => release(event.code);
+    const onPointerMove = (event) => {
+      if (!radial) return;
+      aim(event.clientX - window.innerWidth / 2, event.clientY - window.innerHeight / 2, INPUT_DEFAULTS.POINTER_DEADZONE);
+    };
+    // Keys released while the window had no focus never send a keyup
+    const onBlur = () => {
+      closeRadial(false);
+      held.clear();
+    };
+
+    let frame = null;
+    const loop = () => {
+      poll();
+      frame = window.requestAnimationFrame(loop);
+    };
+    if (typeof navigator !== 'undefined' && navigator.getGamepads) loop();
+
+    target.addEventListener('keydown', onKeyDown);
+    target.addEventListener('keyup', onKeyUp);
+    target.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('blur', onBlur);
+    return () => {
+      if (frame != null) window.cancelAnimationFrame(frame);
+      target.removeEventListener('keydown', onKeyDown);
+      target.removeEventListener('keyup', onKeyUp);
+      target.removeEventListener('pointermove', onPointerMove);
+      window.removeEventListener('blur', onBlur);
+    };
+  };
+
+  return {
+    attach,
+    poll,
+    press,
+    release,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    subscribeBindings: (listener) => {
+      bindingListeners.add(listener);
+      return () => bindingListeners.delete(listener);
+    },
+    getBindings: () => bindings,
+    getDefaultBindings: () => defaults,
+    rebind: (action, list) => {
+      checkAction('rebind', action);
+      setBindings({ ...bindings, [action]: [...list] });
+    },
+    // One action back to its default, or all of them (forgetting what was saved)
+    resetBindings: (action) => {
+      if (action != null) {
+        checkAction('resetBindings', action);
+        setBindings({ ...bindings, [action]: defaults[action] });
+        return;
+      }
+      if (persist) {
+        try {
+          storage.removeItem(storageKey);
+        } catch (error) {
+          // Nothing saved that could be read back anyway
+        }
+      }
+      bindings = defaults;
+      bindingListeners.forEach(listener => listener(bindings));
+    },
+    // The next key or gamepad button becomes a binding of `action`; Escape
+    // cancels. callback(binding | null). Returns a cancel function.
+    captureBinding: (action, callback) => {
+      checkAction('captureBinding', action);
+      if (capture) finishCapture(null);
+      const current = { action, callback };
+      capture = current;
+      return () => {
+        if (capture === current) finishCapture(null);
+      };
+    },
+    isCapturing: () => Boolean(capture),
+    setDisabled: (value) => {
+      disabled = Boolean(value);
+      if (disabled) closeRadial(false);
+    },
+    isDisabled: () => disabled,
+    setCount: (value) => {
+      count = value;
+    },
+    getRadial: () => radial,
+  };
+}
+
+export {
+  INPUT_DEFAULTS,
+  DEFAULT_BINDINGS,
+  getRadialIndex,
+  createWingmanInput,
+};
@@ -0,0 +1,323 @@
+import { createRandom } from './WingmanSimulation.js';
+
+// ============================================================================
+// WINGMAN NETWORK
+// ============================================================================
+// Co-op sync for one WingmanSupport instance. The authority (the host, or the
+// peer that owns the special) runs the simulation for real and decides
+// activation, targets and damage. Clients run a replica for the visuals: they
+// adopt the authority's state from snapshots, fast-forwarded by the measured
+// latency, and report the authority's results instead of their own.
+//
+// Nothing here knows about sockets. A transport is { send(message),
+// subscribe(listener) } that delivers each message to the other peers;
+// createLoopbackTransport below is an in-memory one for tests and demos.
+const NETWORK_VERSION = 1;
+
+const NETWORK_DEFAULTS = {
+  SNAPSHOT_INTERVAL: 1000, // game ms between snapshots while nothing happens
+  PING_INTERVAL: 2000,     // wall ms between clients' latency probes
+  PING_SAMPLES: 5,         // probes kept; the fastest one sets the clock offset
+  MAX_CATCH_UP: 500,       // most game ms a snapshot is fast-forwarded
+  CATCH_UP_STEP: 1000 / 60,
+};
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+// Every message is plain JSON: { v, type, time, sentAt, ...payload }, where
+// `time` is the authority's simulation time and `sentAt` its clock.
+//
+//   activate  { kind: 'special' | 'combo' | 'escort', wingmanId, wingmanIds,
+//               targets: { [wingmanId]: enemyIds } }
+//   phase     { scope: 'special' | 'combo' | 'escort', phase, previous,
+//               wingmanId, wingmanIds }
+//   hit       { enemyId, amount, source }
+//   score     { kill } - one enemy's 'kill' event, for scoring
+//   kill      { enemyIds, wingmanId, escort, combo }
+//   snapshot  { snapshot } - serialize() output; the only message that
+//               changes a client's state
+//   request   { action, args } - client -> authority: a handle call to run
+//   ping      { id } / pong { id } - latency probes
+function createMessage(type, payload, time, sentAt) {
+  return { v: NETWORK_VERSION, type, time, sentAt, ...payload };
+}
+
+function getTargets(state, wingmanIds) {
+  const targets = {};
+  if (state.combo) {
+    state.combo.members.forEach(member => {
+      targets[member.wingmanId] = member.targetIds;
+    });
+  } else if (state.wingmanId) {
+    targets[state.wingmanId] = state.targetIds;
+  }
+  return wingmanIds.reduce((picked, id) => (
+    targets[id] ? { ...picked, [id]: targets[id] } : picked
+  ), {});
+}
+
+// Simulation events -> messages, given the state they led to
+function toMessages(events, state) {
+  const messages = [];
+  events.forEach(event => {
+    switch (event.type) {
+      case 'activate':
+        messages.push(['activate', {
+          kind: 'special',
+          wingmanId: event.wingmanId,
+          wingmanIds: [event.wingmanId],
+          targets: getTargets(state, [event.wingmanId]),
+        }]);
+        break;
+      case 'phase':
+        messages.push(['phase', {
+          scope: 'special',
+          phase: event.phase,
+          previous: event.previous,
+          wingmanId: state.wingmanId,
+          wingmanIds: state.wingmanId ? [state.wingmanId] : [],
+        }]);
+        break;
+      case 'combo':
+        if (event.phase === 'approach' && !event.previous) {
+          messages.push(['activate', {
+            kind: 'combo',
+            wingmanId: event.wingmanIds[0],
+            wingmanIds: event.wingmanIds,
+            targets: getTargets(state, event.wingmanIds),
+          }]);
+        }
+        messages.push(['phase', {
+          scope: 'combo',
+          phase: event.phase,
+          previous: event.previous,
+          wingmanId: event.wingmanIds[0],
+          wingmanIds: event.wingmanIds,
+        }]);
+        break;
+      case 'escort':
+        if (event.phase === 'approach' && !event.previous) {
+          messages.push(['activate', {
+            kind: 'escort',
+            wingmanId: event.wingmanId,
+            wingmanIds: [event.wingmanId],
+            targets: {},
+          }]);
+        }
+        messages.push(['phase', {
+          scope: 'escort',
+          phase: event.phase,
+          previous: event.previous,
+          wingmanId: event.wingmanId,
+          wingmanIds: [event.wingmanId],
+        }]);
+        break;
+      case 'damage':
+        messages.push(['hit', { enemyId: event.enemyId, amount: event.amount, source: event.source }]);
+        break;
+      case 'kill':
+        messages.push(['score', { kill: event }]);
+        break;
+      case 'destroyed':
+        messages.push(['kill', {
+          enemyIds: event.enemyIds,
+          wingmanId: event.wingmanId,
+          escort: Boolean(event.escort),
+          combo: Boolean(event.combo),
+        }]);
+        break;
+    }
+  });
+  return messages;
+}
+
+// ============================================================================
+// AUTHORITY
+// ============================================================================
+// Collects the simulation's events and sends them, followed by a snapshot
+// whenever something activated or changed phase (and every SNAPSHOT_INTERVAL
+// otherwise), on flush(). Call flush() after every simulation call.
+function createWingmanAuthority(simulation, {
+  send,
+  now = Date.now,
+  snapshotInterval = NETWORK_DEFAULTS.SNAPSHOT_INTERVAL,
+} = {}) {
+  let pending = [];
+  let lastSnapshot = -Infinity;
+  const unsubscribe = simulation.subscribe((event) => {
+    pending.push(event);
+  });
+
+  const post = (type, payload) => {
+    send(createMessage(type, payload, simulation.getState().time, now()));
+  };
+
+  const sendSnapshot = () => {
+    lastSnapshot = simulation.getState().time;
+    post('snapshot', { snapshot: simulation.serialize() });
+  };
+
+  return {
+    flush: () => {
+      const state = simulation.getState();
+      const messages = toMessages(pending, state);
+      pending = [];
+      messages.forEach(([type, payload]) => post(type, payload));
+
+      const changed = messages.some(([type]) => type === 'activate' || type === 'phase');
+      if (changed || state.time - lastSnapshot >= snapshotInterval) sendSnapshot();
+    },
+    // Full state for a client that just joined
+    sendSnapshot,
+    // Answers probes; returns a client's { action, args } request, if any
+    receive: (message) => {
+      if (!message || message.v !== NETWORK_VERSION) return null;
+      if (message.type === 'ping') post('pong', { id: message.id });
+      if (message.type === 'request') return { action: message.action, args: message.args || [] };
+      return null;
+    },
+    dispose: unsubscribe,
+  };
+}
+
+// ============================================================================
+// CLIENT REPLICA
+// ============================================================================
+// Applies the authority's snapshots to a local simulation. Latency comes from
+// ping/pong: half the round trip, and the authority's clock offset from the
+// fastest recent probe. A snapshot is then stepped forward by its age, so
+// remote effects line up with where they are on the authority. `peerId` tags
+// this client's probes, since every client sees every pong; by default it is
+// drawn from a generator seeded with the clock.
+function createWingmanReplica(simulation, {
+  send,
+  now = Date.now,
+  peerId = createRandom(now())().toString(36).slice(2, 10),
+  maxCatchUp = NETWORK_DEFAULTS.MAX_CATCH_UP,
+  catchUpStep = NETWORK_DEFAULTS.CATCH_UP_STEP,
+} = {}) {
+  const probes = new Map();
+  let samples = [];
+  let serial = 0;
+  let lastTime = -Infinity;
+
+  // Authority clock minus ours, from the fastest probe
+  const getOffset = () => {
+    if (samples.length === 0) return null;
+    return samples.reduce((best, sample) => (sample.roundTrip < best.roundTrip ? sample : best)).offset;
+  };
+
+  return {
+    ping: () => {
+      serial += 1;
+      const id = `${peerId}-${serial}`;
+      probes.set(id, now());
+      send(createMessage('ping', { id }, lastTime, now()));
+    },
+    // One-way latency in ms (null until the first pong)
+    getLatency: () => (samples.length === 0 ? null : Math.min(...samples.map(sample => sample.roundTrip)) / 2),
+    request: (action, args = []) => {
+      send(createMessage('request', { action, args }, lastTime, now()));
+    },
+    // Returns true when the message replaced the simulation's state.
+    // `context` is the step context for the fast-forward.
+    receive: (message, context, { timeScale = 1 } = {}) => {
+      if (!message || message.v !== NETWORK_VERSION) return false;
+
+      if (message.type === 'pong') {
+        const sentAt = probes.get(message.id);
+        if (sentAt === undefined) return false;
+        probes.delete(message.id);
+        const received = now();
+        const roundTrip = received - sentAt;
+        samples = [...samples, { roundTrip, offset: message.sentAt + roundTrip / 2 - received }]
+          .slice(-NETWORK_DEFAULTS.PING_SAMPLES);
+        return false;
+      }
+
+      // Late or reordered snapshots would rewind the special
+      if (message.type !== 'snapshot' || message.time < lastTime) return false;
+      lastTime = message.time;
+
+      const offset = getOffset();
+      const age = offset === null ? 0 : now() + offset - message.sentAt;
+      let remaining = Math.min(Math.max(age, 0) * timeScale, maxCatchUp);
+
+      simulation.hydrate(message.snapshot);
+      while (remaining > 0) {
+        const delta = Math.min(catchUpStep, remaining);
+        simulation.step(delta, context);
+        remaining -= delta;
+      }
+      return true;
+    },
+  };
+}
+
+// ============================================================================
+// LOOPBACK TRANSPORT
+// ============================================================================
+// In-memory transport: every connected endpoint receives what the others send,
+// JSON-encoded on the way like a real socket would. `latency` and `jitter`
+// (ms) delay delivery; jitter can reorder messages. With `manual` nothing is
+// delivered until advance(ms), and now() is the transport's own clock, so
+// tests run without timers.
+function createLoopbackTransport({ latency = 0, jitter = 0, seed = 1, manual = false } = {}) {
+  const endpoints = new Set();
+  const random = createRandom(seed);
+  let clock = 0;
+  let queue = [];
+
+  const deliver = (endpoint, data) => {
+    if (!endpoints.has(endpoint)) return;
+    const message = JSON.parse(data);
+    endpoint.listeners.forEach(listener => listener(message));
+  };
+
+  return {
+    connect: () => {
+      const endpoint = {
+        listeners: new Set(),
+        send: (message) => {
+          const data = JSON.stringify(message);
+          endpoints.forEach(other => {
+            if (other === endpoint) return;
+            const delay = latency + random() * jitter;
+            if (manual) {
+              queue.push({ at: clock + delay, endpoint: other, data });
+            } else {
+              setTimeout(() => deliver(other, data), delay);
+            }
+          });
+        },
+        subscribe: (listener) => {
+          endpoint.listeners.add(listener);
+          return () => endpoint.listeners.delete(listener);
+        },
+        close: () => {
+          endpoints.delete(endpoint);
+        },
+      };
+      endpoints.add(endpoint);
+      return endpoint;
+    },
+    now: () => clock,
+    // Manual mode: move the clock and deliver everything due, oldest first
+    advance: (ms) => {
+      clock += ms;
+      const due = queue.filter(item => item.at <= clock).sort((a, b) => a.at - b.at);
+      queue = queue.filter(item => item.at > clock);
+      due.forEach(item => deliver(item.endpoint, item.data));
+    },
+  };
+}
+
+export {
+  NETWORK_VERSION,
+  NETWORK_DEFAULTS,
+  createMessage,
+  createWingmanAuthority,
+  createWingmanReplica,
+  createLoopbackTransport,
+};
@@ -0,0 +1,143 @@
+// ============================================================================
+// WINGMAN SCORING
+// ============================================================================
+// Turns the simulation's per-kill 'kill' events into points. Each kill earns
+// the point table's base value for its enemy and weapon, plus bonuses:
+//   multiKill  kills that follow each other within MULTI_KILL_WINDOW ms of
+//              game time, counted per special (or combo) and per escort
+//   chain      a chained hit (the lightning chain) pays more for every hop
+//              it had travelled before the kill
+// Nothing here knows about React. record(kill) takes one event and returns
+// its score entry; attach(simulation) records every kill a simulation makes.
+const SCORING_DEFAULTS = {
+  MULTI_KILL_WINDOW: 500, // game ms between kills that still count as one streak
+  POPUP_DURATION: 1200,   // game ms a score popup stays on screen
+  POPUP_RISE: 4,          // world units a popup floats up over its lifetime
+};
+
+// A game's table is merged over this one. Numbers can be swapped for
+// functions where noted.
+const DEFAULT_POINT_TABLE = {
+  kill: 100,                              // base points, or (kill) => points
+  weapons: { splash: 50 },                // base by hit `source`, over `kill`
+  multiKill: [0, 0, 100, 250, 500, 1000], // bonus by streak length (the last
+                                          // repeats), or (count) => points
+  chainHop: 50,                           // bonus per hop, or (hop, length) => points
+  escort: 1,                              // multiplier for escort kills, or (kill) => number
+};
+
+function resolve(value, ...args) {
+  return typeof value === 'function' ? value(...args) : value;
+}
+
+// Base points and bonuses for one kill, given its streak length
+function getPoints(table, kill, streak) {
+  const weapon = table.weapons && table.weapons[kill.source];
+  const base = resolve(weapon == null ? table.kill : weapon, kill) || 0;
+  const bonuses = [];
+
+  if (streak >= 2 && table.multiKill) {
+    const steps = table.multiKill;
+    const points = Array.isArray(steps) ? steps[Math.min(streak, steps.length - 1)] : resolve(steps, streak);
+    if (points) bonuses.push({ type: 'multiKill', count: streak, points });
+  }
+  if (kill.chain && kill.chain.hop > 0 && table.chainHop) {
+    const points = typeof table.chainHop === 'function'
+      ? table.chainHop(kill.chain.hop, kill.chain.length)
+      : table.chainHop * kill.chain.hop;
+    if (points) bonuses.push({ type: 'chain', hop: kill.chain.hop, length: kill.chain.length, points });
+  }
+
+  const scale = kill.escort ? resolve(table.escort, kill) : 1;
+  const subtotal = bonuses.reduce((sum, bonus) => sum + bonus.points, base);
+  return { base, bonuses, points: Math.round(subtotal * (scale == null ? 1 : scale)) };
+}
+
+function createTotals() {
+  return {
+    points: 0,
+    kills: 0,
+    byWingman: {},      // wingmanId -> { points, kills }
+    byWeapon: {},       // weapon -> { points, kills }
+    byMode: {},         // 'special' | 'combo' | 'escort' -> { points, kills }
+    bestMultiKill: 0,
+    longestChain: 0,    // most enemies a single chain killed
+  };
+}
+
+function addTo(group, key, points) {
+  const entry = group[key] || { points: 0, kills: 0 };
+  return { ...group, [key]: { points: entry.points + points, kills: entry.kills + 1 } };
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+// `points` is merged over DEFAULT_POINT_TABLE. Listeners receive each score
+// entry: the kill event plus { points, base, bonuses, multiKill, total }.
+function createWingmanScoring({
+  points: pointTable,
+  multiKillWindow = SCORING_DEFAULTS.MULTI_KILL_WINDOW,
+} = {}) {
+  const table = { ...DEFAULT_POINT_TABLE, ...pointTable };
+  const listeners = new Set();
+  let streaks = {};   // streak key -> { count, time }
+  let chain = null;   // { id, kills } of the last chained kill
+  let totals = createTotals();
+
+  const record = (kill) => {
+    const mode = kill.escort ? 'escort' : kill.combo ? 'combo' : 'special';
+    const key = kill.escort ? `escort:${kill.wingmanId}` : 'special';
+    const last = streaks[key];
+    const count = last && kill.time - last.time <= multiKillWindow ? last.count + 1 : 1;
+    streaks = { ...streaks, [key]: { count, time: kill.time } };
+
+    // A chain's kills arrive one after another under its id; enemies it hit
+    // but didn't kill never show up here
+    if (kill.chain) {
+      const same = chain && chain.id === kill.chain.id;
+      chain = { id: kill.chain.id, kills: same ? chain.kills + 1 : 1 };
+    }
+
+    const score = getPoints(table, kill, count);
+    totals = {
+      ...totals,
+      points: totals.points + score.points,
+      kills: totals.kills + 1,
+      byWingman: addTo(totals.byWingman, kill.wingmanId, score.points),
+      byWeapon: addTo(totals.byWeapon, kill.weapon, score.points),
+      byMode: addTo(totals.byMode, mode, score.points),
+      bestMultiKill: Math.max(totals.bestMultiKill, count),
+      longestChain: Math.max(totals.longestChain, kill.chain ? chain.kills : 0),
+    };
+
+    const entry = { ...kill, ...score, multiKill: count, total: totals.points };
+    listeners.forEach(listener => listener(entry));
+    return entry;
+  };
+
+  return {
+    record,
+    // Records every kill the simulation makes; returns an unsubscribe function
+    attach: simulation => simulation.subscribe((event) => {
+      if (event.type === 'kill') record(event);
+    }),
+    getTotals: () => totals,
+    reset: () => {
+      streaks = {};
+      chain = null;
+      totals = createTotals();
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+export {
+  SCORING_DEFAULTS,
+  DEFAULT_POINT_TABLE,
+  getPoints,
+  createWingmanScoring,
+};
@@ -0,0 +1,2587 @@
+import { Vector3, Euler, Matrix4, Quaternion, MathUtils, CatmullRomCurve3 } from 'three';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+const WINGMAN_CONFIG = {
+  // Cooldown
+  TEAM_SPECIAL_COOLDOWN: 45000, // 45 seconds
+
+  // Wingman Ship Movement
+  SPAWN_OFFSET_BEHIND: 40,
+  SPAWN_OFFSET_ABOVE: 15,
+  ATTACK_OFFSET: [5, 2, 0],  // [right, up, back] from the player
+  APPROACH_SPEED: 60,        // units per second along the approach path
+  APPROACH_DURATION: null,   // fixed approach time in ms instead of APPROACH_SPEED
+  ATTACK_DURATION: 2000,
+  ESCAPE_DURATION: 1500,
+  ESCAPE_DISTANCE: 60,
+  ESCAPE_CLIMB_ANGLE: 0.8,   // radians upward
+  BANK_STRENGTH: 12,         // roll per unit of turn rate
+  MAX_BANK_ANGLE: 1,         // radians
+  PATH_DETOUR_STEP: 8,       // sideways distance tried per detour attempt
+  PATH_DETOUR_TRIES: 4,
+
+  // Escort Mode
+  ESCORT_DURATION: 10000,
+  ESCORT_FIRE_INTERVAL: 1200,
+  ESCORT_MAX_TARGETS: 2,   // per volley
+  ESCORT_REPATH_DISTANCE: 20,  // slot drift before the approach path is rebuilt
+  ESCORT_REPATH_ANGLE: 0.25,   // radians the player turns before it is rebuilt
+  ESCORT_SLOTS: [          // [right, up, back] from the player
+    [-6, 1, 4],
+    [6, 1, 4],
+    [-12, 2, 8],
+    [12, 2, 8],
+  ],
+
+  // Combo Team Special
+  COMBO_COOLDOWN: 120000,      // 2 minutes, separate from the single special
+  COMBO_LANE_SPACING: 10,      // sideways between attack lanes
+  COMBO_SPAWN_STAGGER: 8,      // extra distance behind for outer lanes
+  COMBO_DELAYS: {              // ms into the attack each wingman opens fire
+    krystal: 0,                // missiles launch first...
+    falco: 150,
+    slippy: 250,               // ...beams lock while they're in flight...
+    peppy: 600,                // ...and lightning finishes
+  },
+
+  // Ally Health (only matters once the game reports hits on wingmen)
+  WINGMAN_HEALTH: 100,
+  DOWNED_DURATION: 30000,      // ms a downed wingman sits out; null = rest of the level
+  DOWNED_FALL_DURATION: 2000,  // spiral out of the fight
+  RESCUE_HEALTH: 0.5,          // calls for help below this fraction of health
+  RESCUE_TIMEOUT: 8000,        // ms the player has to shoot the pursuer down
+
+  // Attack Timings
+  GATLING_FIRE_DURATION: 800,
+  BEAM_LOCK_DURATION: 100, // 0.1 seconds
+  LIGHTNING_CHAIN_DURATION: 600,
+  MISSILE_FLIGHT_TIME: 500,
+
+  // Damage (enemies without a `health` field die to any damaging hit)
+  WINGMAN_DAMAGE: [
+    { roundDamage: 20 },                                      // Gatling - per round
+    { dps: 1000 },                                            // Beam - over BEAM_LOCK_DURATION
+    { baseDamage: 120, falloff: 0.8 },                        // Lightning - multiplier per chain hop
+    { directDamage: 80, splashDamage: 40, splashRadius: 6 },  // Missiles - impact + area
+  ],
+
+  // Visual
+  WINGMAN_COLORS: [
+    '#ff4444', // Wingman 1 - Red (Gatling)
+    '#44ff44', // Wingman 2 - Green (Beam)
+    '#ffff44', // Wingman 3 - Yellow (Lightning)
+    '#ff44ff', // Wingman 4 - Purple (Missiles)
+  ],
+  WINGMAN_NAMES: [
+    'FALCO',    // Multi-Gatling
+    'SLIPPY',   // Multi-Beam
+    'PEPPY',    // Lightning
+    'KRYSTAL',  // Precision Swarm
+  ],
+};
+
+// Effect tuning shared by the simulation and the renderers
+const GATLING_SPEED = 120; // units per second
+const MISSILE_ARC_HEIGHT = 5;
+const MISSILE_EXPLODE_DURATION = 300;
+const LIGHTNING_EXPLODE_DURATION = 500;
+const LIGHTNING_JITTER_INTERVAL = 50; // ms between bolt re-shapes
+const EXPLOSION_DURATION = 500;
+const CHAIN_EXPLOSION_STAGGER = 50;
+const DOWNED_SPIRAL_TURNS = 3;
+
+// ============================================================================
+// SEEDED RANDOM
+// ============================================================================
+// mulberry32: small, fast and good enough for visual spread. The generator's
+// internal state is a single uint32, so it can live in the simulation state.
+function createRandom(seed = 1) {
+  let t = seed >>> 0;
+  const random = () => {
+    t = (t + 0x6D2B79F5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+  random.getState = () => t;
+  return random;
+}
+
+// ============================================================================
+// VECTOR HELPERS
+// ============================================================================
+// Simulation state stores positions as plain [x, y, z] arrays so it can be
+// serialized, diffed and stored outside React.
+const _a = new Vector3();
+const _b = new Vector3();
+const WORLD_UP = new Vector3(0, 1, 0);
+
+function toArray(vector) {
+  return [vector.x, vector.y, vector.z];
+}
+
+function distanceBetween(a, b) {
+  return _a.fromArray(a).distanceTo(_b.fromArray(b));
+}
+
+function lerpPositions(a, b, t) {
+  return toArray(_a.fromArray(a).lerp(_b.fromArray(b), t));
+}
+
+function moveTowards(from, to, step) {
+  _b.fromArray(to).sub(_a.fromArray(from)).normalize().multiplyScalar(step);
+  return toArray(_a.add(_b));
+}
+
+// The player's frame from `playerForward` and `playerUp` (world up when
+// omitted), made orthonormal: { forward, up, right } as Vector3s
+function getPlayerFrame({ playerForward, playerUp }) {
+  const forward = new Vector3().fromArray(playerForward).normalize();
+  const up = playerUp ? new Vector3().fromArray(playerUp) : WORLD_UP.clone();
+  const right = new Vector3().crossVectors(forward, up);
+  if (right.lengthSq() < 1e-6) {
+    // Looking straight along `up`: any perpendicular will do
+    right.crossVectors(forward, Math.abs(forward.z) < 0.9 ? _b.set(0, 0, 1) : _b.set(1, 0, 0));
+  }
+  right.normalize();
+  up.crossVectors(right, forward).normalize();
+  return { forward, up, right };
+}
+
+// World position of a [right, up, back] offset from the player
+function fromPlayerFrame(playerPosition, frame, [right, up, back]) {
+  return toArray(_a.fromArray(playerPosition)
+    .addScaledVector(frame.right, right)
+    .addScaledVector(frame.up, up)
+    .addScaledVector(frame.forward, -back));
+}
+
+// Converts Vector3s (also nested in arrays and plain objects) to arrays
+function toPlain(value) {
+  if (value && value.isVector3) return toArray(value);
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    const plain = {};
+    Object.keys(value).forEach(key => {
+      plain[key] = toPlain(value[key]);
+    });
+    return plain;
+  }
+  return value;
+}
+
+// ============================================================================
+// FLIGHT PATH
+// ============================================================================
+// Approach and escape follow Catmull-Rom splines, kept in the state as plain
+// { points, length } data. Without help a path is a straight line; the game
+// can route it around level geometry through `context.flightPath`:
+//   tunnel     [[x, y, z], ...] centerline to fly along; spawn and escape
+//              points are measured along it
+//   isBlocked  (from, to) => boolean, called with Vector3s; a blocked leg gets
+//              a detour waypoint and a blocked escape a flatter climb
+// Ships cover the approach at APPROACH_SPEED (or in APPROACH_DURATION when it
+// is set), point their nose (-Z) along the curve and bank into turns, with
+// "up" and "sideways" taken from the player's frame.
+const _tangent = new Vector3();
+const _behind = new Vector3();
+const _ahead = new Vector3();
+const _bankUp = new Vector3();
+const _basis = new Matrix4();
+const _euler = new Euler();
+const ORIGIN = new Vector3();
+const BANK_SAMPLE = 2.5; // units either side of the ship used to measure a turn
+const pathCurves = new WeakMap();
+
+function createPath(points) {
+  const unique = points.filter((point, i) => i === 0 || distanceBetween(point, points[i - 1]) > 0.001);
+  const path = { points: unique, length: 0 };
+  if (unique.length > 1) path.length = getPathCurve(path).getLength();
+  return path;
+}
+
+// Curves are rebuilt from the plain points once per path object
+function getPathCurve(path) {
+  let curve = pathCurves.get(path);
+  if (!curve) {
+    curve = new CatmullRomCurve3(path.points.map(point => new Vector3().fromArray(point)), false, 'centripetal');
+    pathCurves.set(path, curve);
+  }
+  return curve;
+}
+
+// Rotation with the nose (-Z) along `direction` and the top toward `up`,
+// rolled by `bank`. Built as a full basis (not yaw alone) so ships follow a
+// rolling player; returned as XYZ Euler angles for the state.
+function getFlightRotation(direction, bank = 0, up = WORLD_UP) {
+  _bankUp.copy(up);
+  if (Math.abs(direction.dot(up)) > 0.999) _bankUp.set(up.y, up.z, up.x);
+  _bankUp.applyAxisAngle(direction, -bank);
+  _euler.setFromRotationMatrix(_basis.lookAt(ORIGIN, direction, _bankUp));
+  return [_euler.x, _euler.y, _euler.z];
+}
+
+// Position and rotation `distance` units along a path, `up` being the
+// player's up
+function samplePath(path, distance, config = WINGMAN_CONFIG, up = WORLD_UP) {
+  if (path.length <= 0) return { position: path.points[path.points.length - 1], rotation: null };
+
+  const curve = getPathCurve(path);
+  const u = MathUtils.clamp(distance / path.length, 0, 1);
+  const position = toArray(curve.getPointAt(u, _a));
+  curve.getTangentAt(u, _tangent);
+
+  // Turn rate from the tangents just behind and ahead, rolled into the turn
+  const u0 = Math.max(0, u - BANK_SAMPLE / path.length);
+  const u1 = Math.min(1, u + BANK_SAMPLE / path.length);
+  let bank = 0;
+  if (u1 > u0) {
+    curve.getTangentAt(u0, _behind);
+    curve.getTangentAt(u1, _ahead);
+    const turn = _behind.cross(_ahead).dot(up) / ((u1 - u0) * path.length);
+    bank = MathUtils.clamp(turn * config.BANK_STRENGTH, -config.MAX_BANK_ANGLE, config.MAX_BANK_ANGLE);
+  }
+  return { position, rotation: getFlightRotation(_tangent, bank, up) };
+}
+
+// ms the approach takes along `path`
+function getApproachDuration(path, config) {
+  if (config.APPROACH_DURATION != null) return config.APPROACH_DURATION;
+  return (path.length / config.APPROACH_SPEED) * 1000;
+}
+
+// Where the ship is `phaseTime` ms into its approach
+function sampleApproach(path, phaseTime, config, up) {
+  const duration = getApproachDuration(path, config);
+  const progress = duration > 0 ? Math.min(phaseTime / duration, 1) : 1;
+  return { ...samplePath(path, progress * path.length, config, up), progress };
+}
+
+function isLegBlocked(from, to, context) {
+  const flightPath = context.flightPath;
+  if (!flightPath || !flightPath.isBlocked) return false;
+  return Boolean(flightPath.isBlocked(new Vector3().fromArray(from), new Vector3().fromArray(to)));
+}
+
+// Waypoints from `from` to `to`: a blocked leg detours through a point beside
+// its midpoint, further out on each try, until both halves are clear
+function routeLeg(from, to, context, config) {
+  if (!isLegBlocked(from, to, context)) return [from, to];
+
+  const axis = new Vector3().fromArray(to).sub(new Vector3().fromArray(from)).normalize();
+  const side = new Vector3().crossVectors(axis, getPlayerFrame(context).up);
+  if (side.lengthSq() < 1e-6) side.set(1, 0, 0);
+  side.normalize();
+  const lift = new Vector3().crossVectors(side, axis);
+  const directions = [lift, lift.clone().negate(), side, side.clone().negate()];
+  const middle = lerpPositions(from, to, 0.5);
+
+  for (let i = 1; i <= config.PATH_DETOUR_TRIES; i++) {
+    for (let j = 0; j < directions.length; j++) {
+      const waypoint = toArray(_a.fromArray(middle).addScaledVector(directions[j], i * config.PATH_DETOUR_STEP));
+      if (!isLegBlocked(from, waypoint, context) && !isLegBlocked(waypoint, to, context)) {
+        return [from, waypoint, to];
+      }
+    }
+  }
+  // Nothing clear: fly straight through; the flyby never collides anyway
+  return [from, to];
+}
+
+function getTunnel(context) {
+  const tunnel = context.flightPath && context.flightPath.tunnel;
+  return tunnel && tunnel.length > 1 ? toPlain(tunnel) : null;
+}
+
+// Distance along the centerline of the point nearest to `position`
+function projectOnTunnel(tunnel, position) {
+  let nearest = Infinity;
+  let along = 0;
+  let travelled = 0;
+  for (let i = 0; i < tunnel.length - 1; i++) {
+    const start = _a.fromArray(tunnel[i]);
+    const segment = _b.fromArray(tunnel[i + 1]).sub(start);
+    const length = segment.length();
+    const t = length > 0
+      ? MathUtils.clamp(_tangent.fromArray(position).sub(start).dot(segment) / (length * length), 0, 1)
+      : 0;
+    const distance = _tangent.copy(start).addScaledVector(segment, t).distanceTo(_behind.fromArray(position));
+    if (distance < nearest) {
+      nearest = distance;
+      along = travelled + t * length;
+    }
+    travelled += length;
+  }
+  return along;
+}
+
+// Point `along` units down the centerline, extended past either end
+function pointOnTunnel(tunnel, along) {
+  let travelled = 0;
+  for (let i = 0; i < tunnel.length - 1; i++) {
+    const length = distanceBetween(tunnel[i], tunnel[i + 1]);
+    if (along <= travelled + length || i === tunnel.length - 2) {
+      const t = length > 0 ? (along - travelled) / length : 0;
+      return lerpPositions(tunnel[i], tunnel[i + 1], t);
+    }
+    travelled += length;
+  }
+  return tunnel[0];
+}
+
+// Centerline points strictly between two distances, in travel order
+function tunnelBetween(tunnel, fromAlong, toAlong) {
+  const low = Math.min(fromAlong, toAlong);
+  const high = Math.max(fromAlong, toAlong);
+  const points = [];
+  let travelled = 0;
+  tunnel.forEach((point, i) => {
+    if (i > 0) travelled += distanceBetween(tunnel[i - 1], point);
+    if (travelled > low && travelled < high) points.push(point);
+  });
+  return fromAlong > toAlong ? points.reverse() : points;
+}
+
+// 1 when the player flies toward the end of the centerline, -1 otherwise
+function getTunnelDirection(tunnel, along, playerForward) {
+  const here = pointOnTunnel(tunnel, along);
+  const ahead = pointOnTunnel(tunnel, along + 1);
+  const step = _a.fromArray(ahead).sub(_b.fromArray(here));
+  return step.dot(_b.fromArray(playerForward)) >= 0 ? 1 : -1;
+}
+
+// Where wingmen come in from: SPAWN_OFFSET_BEHIND back up the tunnel, or the
+// open-space spawn point
+function getFlightSpawn(context, config = WINGMAN_CONFIG) {
+  const tunnel = getTunnel(context);
+  if (!tunnel) return getSpawnPosition(context.playerPosition, context.playerForward, config, context.playerUp);
+
+  const along = projectOnTunnel(tunnel, context.playerPosition);
+  const direction = getTunnelDirection(tunnel, along, context.playerForward);
+  return pointOnTunnel(tunnel, along - direction * config.SPAWN_OFFSET_BEHIND);
+}
+
+function buildApproachPath(from, to, context, config = WINGMAN_CONFIG) {
+  const tunnel = getTunnel(context);
+  if (tunnel) {
+    const middle = tunnelBetween(tunnel, projectOnTunnel(tunnel, from), projectOnTunnel(tunnel, to));
+    return createPath([from, ...middle, to]);
+  }
+  return createPath(routeLeg(from, to, context, config));
+}
+
+// ESCAPE_DISTANCE on ahead of the player: down the tunnel, or climbing at
+// ESCAPE_CLIMB_ANGLE in the player's frame (then half of it, then level)
+// until the way is clear
+function buildEscapePath(from, context, config = WINGMAN_CONFIG) {
+  const tunnel = getTunnel(context);
+  if (tunnel) {
+    const along = projectOnTunnel(tunnel, from);
+    const end = along + getTunnelDirection(tunnel, along, context.playerForward) * config.ESCAPE_DISTANCE;
+    return createPath([from, ...tunnelBetween(tunnel, along, end), pointOnTunnel(tunnel, end)]);
+  }
+
+  const frame = getPlayerFrame(context);
+  const climbs = [config.ESCAPE_CLIMB_ANGLE, config.ESCAPE_CLIMB_ANGLE / 2, 0];
+  const ends = climbs.map(angle => toArray(new Vector3()
+    .addScaledVector(frame.forward, Math.cos(angle))
+    .addScaledVector(frame.up, Math.sin(angle))
+    .multiplyScalar(config.ESCAPE_DISTANCE)
+    .add(_a.fromArray(from))));
+  const clear = ends.find(end => !isLegBlocked(from, end, context));
+  return createPath(clear ? [from, clear] : routeLeg(from, ends[0], context, config));
+}
+
+// Behind and above the player, in the player's frame
+function getSpawnPosition(playerPosition, playerForward, config = WINGMAN_CONFIG, playerUp) {
+  const frame = getPlayerFrame({ playerForward, playerUp });
+  return fromPlayerFrame(playerPosition, frame, [0, config.SPAWN_OFFSET_ABOVE, config.SPAWN_OFFSET_BEHIND]);
+}
+
+// Alongside the player (ATTACK_OFFSET), in the player's frame
+function getAttackPosition(playerPosition, playerForward = [0, 0, -1], config = WINGMAN_CONFIG, playerUp) {
+  const frame = getPlayerFrame({ playerForward, playerUp });
+  return fromPlayerFrame(playerPosition, frame, config.ATTACK_OFFSET || [5, 2, 0]);
+}
+
+// ============================================================================
+// BUILT-IN ATTACKS
+// ============================================================================
+// An attack receives a context ({ shipPosition, muzzles, targets, damage,
+// config, wingman, random }) with Vector3 positions and returns effect
+// descriptors. `muzzles` holds the world positions of the ship model's gun
+// sockets (empty for the placeholder ship). `random` is the simulation's
+// seeded generator - use it instead of Math.random() so attacks replay
+// identically.
+function gatlingAttack({ shipPosition, muzzles, targets, damage, random }) {
+  const effects = [];
+  targets.forEach((enemy, i) => {
+    // Fire multiple projectiles per enemy with staggered timing, alternating
+    // between the guns when the model has them
+    for (let j = 0; j < 5; j++) {
+      effects.push({
+        type: 'gatling',
+        id: `gatling-${i}-${j}`,
+        startPosition: muzzles.length > 0
+          ? muzzles[(i * 5 + j) % muzzles.length].clone()
+          : shipPosition.clone().add(new Vector3(
+            (random() - 0.5) * 2,
+            (random() - 0.5) * 1,
+            0
+          )),
+        targetId: enemy.id,
+        targetPosition: enemy.position.clone(),
+        delay: j * 50 + i * 30,
+        damage: damage.roundDamage,
+      });
+    }
+  });
+  return effects;
+}
+
+function beamAttack({ shipPosition, muzzles, targets, damage, config }) {
+  return targets.map((enemy, i) => ({
+    type: 'beam',
+    id: `beam-${i}`,
+    startPosition: (muzzles.length > 0 ? muzzles[i % muzzles.length] : shipPosition).clone(),
+    targetId: enemy.id,
+    targetPosition: enemy.position.clone(),
+    delay: i * 50,
+    duration: config.BEAM_LOCK_DURATION,
+    damage: damage.dps * (config.BEAM_LOCK_DURATION / 1000),
+  }));
+}
+
+function lightningAttack({ shipPosition, muzzles, targets, damage, config }) {
+  if (targets.length === 0) return [];
+  const origin = muzzles.length > 0 ? muzzles[0] : shipPosition;
+
+  // Sort enemies by distance for chain effect
+  const sortedEnemies = [...targets].sort((a, b) => {
+    return origin.distanceTo(a.position) - origin.distanceTo(b.position);
+  });
+
+  return [{
+    type: 'lightning',
+    id: 'lightning-chain',
+    targetIds: sortedEnemies.map(enemy => enemy.id),
+    positions: [origin.clone(), ...sortedEnemies.map(enemy => enemy.position.clone())],
+    delay: 0,
+    duration: config.LIGHTNING_CHAIN_DURATION,
+    damage: damage.baseDamage,
+    falloff: damage.falloff,
+    explosionColor: '#ffff00',
+  }];
+}
+
+function missileAttack({ shipPosition, muzzles, targets, damage, config }) {
+  return targets.map((enemy, i) => ({
+    type: 'missile',
+    id: `missile-${i}`,
+    startPosition: muzzles.length > 0
+      ? muzzles[i % muzzles.length].clone()
+      : shipPosition.clone().add(new Vector3(
+        (i % 3 - 1) * 1.5,
+        Math.floor(i / 3) * 0.5,
+        0
+      )),
+    targetId: enemy.id,
+    targetPosition: enemy.position.clone(),
+    delay: 0, // All fired at once
+    flightTime: config.MISSILE_FLIGHT_TIME,
+    damage: damage.directDamage,
+    splash: { radius: damage.splashRadius, damage: damage.splashDamage },
+  }));
+}
+
+// The four classic wingmen without any rendering attached, for use in Node
+const DEFAULT_WINGMEN = [
+  {
+    id: 'falco',
+    name: WINGMAN_CONFIG.WINGMAN_NAMES[0],
+    color: WINGMAN_CONFIG.WINGMAN_COLORS[0],
+    label: 'GATLING GUNS',
+    damage: WINGMAN_CONFIG.WINGMAN_DAMAGE[0],
+    attack: gatlingAttack,
+    reticle: { shape: 'square' },
+    voiceLines: {
+      callIn: ['Coming in hot!', "Move over, I'll handle this.", "Hang on, I've got your back."],
+      attack: ['Eat lead!', 'Guns, guns, guns!'],
+      escape: ["That's how it's done.", "Don't make a habit of this."],
+      noTargets: ["There's nothing out there!", "Call me when there's something to shoot."],
+      rescue: ['Get this guy off me!', "I've got one on my tail!"],
+      thanks: ["Heh, I didn't need your help.", 'Not bad.'],
+      downed: ["I'm hit! Heading back!", 'Falco, going down!'],
+    },
+  },
+  {
+    id: 'slippy',
+    name: WINGMAN_CONFIG.WINGMAN_NAMES[1],
+    color: WINGMAN_CONFIG.WINGMAN_COLORS[1],
+    label: 'BEAM GUNS',
+    damage: WINGMAN_CONFIG.WINGMAN_DAMAGE[1],
+    attack: beamAttack,
+    reticle: { shape: 'ring' },
+    voiceLines: {
+      callIn: ['On my way!', 'Beams charged, here I come!'],
+      attack: ['Locking on!', 'Targets locked!'],
+      escape: ['Whew, made it!', 'Catch you later!'],
+      noTargets: ['My scanners are empty!', "I don't see anything..."],
+      rescue: ['Help me! Help me!', "I can't shake him!"],
+      thanks: ['Thanks, I owe you one!', 'Phew, that was close!'],
+      downed: ["I've been hit! I'm going back!", 'Aaah! Going down!'],
+    },
+  },
+  {
+    id: 'peppy',
+    name: WINGMAN_CONFIG.WINGMAN_NAMES[2],
+    color: WINGMAN_CONFIG.WINGMAN_COLORS[2],
+    label: 'LIGHTNING GUN',
+    damage: WINGMAN_CONFIG.WINGMAN_DAMAGE[2],
+    attack: lightningAttack,
+    reticle: { shape: 'diamond', chain: true },
+    voiceLines: {
+      callIn: ["Hold on, I'm coming!", 'Let an old pro show you how.'],
+      attack: ["Light 'em up!", "Chain's away!"],
+      escape: ['Stay sharp out there.', 'Good luck, kid.'],
+      noTargets: ['Save it for when you need it.', "Nothing's there, don't waste it."],
+      rescue: ['Get him off my tail!', "He's right behind me!"],
+      thanks: ['Thanks, I owe you.', "You're becoming more like your father."],
+      downed: ["I'm hit! I'll have to head back!", 'Too much damage, pulling out!'],
+    },
+  },
+  {
+    id: 'krystal',
+    name: WINGMAN_CONFIG.WINGMAN_NAMES[3],
+    color: WINGMAN_CONFIG.WINGMAN_COLORS[3],
+    label: 'MISSILE SWARM',
+    damage: WINGMAN_CONFIG.WINGMAN_DAMAGE[3],
+    attack: missileAttack,
+    reticle: { shape: 'triangle' },
+    voiceLines: {
+      callIn: ["I'm with you.", 'Moving in.'],
+      attack: ['Missiles away!', 'All targets marked!'],
+      escape: ['Be careful.', 'Pulling out.'],
+      noTargets: ['I sense nothing nearby.', "There's nothing to engage."],
+      rescue: ["I'm being followed!", 'Someone help me!'],
+      thanks: ['Thank you.', "I'm clear."],
+      downed: ["I've taken too much damage!", 'Krystal, retreating!'],
+    },
+  },
+];
+
+// ============================================================================
+// EFFECT BEHAVIORS
+// ============================================================================
+// A behavior advances one effect. It receives the effect (with `age` already
+// advanced by the step) and the step tools, and returns `{ effect, impact }`.
+// `impact` is `{ targetId, position }` for a single hit or
+// `{ targetIds, positions }` for chained hits; an effect with `done: true`
+// is removed after the step. Behaviors report sounds with
+// `tools.emit(cue, position)`.
+const EFFECT_BEHAVIORS = {
+  gatling(effect, tools) {
+    if (effect.age < effect.delay) return { effect };
+
+    const from = effect.position || effect.startPosition;
+    const target = tools.track(effect, from);
+    if (!target) return { effect: { ...effect, done: true } };
+    if (!effect.active) tools.emit('gatling-fire', from);
+
+    // Re-aim every step so rounds never trail a moving target
+    const step = GATLING_SPEED * (tools.delta / 1000);
+    if (distanceBetween(from, target.position) < 2 + step) {
+      return {
+        effect: { ...effect, targetId: target.targetId, position: target.position, done: true },
+        impact: target,
+      };
+    }
+
+    return {
+      effect: {
+        ...effect,
+        active: true,
+        targetId: target.targetId,
+        position: moveTowards(from, target.position, step),
+      },
+    };
+  },
+
+  beam(effect, tools) {
+    if (effect.age < effect.delay) return { effect };
+
+    // Keep the beam attached to the target while it is locked
+    const target = tools.track(effect, effect.startPosition);
+    if (!target) {
+      if (effect.active) tools.emit('beam-release', effect.endPosition);
+      return { effect: { ...effect, done: true } };
+    }
+    if (!effect.active) tools.emit('beam-lock', target.position);
+
+    const next = { ...effect, active: true, targetId: target.targetId, endPosition: target.position };
+    if (effect.age >= effect.delay + effect.duration) {
+      tools.emit('beam-release', target.position);
+      return { effect: { ...next, done: true }, impact: target };
+    }
+    return { effect: next };
+  },
+
+  lightning(effect, tools) {
+    if (effect.age < effect.delay) return { effect };
+
+    const chainEnd = effect.delay + effect.duration;
+    if (effect.stage === 'explode') {
+      const finished = effect.age >= chainEnd + LIGHTNING_EXPLODE_DURATION;
+      return { effect: finished ? { ...effect, done: true } : effect };
+    }
+
+    // Current chain: the start point followed by every target still alive,
+    // so the bolt re-routes around enemies that despawn mid-attack
+    const chainIds = [];
+    const nodes = [effect.positions[0]];
+    effect.targetIds.forEach(enemyId => {
+      const position = tools.resolveTarget(enemyId);
+      if (!position) return;
+      chainIds.push(enemyId);
+      nodes.push(position);
+    });
+
+    // One crackle per hop, rolling down the chain
+    const hopsPlayed = effect.hopsPlayed || 0;
+    const hopsDue = Math.min(
+      Math.floor((effect.age - effect.delay) / LIGHTNING_JITTER_INTERVAL) + 1,
+      nodes.length - 1
+    );
+    for (let hop = hopsPlayed; hop < hopsDue; hop++) {
+      tools.emit('lightning-hop', nodes[hop + 1]);
+    }
+
+    if (effect.age >= chainEnd) {
+      const positions = nodes.slice(1);
+      return {
+        effect: {
+          ...effect,
+          stage: 'explode',
+          nodes,
+          chainIds,
+          hitPositions: positions,
+          hopsPlayed: Math.max(hopsPlayed, hopsDue),
+        },
+        impact: { targetIds: chainIds, positions },
+      };
+    }
+
+    // Bolt shape is re-rolled from the seeded generator at a fixed rate
+    const reshape = effect.jitterSeed == null
+      || effect.age - effect.jitterTime >= LIGHTNING_JITTER_INTERVAL;
+    return {
+      effect: {
+        ...effect,
+        stage: 'chain',
+        nodes,
+        chainIds,
+        hopsPlayed: Math.max(hopsPlayed, hopsDue),
+        jitterSeed: reshape ? Math.floor(tools.random() * 4294967296) : effect.jitterSeed,
+        jitterTime: reshape ? effect.age : effect.jitterTime,
+      },
+    };
+  },
+
+  missile(effect, tools) {
+    if (effect.age < effect.delay) return { effect };
+
+    if (effect.stage === 'exploded') {
+      const finished = effect.age >= effect.explodedAt + MISSILE_EXPLODE_DURATION;
+      return { effect: finished ? { ...effect, done: true } : effect };
+    }
+
+    const from = effect.position || effect.startPosition;
+    if (!effect.stage) tools.emit('missile-launch', from);
+    const target = tools.track(effect, from);
+    if (!target) {
+      // Target gone and nothing to retarget: detonate in place
+      tools.emit('missile-impact', from);
+      return { effect: { ...effect, stage: 'exploded', explodedAt: effect.age, impactPosition: from } };
+    }
+
+    // Curved path - arc up then down, homing on the live target position
+    const progress = Math.min((effect.age - effect.delay) / effect.flightTime, 1);
+    const position = lerpPositions(effect.startPosition, target.position, progress);
+    position[1] += Math.sin(progress * Math.PI) * MISSILE_ARC_HEIGHT;
+
+    if (progress >= 1) {
+      tools.emit('missile-impact', target.position);
+      return {
+        effect: {
+          ...effect,
+          stage: 'exploded',
+          explodedAt: effect.age,
+          targetId: target.targetId,
+          position: target.position,
+          impactPosition: target.position,
+        },
+        impact: target,
+      };
+    }
+
+    return {
+      effect: { ...effect, stage: 'flight', targetId: target.targetId, position, aimPosition: target.position },
+    };
+  },
+
+  // Fallback for custom effect types: hits its target once `delay + duration`
+  // has elapsed
+  timed(effect, tools) {
+    const delay = effect.delay || 0;
+    if (effect.age < delay + (effect.duration || 0)) {
+      return { effect: { ...effect, active: effect.age >= delay } };
+    }
+
+    const target = tools.track(effect, effect.startPosition);
+    return { effect: { ...effect, done: true }, impact: target || undefined };
+  },
+};
+
+function getEffectBehavior(wingman, type) {
+  const custom = wingman && wingman.effectBehaviors && wingman.effectBehaviors[type];
+  return custom || EFFECT_BEHAVIORS[type] || EFFECT_BEHAVIORS.timed;
+}
+
+// ============================================================================
+// TARGETING
+// ============================================================================
+// Without a policy every enemy is a target. `context.targeting` narrows that
+// down (all fields optional):
+//   maxTargets  cap per special, taken in priority order (nearest-N)
+//   maxRange    ignore enemies further than this from the player
+//   coneAngle   half-angle in radians around playerForward; enemies outside
+//               the cone (e.g. behind the player) are ignored
+//   exclude     flag name (e.g. 'untargetable') or predicate(enemy)
+//   priority    (enemy) => number, higher first; ties and the default go
+//               to the nearest enemy
+//   isOccluded  (from, to, enemy) => boolean, called with Vector3s from the
+//               wingman's firing position; blocked enemies are skipped
+// A wingman's own `maxTargets` further caps its share.
+const _forward = new Vector3();
+
+function isExcluded(enemy, exclude) {
+  if (!exclude) return false;
+  return typeof exclude === 'function' ? Boolean(exclude(enemy)) : Boolean(enemy[exclude]);
+}
+
+// Range, cone and exclusion checks; the cheap filters shared with retargeting
+function isTargetable(enemy, context) {
+  const targeting = context.targeting;
+  if (!targeting) return true;
+  if (isExcluded(enemy, targeting.exclude)) return false;
+
+  const offset = _a.fromArray(enemy.position).sub(_b.fromArray(context.playerPosition));
+  if (targeting.maxRange != null && offset.length() > targeting.maxRange) return false;
+
+  if (targeting.coneAngle != null && offset.lengthSq() > 0) {
+    const forward = _forward.fromArray(context.playerForward).normalize();
+    if (offset.angleTo(forward) > targeting.coneAngle) return false;
+  }
+  return true;
+}
+
+function hasLineOfSight(enemy, fromPosition, context) {
+  const targeting = context.targeting;
+  if (!targeting || !targeting.isOccluded) return true;
+  return !targeting.isOccluded(
+    new Vector3().fromArray(fromPosition),
+    new Vector3().fromArray(enemy.position),
+    enemy
+  );
+}
+
+// Ordered ids of the enemies a wingman should attack from `fromPosition`
+function selectTargets(context, wingman, fromPosition) {
+  const targeting = context.targeting || {};
+  const distance = enemy => distanceBetween(enemy.position, context.playerPosition);
+
+  const candidates = context.enemies
+    .filter(enemy => isTargetable(enemy, context) && hasLineOfSight(enemy, fromPosition, context))
+    .map(enemy => ({
+      enemy,
+      distance: distance(enemy),
+      priority: targeting.priority ? targeting.priority(enemy) : 0,
+    }))
+    .sort((a, b) => (b.priority - a.priority) || (a.distance - b.distance));
+
+  const caps = [targeting.maxTargets, wingman && wingman.maxTargets].filter(cap => cap != null);
+  const limit = caps.length > 0 ? Math.min(...caps) : candidates.length;
+
+  return candidates.slice(0, limit).map(candidate => candidate.enemy.id);
+}
+
+// ============================================================================
+// DAMAGE MODEL
+// ============================================================================
+// Damage actually dealt by a single hit after immunity and flat armor.
+function computeHitDamage(enemy, amount) {
+  if (!enemy || enemy.immune) return 0;
+  return Math.max(0, amount - (enemy.armor || 0));
+}
+
+// ============================================================================
+// LOCK-ON
+// ============================================================================
+// Targets are marked the moment a special or combo is called in, so the HUD
+// can telegraph the attack during the approach and enemy AI can react to it.
+// `state.locks` holds one { enemyId, wingmanId, origin, lockedAt } per target,
+// in the wingman's target order; `origin` is the attack position it fires
+// from. A lock clears when its enemy is hit or despawns, when its wingman is
+// shot down before firing, and when the attack gives way to the escape.
+// Escort volleys fire as soon as they pick, so they never lock.
+function lockTargets(next, assignments, events) {
+  const locks = [];
+  const targets = {};
+  assignments.forEach(({ wingmanId, targetIds, origin }) => {
+    targets[wingmanId] = targetIds;
+    targetIds.forEach(enemyId => locks.push({ enemyId, wingmanId, origin, lockedAt: next.time }));
+  });
+  next.locks = locks;
+  events.push({ type: 'targeted', enemyIds: locks.map(lock => lock.enemyId), targets });
+}
+
+function releaseLocks(next, keep) {
+  if (!next.locks || next.locks.length === 0) return;
+  next.locks = next.locks.filter(keep);
+}
+
+// ============================================================================
+// AUDIO CUES
+// ============================================================================
+// Sounds are simulation events like any other ({ type: 'audio', cue,
+// position, wingmanId }), so they pause, slow down and replay with the
+// special. `position` is the world position the sound comes from.
+const AUDIO_CUES = [
+  'flyby',           // Wingman starts its approach
+  'gatling-fire',    // Each gatling round leaves the guns
+  'beam-lock',       // A beam locks onto its target
+  'beam-release',    // ...and lets go
+  'lightning-hop',   // Each hop of the lightning chain
+  'missile-launch',
+  'missile-impact',
+  'explosion',       // Any hit explosion, as it appears
+  'escape',          // Wingman climbs away
+];
+
+function createAudioEvent(next, cue, position, detail) {
+  return {
+    type: 'audio',
+    cue,
+    position: position || next.shipPosition,
+    wingmanId: next.wingmanId,
+    ...detail,
+  };
+}
+
+// ============================================================================
+// VOICE LINES
+// ============================================================================
+// A wingman's `voiceLines` maps a moment to its lines. Lines are strings or
+// { text, audio?, weight?, duration? }; `audio` is a clip URL and `duration`
+// (ms) how long the subtitle stays up without one. Moments:
+//   callIn     the special is accepted
+//   attack     the wingman opens fire
+//   escape     the wingman climbs away
+//   noTargets  the trigger was refused because nothing could be targeted
+//   rescue     an enemy is on the wingman's tail (see ALLY HEALTH)
+//   thanks     the player shot the pursuer down
+//   downed     the wingman was shot down
+const VOICE_MOMENTS = ['callIn', 'attack', 'escape', 'noTargets', 'rescue', 'thanks', 'downed'];
+
+function normalizeVoiceLine(line) {
+  return typeof line === 'string' ? { text: line } : line;
+}
+
+// Weighted random pick that never repeats `lastIndex` when there is a choice
+function pickVoiceLine(lines, random, lastIndex = -1) {
+  const weights = lines.map((line, i) => {
+    if (i === lastIndex && lines.length > 1) return 0;
+    const { weight } = normalizeVoiceLine(line);
+    return weight == null ? 1 : Math.max(0, weight);
+  });
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) return -1;
+
+  // Floating-point leftovers fall through to the last eligible line
+  let roll = random() * total;
+  let picked = -1;
+  for (let i = 0; i < weights.length; i++) {
+    if (weights[i] <= 0) continue;
+    picked = i;
+    roll -= weights[i];
+    if (roll < 0) break;
+  }
+  return picked;
+}
+
+function addVoiceLine(next, wingman, moment, random, events) {
+  const lines = wingman && wingman.voiceLines && wingman.voiceLines[moment];
+  if (!lines || lines.length === 0) return;
+
+  // Remember the last pick per wingman and moment to avoid repeats
+  const key = `${wingman.id}:${moment}`;
+  const history = next.voiceHistory || {};
+  const index = pickVoiceLine(lines, random, key in history ? history[key] : -1);
+  if (index === -1) return;
+
+  next.voiceHistory = { ...history, [key]: index };
+  events.push({
+    type: 'voice',
+    wingmanId: wingman.id,
+    moment,
+    index,
+    ...normalizeVoiceLine(lines[index]),
+  });
+}
+
+// ============================================================================
+// SIMULATION STATE
+// ============================================================================
+// Everything in the state is plain data: it can be stored, compared and
+// JSON-serialized. Phases: 'idle' | 'approach' | 'attack' | 'escape' | 'downed'.
+function createWingmanState({ seed = 1 } = {}) {
+  return {
+    phase: 'idle',
+    phaseTime: 0,         // ms spent in the current phase
+    time: 0,              // total simulated ms
+    cooldown: 0,
+    rng: seed >>> 0,
+    wingmanId: null,
+    targetIds: [],
+    locks: [],            // targets marked for the attack (see LOCK-ON)
+    shipPosition: [0, 0, 0],
+    shipRotation: [0, Math.PI, 0],
+    attackPosition: [0, 0, 0],
+    path: null,           // approach or escape path (see FLIGHT PATH)
+    effects: [],
+    explosions: [],
+    health: {},           // enemyId -> remaining health
+    destroyed: [],        // enemy ids killed by this special
+    serial: 0,            // id counter for explosions and chains
+    voiceHistory: {},     // 'wingmanId:moment' -> last line index
+    escorts: [],          // wingmen flying escort (see ESCORT MODE)
+    escortKills: [],      // enemy ids already reported by escorts
+    downedFrom: null,     // where the special's ship was shot down
+    downedFrame: null,    // { rotation, forward, up } it was shot down in
+    allies: {},           // wingmanId -> health (see ALLY HEALTH)
+    combo: null,          // combo special in flight (see COMBO TEAM SPECIAL)
+    comboCooldown: 0,
+    maxComboCooldown: 0,
+    maxCooldown: 0,       // length of the running cooldown (see ACTIVATION RULES)
+    wingmanCooldowns: {}, // wingmanId -> { cooldown, maxCooldown }
+    meter: 0,
+    charges: 0,
+    spentCharges: 0,
+  };
+}
+
+// The simulation never reads the scene graph or the clock directly. Each call
+// receives a context snapshot:
+//   enemies            [{ id, position: [x, y, z], health?, armor?, immune? }]
+//   playerPosition     [x, y, z]
+//   playerForward      [x, y, z]
+//   playerUp           [x, y, z], defaults to world up; with playerForward it
+//                      sets the frame spawn, attack and escape are placed in
+//   wingmen            roster of wingman definitions
+//   config             defaults to WINGMAN_CONFIG
+//   damageScale        defaults to 1
+//   lostTargetBehavior 'retarget' (default) | 'fizzle'
+//   targeting          target selection policy (see TARGETING)
+//   activation         cooldown and charge rules (see ACTIVATION RULES)
+//   flightPath         tunnel centerline or clearance check (see FLIGHT PATH)
+//   muzzles            { [wingmanId]: [[x, y, z], ...] } gun sockets in the
+//                      ship's local frame, reported by the ship model
+function findWingman(context, wingmanId) {
+  return (context.wingmen || DEFAULT_WINGMEN).find(w => w.id === wingmanId) || null;
+}
+
+function createStepTools(next, context, random, delta, events) {
+  const enemyIndex = new Map(context.enemies.map(enemy => [enemy.id, enemy]));
+
+  const resolveTarget = (enemyId) => {
+    const enemy = enemyIndex.get(enemyId);
+    return enemy ? enemy.position : null;
+  };
+
+  // Nearest surviving enemy to hand a lost effect to, or null to fizzle
+  const retarget = (lostId, fromPosition) => {
+    if (context.lostTargetBehavior === 'fizzle') return null;
+
+    let nearestId = null;
+    let nearestDistance = Infinity;
+    enemyIndex.forEach((enemy, enemyId) => {
+      if (enemyId === lostId || next.destroyed.includes(enemyId)) return;
+      if (!isTargetable(enemy, context) || !hasLineOfSight(enemy, fromPosition, context)) return;
+      const distance = distanceBetween(enemy.position, fromPosition);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearestId = enemyId;
+      }
+    });
+    return nearestId;
+  };
+
+  // Live target of an effect, following it to a new enemy if the old one
+  // despawned. Effects without a `targetId` aim at their fixed `targetPosition`.
+  const track = (effect, fromPosition) => {
+    if (effect.targetId == null) {
+      return effect.targetPosition ? { targetId: null, position: effect.targetPosition } : null;
+    }
+    const position = resolveTarget(effect.targetId);
+    if (position) return { targetId: effect.targetId, position };
+
+    const nextId = retarget(effect.targetId, fromPosition);
+    return nextId == null ? null : { targetId: nextId, position: resolveTarget(nextId) };
+  };
+
+  const tools = {
+    delta,
+    random,
+    wingmanId: next.wingmanId, // owner of the effect being stepped
+    getEnemy: enemyId => enemyIndex.get(enemyId),
+    resolveTarget,
+    retarget,
+    track,
+    getDistance: distanceBetween,
+    emit: (cue, position, detail) => {
+      events.push(createAudioEvent(next, cue, position, { wingmanId: tools.wingmanId, ...detail }));
+    },
+  };
+  return tools;
+}
+
+function enterPhase(next, phase, events) {
+  events.push({ type: 'phase', phase, previous: next.phase });
+  next.phase = phase;
+  next.phaseTime = 0;
+}
+
+function addExplosion(next, position, color, delay = 0) {
+  next.serial += 1;
+  next.explosions.push({
+    id: `explosion-${next.serial}`,
+    position,
+    color,
+    age: -delay, // Negative until the explosion appears
+  });
+}
+
+// Apply one hit to an enemy; returns true if the hit destroyed it
+function damageEnemy(next, enemyId, amount, source, tools, context, events) {
+  releaseLocks(next, lock => lock.enemyId !== enemyId);
+  if (next.destroyed.includes(enemyId)) return false;
+
+  const enemy = tools.getEnemy(enemyId);
+  const scale = context.damageScale == null ? 1 : context.damageScale;
+  const damage = computeHitDamage(enemy, amount * scale);
+  if (damage <= 0) return false;
+
+  const health = enemyId in next.health ? next.health[enemyId] : enemy.health;
+  const remaining = health == null ? 0 : health - damage;
+  next.health[enemyId] = remaining;
+  events.push({ type: 'damage', enemyId, amount: damage, source });
+
+  if (remaining <= 0) {
+    next.destroyed.push(enemyId);
+    return true;
+  }
+  return false;
+}
+
+function applyImpact(next, effect, impact, wingman, tools, context, events) {
+  const source = effect.source || effect.type;
+  const color = effect.explosionColor || (wingman && wingman.color) || '#ff8800';
+
+  // Every kill is announced as it happens. The special reports its batch
+  // when the attack ends; escorts report theirs right away
+  const hit = (enemyId, amount, hitSource, position, chain = null) => {
+    const killed = damageEnemy(next, enemyId, amount, hitSource, tools, context, events);
+    if (killed) {
+      events.push({
+        type: 'kill',
+        enemyId,
+        wingmanId: effect.wingmanId || next.wingmanId,
+        weapon: effect.type,
+        source: hitSource,
+        order: next.destroyed.length,
+        position,
+        time: next.time,
+        escort: Boolean(effect.escort),
+        combo: Boolean(effect.combo),
+        chain,
+      });
+    }
+    if (killed && effect.escort) {
+      next.escortKills = [...next.escortKills, enemyId];
+      events.push({ type: 'destroyed', enemyIds: [enemyId], wingmanId: effect.wingmanId, escort: true });
+    } else if (killed && effect.combo) {
+      // Reported when the combo ends its attack, or right away if it already has
+      if (next.combo) {
+        next.combo = { ...next.combo, kills: [...next.combo.kills, enemyId] };
+      } else {
+        events.push({ type: 'destroyed', enemyIds: [enemyId], wingmanId: effect.wingmanId, escort: false, combo: true });
+      }
+    }
+    return killed;
+  };
+
+  if (impact.targetIds) {
+    // Chained hits: damage falls off along the surviving chain, and only
+    // enemies that actually died explode. Each chain gets its own id so its
+    // kills can be told from another chain's in the same step
+    const length = impact.targetIds.length;
+    next.serial += 1;
+    const id = `chain-${next.serial}`;
+    impact.targetIds.forEach((enemyId, i) => {
+      const amount = (effect.damage || 0) * Math.pow(effect.falloff || 1, i);
+      if (hit(enemyId, amount, source, impact.positions[i], { id, hop: i, length })) {
+        addExplosion(next, impact.positions[i], color, i * CHAIN_EXPLOSION_STAGGER);
+      }
+    });
+    return;
+  }
+
+  hit(impact.targetId, effect.damage || 0, source, impact.position);
+
+  // Splash obeys the targeting rules too: excluded enemies are never hit
+  if (effect.splash) {
+    context.enemies.forEach(enemy => {
+      if (enemy.id === impact.targetId || !isTargetable(enemy, context)) return;
+      if (distanceBetween(enemy.position, impact.position) <= effect.splash.radius) {
+        hit(enemy.id, effect.splash.damage, 'splash', enemy.position);
+      }
+    });
+  }
+
+  addExplosion(next, impact.position, color);
+}
+
+// Runs a wingman's attack from a ship pose and returns the new effects, each
+// tagged with the wingman that owns it
+function fireAttack(wingman, position, rotation, targetIds, tools, context) {
+  const config = context.config || WINGMAN_CONFIG;
+
+  // Targets that despawned in the meantime are dropped
+  const targets = targetIds
+    .filter(enemyId => tools.resolveTarget(enemyId))
+    .map(enemyId => ({ id: enemyId, position: new Vector3().fromArray(tools.resolveTarget(enemyId)) }));
+
+  // Gun sockets measured on the ship model, in the ship's local frame
+  const shipPosition = new Vector3().fromArray(position);
+  const shipRotation = new Euler(...rotation);
+  const offsets = (context.muzzles && context.muzzles[wingman.id]) || [];
+  const muzzles = offsets.map(offset => new Vector3().fromArray(offset).applyEuler(shipRotation).add(shipPosition));
+
+  const descriptors = wingman.attack({
+    shipPosition,
+    muzzles,
+    targets,
+    damage: wingman.damage || {},
+    config,
+    wingman,
+    random: tools.random,
+  }) || [];
+
+  return descriptors.map(descriptor => ({ ...toPlain(descriptor), wingmanId: wingman.id, age: 0 }));
+}
+
+function launchAttack(next, wingman, tools, context) {
+  next.effects = [
+    ...next.effects,
+    ...fireAttack(wingman, next.attackPosition, next.shipRotation, next.targetIds, tools, context),
+  ];
+}
+
+// ============================================================================
+// ESCORT MODE
+// ============================================================================
+// An escort joins for a while instead of making a single pass: it flies to a
+// formation slot beside the player, holds it and fires a volley every
+// ESCORT_FIRE_INTERVAL, then climbs away like the special. Each entry in
+// `state.escorts` is { wingmanId, slotIndex, slot, phase, phaseTime,
+// remaining, fireTimer, volley, shipPosition, shipRotation, escapeFrom, path,
+// pathFrame, downedFrame }, with phases 'approach' | 'escort' | 'escape' |
+// 'downed'. A wingman may
+// override the volley with `escortFireInterval` and `escortMaxTargets`.
+//
+// The slot moves with the player, and so does the spawn point, so the
+// approach path is built once and then shifted along with the slot.
+// `pathFrame` ({ slot, forward, up }) records what it was built for; it is
+// routed again once the slot drifts ESCORT_REPATH_DISTANCE or the player
+// turns ESCORT_REPATH_ANGLE, since obstacles don't move along.
+
+function enterEscortPhase(escort, phase, events) {
+  events.push({ type: 'escort', wingmanId: escort.wingmanId, phase, previous: escort.phase });
+  return { ...escort, phase, phaseTime: 0, path: null, pathFrame: null };
+}
+
+function needsEscortPath(escort, slot, frame, config) {
+  const built = escort.pathFrame;
+  if (!escort.path || !built) return true;
+  return distanceBetween(built.slot, slot) > config.ESCORT_REPATH_DISTANCE
+    || _a.fromArray(built.forward).angleTo(frame.forward) > config.ESCORT_REPATH_ANGLE
+    || _b.fromArray(built.up).angleTo(frame.up) > config.ESCORT_REPATH_ANGLE;
+}
+
+function stepEscort(escort, next, deltaMs, tools, context, random, events) {
+  const config = context.config || WINGMAN_CONFIG;
+  const wingman = findWingman(context, escort.wingmanId);
+  const frame = getPlayerFrame(context);
+  const slot = fromPlayerFrame(context.playerPosition, frame, escort.slot);
+  let current = { ...escort, phaseTime: escort.phaseTime + deltaMs };
+
+  switch (current.phase) {
+    case 'approach': {
+      // Fly from the spawn point into the (moving) slot
+      if (needsEscortPath(current, slot, frame, config)) {
+        current.path = buildApproachPath(getFlightSpawn(context, config), slot, context, config);
+        current.pathFrame = { slot, forward: toArray(frame.forward), up: toArray(frame.up) };
+      }
+      const flight = sampleApproach(current.path, current.phaseTime, config, frame.up);
+      const drift = _a.fromArray(slot).sub(_b.fromArray(current.pathFrame.slot));
+      current.shipPosition = toArray(drift.add(_b.fromArray(flight.position)));
+      if (flight.rotation) current.shipRotation = flight.rotation;
+
+      if (flight.progress >= 1) current = enterEscortPhase(current, 'escort', events);
+      break;
+    }
+
+    case 'escort': {
+      current.shipPosition = slot;
+      current.shipRotation = getFlightRotation(frame.forward, 0, frame.up);
+      current.remaining -= deltaMs;
+      current.fireTimer -= deltaMs;
+
+      if (current.fireTimer <= 0 && wingman) {
+        current.fireTimer += (wingman.escortFireInterval || config.ESCORT_FIRE_INTERVAL);
+        const volleyCap = wingman.escortMaxTargets || config.ESCORT_MAX_TARGETS;
+        const maxTargets = wingman.maxTargets == null ? volleyCap : Math.min(wingman.maxTargets, volleyCap);
+        const targetIds = selectTargets(context, { ...wingman, maxTargets }, slot)
+          .filter(enemyId => !next.destroyed.includes(enemyId));
+
+        if (targetIds.length > 0) {
+          // Prefix ids so volleys never collide with each other or the special
+          const prefix = `escort-${escort.wingmanId}-${current.volley}`;
+          current.volley += 1;
+          const volley = fireAttack(wingman, slot, current.shipRotation, targetIds, tools, context)
+            .map(effect => ({ ...effect, id: `${prefix}:${effect.id}`, escort: true }));
+          next.effects = [...next.effects, ...volley];
+        }
+      }
+
+      if (current.remaining <= 0) {
+        current = enterEscortPhase(current, 'escape', events);
+        current.escapeFrom = current.shipPosition;
+        events.push(createAudioEvent(next, 'escape', current.shipPosition, { wingmanId: escort.wingmanId }));
+        addVoiceLine(next, wingman, 'escape', random, events);
+      }
+      break;
+    }
+
+    case 'escape': {
+      // Up and away; the path is built on the first escape step
+      if (!current.path) current.path = buildEscapePath(current.escapeFrom, context, config);
+      const progress = Math.min(current.phaseTime / config.ESCAPE_DURATION, 1);
+      const flight = samplePath(current.path, progress * current.path.length, config, frame.up);
+      current.shipPosition = flight.position;
+      if (flight.rotation) current.shipRotation = flight.rotation;
+
+      if (progress >= 1) {
+        events.push({ type: 'escort', wingmanId: escort.wingmanId, phase: 'gone', previous: 'escape' });
+        return null;
+      }
+      break;
+    }
+
+    case 'downed': {
+      const progress = Math.min(current.phaseTime / config.DOWNED_FALL_DURATION, 1);
+      const fall = getDownedTransform(current.escapeFrom, current.downedFrame, progress);
+      current.shipPosition = fall.position;
+      current.shipRotation = fall.rotation;
+
+      if (progress >= 1) {
+        events.push({ type: 'escort', wingmanId: escort.wingmanId, phase: 'gone', previous: 'downed' });
+        return null;
+      }
+      break;
+    }
+  }
+
+  return current;
+}
+
+// ============================================================================
+// ALLY HEALTH
+// ============================================================================
+// Optional: wingmen only take damage when the game reports hits through
+// `damageWingman`. `state.allies` holds { health, maxHealth, downed,
+// recoverIn, pursuerId, rescueTime } per wingman that has been hit; a wingman
+// without an entry is at full health. Below RESCUE_HEALTH the wingman calls
+// for help against the enemy that hit it ('rescue' events with outcome
+// 'request', then 'saved', 'failed' or 'expired'). At zero health the ship
+// spirals out and the wingman sits out DOWNED_DURATION.
+function getAlly(state, wingman, config) {
+  const ally = state.allies && state.allies[wingman.id];
+  if (ally) return ally;
+  const maxHealth = wingman.maxHealth || config.WINGMAN_HEALTH;
+  return { health: maxHealth, maxHealth, downed: false, recoverIn: 0, pursuerId: null, rescueTime: 0 };
+}
+
+function isWingmanDowned(state, wingmanId) {
+  const ally = state.allies && state.allies[wingmanId];
+  return Boolean(ally && ally.downed);
+}
+
+// Wingman ships currently in the fight, for enemy AI to pick on
+function getTargetableWingmen(state) {
+  const ships = [];
+  if (state.wingmanId != null && ['approach', 'attack', 'escape'].includes(state.phase)) {
+    ships.push({ wingmanId: state.wingmanId, position: state.shipPosition, escort: false });
+  }
+  (state.escorts || []).forEach(escort => {
+    if (escort.phase === 'downed') return;
+    ships.push({ wingmanId: escort.wingmanId, position: escort.shipPosition, escort: true });
+  });
+  if (state.combo) {
+    state.combo.members.forEach(member => {
+      if (member.downedFrom) return;
+      ships.push({ wingmanId: member.wingmanId, position: member.shipPosition, escort: false });
+    });
+  }
+  return ships;
+}
+
+// Nose-down corkscrew away from `from`, falling along the player's down and
+// drifting behind them. `downedFrame` ({ rotation, forward, up }) is the
+// ship's rotation and the player's frame when it was hit; the ship pitches
+// and rolls about its own axes from there.
+const _fallQuaternion = new Quaternion();
+const _spin = new Quaternion();
+const _axisX = new Vector3(1, 0, 0);
+const _axisZ = new Vector3(0, 0, 1);
+
+function getDownedTransform(from, downedFrame, progress) {
+  const { rotation = [0, Math.PI, 0], forward = [0, 0, -1], up } = downedFrame || {};
+  const frame = getPlayerFrame({ playerForward: forward, playerUp: up });
+  const angle = progress * DOWNED_SPIRAL_TURNS * Math.PI * 2;
+  const position = fromPlayerFrame(from, frame, [
+    Math.sin(angle) * 3,
+    -progress * progress * 40,
+    progress * 15 + Math.cos(angle) * 3 - 3,
+  ]);
+
+  _fallQuaternion.setFromEuler(_euler.set(...rotation))
+    .multiply(_spin.setFromAxisAngle(_axisX, -0.6 * progress))
+    .multiply(_spin.setFromAxisAngle(_axisZ, angle));
+  _euler.setFromQuaternion(_fallQuaternion);
+  return { position, rotation: [_euler.x, _euler.y, _euler.z] };
+}
+
+// Send whichever ship the wingman is flying into its fall, remembering the
+// player's frame so the spiral keeps its heading however the player turns
+function downShip(next, wingmanId, frame, events) {
+  const downedFrame = rotation => ({ rotation, forward: toArray(frame.forward), up: toArray(frame.up) });
+
+  // Targets it had not fired at yet are safe now
+  const fired = next.combo
+    ? next.combo.members.some(member => member.wingmanId === wingmanId && member.fired)
+    : next.wingmanId === wingmanId && next.phase !== 'approach';
+  if (!fired) releaseLocks(next, lock => lock.wingmanId !== wingmanId);
+
+  if (next.wingmanId === wingmanId && ['approach', 'attack', 'escape'].includes(next.phase)) {
+    if (next.phase === 'attack') {
+      // The attack ends early; report what it managed to kill
+      const escortKills = next.escortKills || [];
+      events.push({
+        type: 'destroyed',
+        enemyIds: next.destroyed.filter(enemyId => !escortKills.includes(enemyId)),
+        wingmanId,
+        escort: false,
+      });
+    }
+    next.downedFrom = next.shipPosition;
+    next.downedFrame = downedFrame(next.shipRotation);
+    enterPhase(next, 'downed', events);
+  }
+
+  next.escorts = (next.escorts || []).map(escort => {
+    if (escort.wingmanId !== wingmanId || escort.phase === 'downed') return escort;
+    return {
+      ...enterEscortPhase(escort, 'downed', events),
+      escapeFrom: escort.shipPosition,
+      downedFrame: downedFrame(escort.shipRotation),
+    };
+  });
+
+  if (next.combo) {
+    next.combo = {
+      ...next.combo,
+      members: next.combo.members.map(member => (
+        member.wingmanId === wingmanId && !member.downedFrom
+          ? { ...member, downedFrom: member.shipPosition, downedFrame: downedFrame(member.shipRotation), downedTime: 0 }
+          : member
+      )),
+    };
+  }
+}
+
+// Downed timers and pending rescues
+function stepAllies(next, deltaMs, tools, context, random, events) {
+  const config = context.config || WINGMAN_CONFIG;
+  const inFight = getTargetableWingmen(next).map(ship => ship.wingmanId);
+  const allies = {};
+
+  Object.keys(next.allies).forEach(wingmanId => {
+    let ally = next.allies[wingmanId];
+
+    if (ally.downed && ally.recoverIn != null) {
+      const recoverIn = ally.recoverIn - deltaMs;
+      if (recoverIn > 0) {
+        ally = { ...ally, recoverIn };
+      } else {
+        ally = { ...ally, downed: false, recoverIn: 0, health: ally.maxHealth };
+        events.push({ type: 'recovered', wingmanId });
+      }
+    }
+
+    if (ally.pursuerId != null) {
+      const enemyId = ally.pursuerId;
+      const rescueTime = ally.rescueTime + deltaMs;
+      const byWingman = next.destroyed.includes(enemyId);
+      let outcome = null;
+      if (byWingman || !tools.getEnemy(enemyId)) outcome = 'saved';
+      else if (rescueTime >= config.RESCUE_TIMEOUT || !inFight.includes(wingmanId)) outcome = 'expired';
+
+      if (outcome) {
+        ally = { ...ally, pursuerId: null, rescueTime: 0 };
+        events.push({ type: 'rescue', wingmanId, enemyId, outcome, byWingman });
+        if (outcome === 'saved' && !byWingman) {
+          addVoiceLine(next, findWingman(context, wingmanId), 'thanks', random, events);
+        }
+      } else {
+        ally = { ...ally, rescueTime };
+      }
+    }
+
+    allies[wingmanId] = ally;
+  });
+
+  next.allies = allies;
+}
+
+// ============================================================================
+// COMBO TEAM SPECIAL
+// ============================================================================
+// Several wingmen fly in together as an ultimate with its own, longer
+// COMBO_COOLDOWN. Each member gets a lane: a sideways offset for its spawn
+// and attack position. Targets are picked once by the targeting policy and
+// split among the lanes, nearest lane first, then each member opens fire at
+// its own delay into the attack (`comboDelay` on the definition, else
+// COMBO_DELAYS) so the attacks play as one choreography. `state.combo` is
+// { phase, phaseTime, approachDuration, members, kills, reported } with phases
+// 'approach' | 'attack' | 'escape'; each member is { wingmanId, lane, delay,
+// targetIds, attackPosition, shipPosition, shipRotation, path, fired,
+// downedFrom, downedFrame, downedTime }. The attack starts once the longest lane is flown.
+function getComboDelay(wingman, config) {
+  if (wingman.comboDelay != null) return wingman.comboDelay;
+  const delay = config.COMBO_DELAYS && config.COMBO_DELAYS[wingman.id];
+  return delay == null ? 0 : delay;
+}
+
+// Sideways offset of lane `index` out of `count`, centred on the player
+function getLaneOffset(index, count, config) {
+  return (index - (count - 1) / 2) * config.COMBO_LANE_SPACING;
+}
+
+// `offset` along the player's right and `lift` along their up
+function offsetSideways(position, frame, offset, lift = 0) {
+  return toArray(_a.fromArray(position).addScaledVector(frame.right, offset).addScaledVector(frame.up, lift));
+}
+
+// Nearest lane with room takes each target, in priority order; lanes left
+// empty then take one from the busiest lane so every member has something
+function splitTargets(targetIds, members, wingmen, tools) {
+  const assigned = members.map(() => []);
+
+  targetIds.forEach(enemyId => {
+    const position = tools.resolveTarget(enemyId);
+    let best = -1;
+    let bestDistance = Infinity;
+    members.forEach((member, i) => {
+      const cap = wingmen[i].maxTargets;
+      if (cap != null && assigned[i].length >= cap) return;
+      const distance = distanceBetween(member.attackPosition, position);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    });
+    if (best !== -1) assigned[best].push(enemyId);
+  });
+
+  assigned.forEach((lane, i) => {
+    if (lane.length > 0) return;
+    const busiest = assigned.reduce((most, other, j) => (other.length > assigned[most].length ? j : most), 0);
+    if (assigned[busiest].length > 1) lane.push(assigned[busiest].pop());
+  });
+
+  return assigned;
+}
+
+function enterComboPhase(combo, phase, events) {
+  events.push({
+    type: 'combo',
+    phase,
+    previous: combo ? combo.phase : null,
+    wingmanIds: combo ? combo.members.map(member => member.wingmanId) : [],
+  });
+  return combo ? { ...combo, phase, phaseTime: 0 } : null;
+}
+
+function reportComboKills(combo, events) {
+  const enemyIds = combo.kills.slice(combo.reported);
+  if (enemyIds.length === 0) return combo;
+  events.push({ type: 'destroyed', enemyIds, wingmanId: combo.members[0].wingmanId, escort: false, combo: true });
+  return { ...combo, reported: combo.kills.length };
+}
+
+function stepCombo(next, deltaMs, tools, context, random, events) {
+  const config = context.config || WINGMAN_CONFIG;
+  let combo = { ...next.combo, phaseTime: next.combo.phaseTime + deltaMs };
+  const count = combo.members.length;
+  const lead = findWingman(context, combo.members[0].wingmanId);
+  const maxDelay = Math.max(...combo.members.map(member => member.delay));
+  const frame = getPlayerFrame(context);
+
+  combo.members = combo.members.map(member => {
+    const current = { ...member };
+
+    // Shot down: spiral out and sit out the rest of the combo
+    if (current.downedFrom) {
+      current.downedTime += deltaMs;
+      const progress = Math.min(current.downedTime / config.DOWNED_FALL_DURATION, 1);
+      const fall = getDownedTransform(current.downedFrom, current.downedFrame, progress);
+      current.shipPosition = fall.position;
+      current.shipRotation = fall.rotation;
+      return current;
+    }
+
+    switch (combo.phase) {
+      case 'approach': {
+        const flight = sampleApproach(current.path, combo.phaseTime, config, frame.up);
+        current.shipPosition = flight.position;
+        if (flight.rotation) current.shipRotation = flight.rotation;
+        break;
+      }
+
+      case 'attack': {
+        if (!current.fired && combo.phaseTime >= current.delay) {
+          current.fired = true;
+          const wingman = findWingman(context, current.wingmanId);
+          if (wingman) {
+            const volley = fireAttack(wingman, current.attackPosition, current.shipRotation, current.targetIds, tools, context)
+              .map(effect => ({ ...effect, id: `combo-${current.wingmanId}:${effect.id}`, combo: true }));
+            next.effects = [...next.effects, ...volley];
+          }
+        }
+        break;
+      }
+
+      case 'escape': {
+        const progress = Math.min(combo.phaseTime / config.ESCAPE_DURATION, 1);
+        const flight = samplePath(current.path, progress * current.path.length, config, frame.up);
+        current.shipPosition = flight.position;
+        if (flight.rotation) current.shipRotation = flight.rotation;
+        break;
+      }
+    }
+    return current;
+  });
+
+  switch (combo.phase) {
+    case 'approach':
+      if (combo.phaseTime >= combo.approachDuration) {
+        combo = enterComboPhase(combo, 'attack', events);
+        addVoiceLine(next, lead, 'attack', random, events);
+      }
+      break;
+
+    case 'attack':
+      // The choreography runs as long as its last member needs
+      if (combo.phaseTime > config.ATTACK_DURATION + maxDelay) {
+        combo = reportComboKills(combo, events);
+        combo = enterComboPhase(combo, 'escape', events);
+        next.locks = [];
+        combo.members = combo.members.map(member => (
+          member.downedFrom ? member : { ...member, path: buildEscapePath(member.shipPosition, context, config) }
+        ));
+        combo.members.forEach(member => {
+          if (member.downedFrom) return;
+          events.push(createAudioEvent(next, 'escape', member.shipPosition, { wingmanId: member.wingmanId }));
+        });
+        addVoiceLine(next, lead, 'escape', random, events);
+      }
+      break;
+
+    case 'escape':
+      if (combo.phaseTime >= config.ESCAPE_DURATION) {
+        combo = reportComboKills(combo, events);
+        enterComboPhase(combo, 'idle', events);
+        next.combo = null;
+        startComboCooldown(next, combo.members.map(member => member.wingmanId), context);
+        next.spentCharges = 0;
+        next.effects = next.effects.filter(effect => !effect.combo);
+        return;
+      }
+      break;
+  }
+
+  next.combo = combo;
+}
+
+// ============================================================================
+// ACTIVATION RULES
+// ============================================================================
+// What it takes to call a wingman in, from `context.activation`. The rules
+// combine; the defaults are the original shared 45 s cooldown:
+//   cooldown       shared cooldown after each special (default true)
+//   perWingman     each wingman cools down on its own instead (default false)
+//   cooldownScale  cooldown reduction modifier: a multiplier, or
+//                  (wingmanId) => multiplier (default 1)
+//   meter          specials cost charges from a meter (default false)
+//   meterMax       meter per charge (default 100)
+//   maxCharges     charges that can be stored (default 1)
+//   cost           charges per special (default 1)
+//   comboCost      charges per combo (default 2)
+//   passiveCharge  meter gained per second on its own (default 0)
+// A wingman definition can set its own `cooldown` length in ms.
+const ACTIVATION_DEFAULTS = {
+  cooldown: true,
+  perWingman: false,
+  cooldownScale: 1,
+  meter: false,
+  meterMax: 100,
+  maxCharges: 1,
+  cost: 1,
+  comboCost: 2,
+  passiveCharge: 0,
+};
+
+function getActivationRules(context) {
+  return { ...ACTIVATION_DEFAULTS, ...context.activation };
+}
+
+function getCooldownScale(rules, wingmanId) {
+  const scale = typeof rules.cooldownScale === 'function'
+    ? rules.cooldownScale(wingmanId)
+    : rules.cooldownScale;
+  return scale == null ? 1 : Math.max(0, scale);
+}
+
+// Why `wingmanIds` can't fly right now, or null; `combo` checks the combo's
+// own cooldown and cost
+function checkActivation(state, wingmanIds, context, combo = false) {
+  const rules = getActivationRules(context);
+
+  if (rules.cooldown) {
+    if (combo ? state.comboCooldown > 0 : state.cooldown > 0) return 'cooldown';
+    const cooldowns = state.wingmanCooldowns || {};
+    if (wingmanIds.some(wingmanId => cooldowns[wingmanId] && cooldowns[wingmanId].cooldown > 0)) {
+      return 'wingman-cooldown';
+    }
+  }
+  if (rules.meter && (state.charges || 0) < (combo ? rules.comboCost : rules.cost)) return 'no-charge';
+  return null;
+}
+
+function createChargeEvent(state, rules) {
+  return {
+    type: 'charge',
+    meter: state.meter,
+    meterMax: rules.meterMax,
+    charges: state.charges,
+    maxCharges: rules.maxCharges,
+  };
+}
+
+// Pay for an accepted special; the cost is kept so a cancel can refund it
+function spendActivation(next, context, events, combo = false) {
+  const rules = getActivationRules(context);
+  if (!rules.meter) return;
+  const cost = combo ? rules.comboCost : rules.cost;
+  next.charges -= cost;
+  next.spentCharges = cost;
+  events.push(createChargeEvent(next, rules));
+}
+
+// Fill the meter; overflow becomes charges, and anything beyond
+// `maxCharges` is lost
+function fillMeter(next, amount, rules) {
+  let meter = next.meter + amount;
+  let charges = next.charges;
+  while (meter >= rules.meterMax && charges < rules.maxCharges) {
+    meter -= rules.meterMax;
+    charges += 1;
+  }
+  next.meter = charges >= rules.maxCharges ? 0 : Math.max(0, meter);
+  next.charges = charges;
+}
+
+// Start whichever cooldown the rules use once a special is over
+function startCooldown(next, wingmanId, context, events) {
+  const config = context.config || WINGMAN_CONFIG;
+  const rules = getActivationRules(context);
+  if (!rules.cooldown) return;
+
+  const wingman = findWingman(context, wingmanId);
+  const base = wingman && wingman.cooldown != null ? wingman.cooldown : config.TEAM_SPECIAL_COOLDOWN;
+  const length = base * getCooldownScale(rules, wingmanId);
+
+  if (rules.perWingman) {
+    next.wingmanCooldowns = { ...next.wingmanCooldowns, [wingmanId]: { cooldown: length, maxCooldown: length } };
+    events.push({ type: 'wingmanCooldown', wingmanId, cooldown: length, maxCooldown: length });
+  } else {
+    next.cooldown = length;
+    next.maxCooldown = length;
+  }
+}
+
+function startComboCooldown(next, wingmanIds, context) {
+  const config = context.config || WINGMAN_CONFIG;
+  const rules = getActivationRules(context);
+  if (!rules.cooldown) return;
+  const length = config.COMBO_COOLDOWN * getCooldownScale(rules, wingmanIds[0]);
+  next.comboCooldown = length;
+  next.maxComboCooldown = length;
+}
+
+// Everything a HUD needs to draw the active rules
+function getActivationStatus(state, context = {}) {
+  const config = context.config || WINGMAN_CONFIG;
+  const rules = getActivationRules(context);
+  return {
+    cooldown: state.cooldown,
+    maxCooldown: state.maxCooldown || config.TEAM_SPECIAL_COOLDOWN,
+    comboCooldown: state.comboCooldown,
+    maxComboCooldown: state.maxComboCooldown || config.COMBO_COOLDOWN,
+    usesCooldown: rules.cooldown,
+    perWingman: rules.perWingman,
+    wingmanCooldowns: state.wingmanCooldowns || {},
+    meter: rules.meter
+      ? {
+        value: state.meter,
+        max: rules.meterMax,
+        charges: state.charges,
+        maxCharges: rules.maxCharges,
+        cost: rules.cost,
+        comboCost: rules.comboCost,
+      }
+      : null,
+  };
+}
+
+// ============================================================================
+// STATE TRANSITIONS
+// ============================================================================
+// All transitions are pure: they return `{ state, events }` and never mutate
+// their input. Events: 'activate', 'phase', 'damage', 'kill', 'destroyed',
+// 'cooldown', 'audio', 'voice', 'escort', 'wingmanDamaged', 'downed',
+// 'recovered', 'rescue', 'combo', 'comboCooldown', 'wingmanCooldown',
+// 'charge', 'targeted'. A refused trigger also reports its `reason`.
+function triggerWingmanSpecial(state, { wingmanId }, context) {
+  const refuse = reason => ({ state, events: [], accepted: false, reason });
+  const gate = checkActivation(state, [wingmanId], context);
+  if (gate) return refuse(gate);
+  if (state.phase !== 'idle' || state.combo) return refuse('active');
+
+  const wingman = findWingman(context, wingmanId);
+  if (!wingman) return refuse('unknown-wingman');
+  if ((state.escorts || []).some(escort => escort.wingmanId === wingmanId)) return refuse('escorting');
+  if (isWingmanDowned(state, wingmanId)) return refuse('downed');
+
+  // Nothing worth calling a wingman in for: the wingman says so instead
+  const config = context.config || WINGMAN_CONFIG;
+  const attackPosition = getAttackPosition(context.playerPosition, context.playerForward, config, context.playerUp);
+  const targetIds = context.enemies.length === 0 ? [] : selectTargets(context, wingman, attackPosition);
+  const random = createRandom(state.rng);
+
+  if (targetIds.length === 0) {
+    const events = [];
+    const next = { ...state };
+    addVoiceLine(next, wingman, 'noTargets', random, events);
+    next.rng = random.getState();
+    return { state: next, events, accepted: false, reason: 'no-targets' };
+  }
+
+  const events = [{ type: 'activate', wingmanId }];
+  const spawn = getFlightSpawn(context, config);
+  const path = buildApproachPath(spawn, attackPosition, context, config);
+  const frame = getPlayerFrame(context);
+  const next = {
+    ...state,
+    wingmanId,
+    targetIds,
+    shipPosition: spawn,
+    shipRotation: samplePath(path, 0, config, frame.up).rotation || getFlightRotation(frame.forward, 0, frame.up),
+    attackPosition,
+    path,
+    // Escort volleys keep flying; only the special's own effects reset
+    effects: state.effects.filter(effect => effect.escort),
+    health: {},
+    destroyed: [],
+    escortKills: [],
+  };
+  spendActivation(next, context, events);
+  enterPhase(next, 'approach', events);
+  lockTargets(next, [{ wingmanId, targetIds, origin: attackPosition }], events);
+  events.push(createAudioEvent(next, 'flyby', next.shipPosition));
+  addVoiceLine(next, wingman, 'callIn', random, events);
+  next.rng = random.getState();
+
+  return { state: next, events, accepted: true };
+}
+
+// Abort an in-flight special without destroying anything or starting the cooldown
+function cancelWingmanSpecial(state) {
+  if (state.combo) {
+    const events = [];
+    enterComboPhase(state.combo, 'idle', events);
+    const next = {
+      ...state,
+      combo: null,
+      effects: state.effects.filter(effect => effect.escort),
+      explosions: [],
+      locks: [],
+      charges: state.charges + state.spentCharges,
+      spentCharges: 0,
+    };
+    return { state: next, events };
+  }
+
+  if (state.phase === 'idle') return { state, events: [] };
+
+  const events = [];
+  const next = {
+    ...state,
+    effects: state.effects.filter(effect => effect.escort),
+    explosions: [],
+    targetIds: [],
+    locks: [],
+    path: null,
+    // A cancelled special gives its charges back
+    charges: state.charges + state.spentCharges,
+    spentCharges: 0,
+  };
+  enterPhase(next, 'idle', events);
+  return { state: next, events };
+}
+
+// Call several wingmen in together. The first id leads: it speaks for the
+// group and the combo's kills are reported under its id.
+function triggerCombo(state, { wingmanIds }, context) {
+  const refuse = reason => ({ state, events: [], accepted: false, reason });
+  const config = context.config || WINGMAN_CONFIG;
+  if (!wingmanIds || wingmanIds.length < 2) return refuse('too-few');
+  const gate = checkActivation(state, wingmanIds, context, true);
+  if (gate) return refuse(gate);
+  if (state.phase !== 'idle' || state.combo) return refuse('active');
+
+  const wingmen = wingmanIds.map(wingmanId => findWingman(context, wingmanId));
+  if (wingmen.some(wingman => !wingman)) return refuse('unknown-wingman');
+  const escorting = (state.escorts || []).map(escort => escort.wingmanId);
+  if (wingmanIds.some(wingmanId => escorting.includes(wingmanId))) return refuse('escorting');
+  if (wingmanIds.some(wingmanId => isWingmanDowned(state, wingmanId))) return refuse('downed');
+
+  const events = [];
+  const random = createRandom(state.rng);
+  const lead = wingmen[0];
+  const center = getAttackPosition(context.playerPosition, context.playerForward, config, context.playerUp);
+
+  // One pick for the whole group, capped by what the members can take
+  const caps = wingmen.map(wingman => wingman.maxTargets);
+  const capacity = caps.some(cap => cap == null) ? undefined : caps.reduce((sum, cap) => sum + cap, 0);
+  const targetIds = context.enemies.length === 0 ? [] : selectTargets(context, { maxTargets: capacity }, center);
+
+  if (targetIds.length === 0) {
+    const next = { ...state };
+    addVoiceLine(next, lead, 'noTargets', random, events);
+    next.rng = random.getState();
+    return { state: next, events, accepted: false, reason: 'no-targets' };
+  }
+
+  // Outer lanes start further back so the formation fans out
+  const spawn = getFlightSpawn(context, config);
+  const frame = getPlayerFrame(context);
+  const members = wingmen.map((wingman, lane) => {
+    const offset = getLaneOffset(lane, wingmen.length, config);
+    const start = toArray(_a.fromArray(offsetSideways(spawn, frame, offset))
+      .addScaledVector(frame.forward, -(Math.abs(offset) / config.COMBO_LANE_SPACING) * config.COMBO_SPAWN_STAGGER));
+    const attackPosition = offsetSideways(
+      center,
+      frame,
+      offset,
+      Math.abs(lane - (wingmen.length - 1) / 2) * 1.5
+    );
+    const path = buildApproachPath(start, attackPosition, context, config);
+    return {
+      wingmanId: wingman.id,
+      lane,
+      delay: getComboDelay(wingman, config),
+      targetIds: [],
+      attackPosition,
+      shipPosition: start,
+      shipRotation: samplePath(path, 0, config, frame.up).rotation || getFlightRotation(frame.forward, 0, frame.up),
+      path,
+      fired: false,
+      downedFrom: null,
+      downedFrame: null,
+      downedTime: 0,
+    };
+  });
+  const approachDuration = Math.max(...members.map(member => getApproachDuration(member.path, config)));
+
+  const enemyIndex = new Map(context.enemies.map(enemy => [enemy.id, enemy.position]));
+  const split = splitTargets(targetIds, members, wingmen, { resolveTarget: enemyId => enemyIndex.get(enemyId) });
+  members.forEach((member, i) => {
+    member.targetIds = split[i];
+  });
+
+  const next = {
+    ...state,
+    effects: state.effects.filter(effect => effect.escort),
+    health: {},
+    destroyed: [],
+    escortKills: [],
+  };
+  spendActivation(next, context, events, true);
+  next.combo = enterComboPhase({ phase: null, phaseTime: 0, approachDuration, members, kills: [], reported: 0 }, 'approach', events);
+  lockTargets(next, members.map(member => ({
+    wingmanId: member.wingmanId,
+    targetIds: member.targetIds,
+    origin: member.attackPosition,
+  })), events);
+  members.forEach(member => {
+    events.push(createAudioEvent(next, 'flyby', member.shipPosition, { wingmanId: member.wingmanId }));
+  });
+  addVoiceLine(next, lead, 'callIn', random, events);
+  next.rng = random.getState();
+
+  return { state: next, events, accepted: true };
+}
+
+function resetComboCooldown(state, context = {}) {
+  const config = context.config || WINGMAN_CONFIG;
+  return {
+    state: { ...state, comboCooldown: 0 },
+    events: [{ type: 'comboCooldown', cooldown: 0, maxCooldown: config.COMBO_COOLDOWN }],
+  };
+}
+
+// Bring a wingman in to fly escort for `duration` ms
+function startEscort(state, { wingmanId, duration }, context) {
+  const refuse = reason => ({ state, events: [], accepted: false, reason });
+  const config = context.config || WINGMAN_CONFIG;
+  const escorts = state.escorts || [];
+
+  const wingman = findWingman(context, wingmanId);
+  if (!wingman) return refuse('unknown-wingman');
+  if (escorts.some(escort => escort.wingmanId === wingmanId)) return refuse('escorting');
+  if (state.phase !== 'idle' && state.wingmanId === wingmanId) return refuse('active');
+  if (state.combo && state.combo.members.some(member => member.wingmanId === wingmanId)) return refuse('active');
+  if (isWingmanDowned(state, wingmanId)) return refuse('downed');
+
+  // First free formation slot
+  const slotIndex = config.ESCORT_SLOTS.findIndex((_, i) => !escorts.some(escort => escort.slotIndex === i));
+  if (slotIndex === -1) return refuse('no-slot');
+
+  const events = [];
+  const random = createRandom(state.rng);
+  const spawn = getFlightSpawn(context, config);
+  const frame = getPlayerFrame(context);
+  const next = { ...state };
+  const escort = {
+    wingmanId,
+    slotIndex,
+    slot: config.ESCORT_SLOTS[slotIndex],
+    phase: 'approach',
+    phaseTime: 0,
+    remaining: duration == null ? config.ESCORT_DURATION : duration,
+    fireTimer: 0, // Opens fire as soon as it is in formation
+    volley: 0,
+    shipPosition: spawn,
+    shipRotation: getFlightRotation(frame.forward, 0, frame.up),
+    escapeFrom: null,
+    path: null,
+    pathFrame: null,
+    downedFrame: null,
+  };
+  next.escorts = [...escorts, escort];
+
+  events.push({ type: 'escort', wingmanId, phase: 'approach', previous: null });
+  events.push(createAudioEvent(next, 'flyby', spawn, { wingmanId }));
+  addVoiceLine(next, wingman, 'callIn', random, events);
+  next.rng = random.getState();
+
+  return { state: next, events, accepted: true };
+}
+
+// Send an escort home early
+function endEscort(state, { wingmanId }) {
+  const escorts = state.escorts || [];
+  const escort = escorts.find(e => e.wingmanId === wingmanId);
+  if (!escort || escort.phase === 'escape') return { state, events: [] };
+
+  const events = [];
+  let leaving = enterEscortPhase(escort, 'escape', events);
+  leaving = { ...leaving, escapeFrom: escort.shipPosition };
+  const next = { ...state, escorts: escorts.map(e => (e === escort ? leaving : e)) };
+  events.push(createAudioEvent(next, 'escape', escort.shipPosition, { wingmanId }));
+  return { state: next, events };
+}
+
+// Report a hit on a wingman ship; `sourceId` is the enemy that fired it
+function damageWingman(state, { wingmanId, amount, sourceId = null }, context) {
+  const refuse = reason => ({ state, events: [], accepted: false, reason });
+  const config = context.config || WINGMAN_CONFIG;
+
+  const wingman = findWingman(context, wingmanId);
+  if (!wingman) return refuse('unknown-wingman');
+  const ally = getAlly(state, wingman, config);
+  if (ally.downed) return refuse('downed');
+  if (!getTargetableWingmen(state).some(ship => ship.wingmanId === wingmanId)) return refuse('not-present');
+
+  const events = [];
+  const random = createRandom(state.rng);
+  const next = { ...state };
+  const health = Math.max(0, ally.health - amount);
+  let updated = { ...ally, health };
+  events.push({ type: 'wingmanDamaged', wingmanId, amount, health, maxHealth: ally.maxHealth, sourceId });
+
+  if (health <= 0) {
+    if (ally.pursuerId != null) {
+      events.push({ type: 'rescue', wingmanId, enemyId: ally.pursuerId, outcome: 'failed', byWingman: false });
+    }
+    updated = { ...updated, downed: true, recoverIn: config.DOWNED_DURATION, pursuerId: null, rescueTime: 0 };
+    events.push({ type: 'downed', wingmanId, recoverIn: updated.recoverIn });
+    addVoiceLine(next, wingman, 'downed', random, events);
+    downShip(next, wingmanId, getPlayerFrame(context), events);
+  } else if (sourceId != null && ally.pursuerId == null && health <= ally.maxHealth * config.RESCUE_HEALTH) {
+    updated = { ...updated, pursuerId: sourceId, rescueTime: 0 };
+    events.push({ type: 'rescue', wingmanId, enemyId: sourceId, outcome: 'request', byWingman: false });
+    addVoiceLine(next, wingman, 'rescue', random, events);
+  }
+
+  next.allies = { ...state.allies, [wingmanId]: updated };
+  next.rng = random.getState();
+  return { state: next, events, accepted: true };
+}
+
+// Full health for one wingman (or every wingman), downed or not, e.g. at the
+// start of a level
+function restoreWingman(state, { wingmanId } = {}) {
+  const events = [];
+  const allies = { ...state.allies };
+  Object.keys(allies).forEach(id => {
+    if (wingmanId != null && id !== wingmanId) return;
+    if (allies[id].downed) events.push({ type: 'recovered', wingmanId: id });
+    delete allies[id];
+  });
+  return { state: { ...state, allies }, events };
+}
+
+function resetWingmanCooldown(state, context = {}) {
+  const config = context.config || WINGMAN_CONFIG;
+  const events = [{ type: 'cooldown', cooldown: 0, maxCooldown: state.maxCooldown || config.TEAM_SPECIAL_COOLDOWN }];
+  const wingmanCooldowns = state.wingmanCooldowns || {};
+  Object.keys(wingmanCooldowns).forEach(wingmanId => {
+    events.push({ type: 'wingmanCooldown', wingmanId, cooldown: 0, maxCooldown: wingmanCooldowns[wingmanId].maxCooldown });
+  });
+  return { state: { ...state, cooldown: 0, wingmanCooldowns: {} }, events };
+}
+
+// Cooldown reduction: take `amount` ms off the running cooldowns, or only
+// off `wingmanId`'s own cooldown
+function reduceCooldown(state, { amount, wingmanId }, context = {}) {
+  const config = context.config || WINGMAN_CONFIG;
+  const events = [];
+  const next = { ...state, wingmanCooldowns: { ...state.wingmanCooldowns } };
+
+  if (wingmanId == null && next.cooldown > 0) {
+    next.cooldown = Math.max(0, next.cooldown - amount);
+    events.push({ type: 'cooldown', cooldown: next.cooldown, maxCooldown: next.maxCooldown || config.TEAM_SPECIAL_COOLDOWN });
+  }
+  Object.keys(next.wingmanCooldowns).forEach(id => {
+    if (wingmanId != null && id !== wingmanId) return;
+    const entry = next.wingmanCooldowns[id];
+    const cooldown = Math.max(0, entry.cooldown - amount);
+    next.wingmanCooldowns[id] = { ...entry, cooldown };
+    events.push({ type: 'wingmanCooldown', wingmanId: id, cooldown, maxCooldown: entry.maxCooldown });
+  });
+  return { state: next, events };
+}
+
+// Meter from game events (kills, combos, pickups); ignored unless the
+// activation rules use a meter
+function addCharge(state, { amount }, context = {}) {
+  const rules = getActivationRules(context);
+  if (!rules.meter || amount <= 0) return { state, events: [], accepted: false };
+
+  const next = { ...state };
+  fillMeter(next, amount, rules);
+  return { state: next, events: [createChargeEvent(next, rules)], accepted: true };
+}
+
+// Advance the simulation by `deltaMs` of game time
+function stepWingmanSimulation(state, deltaMs, context) {
+  if (deltaMs <= 0) return { state, events: [] };
+
+  const config = context.config || WINGMAN_CONFIG;
+  const events = [];
+  const next = {
+    ...state,
+    time: state.time + deltaMs,
+    health: { ...state.health },
+    destroyed: [...state.destroyed],
+    explosions: [],
+  };
+
+  // Update cooldowns and the meter
+  const rules = getActivationRules(context);
+  if (next.cooldown > 0) {
+    next.cooldown = Math.max(0, next.cooldown - deltaMs);
+    events.push({ type: 'cooldown', cooldown: next.cooldown, maxCooldown: next.maxCooldown || config.TEAM_SPECIAL_COOLDOWN });
+  }
+  if (next.comboCooldown > 0) {
+    next.comboCooldown = Math.max(0, next.comboCooldown - deltaMs);
+    events.push({ type: 'comboCooldown', cooldown: next.comboCooldown, maxCooldown: next.maxComboCooldown || config.COMBO_COOLDOWN });
+  }
+  const wingmanCooldowns = state.wingmanCooldowns || {};
+  if (Object.keys(wingmanCooldowns).length > 0) {
+    next.wingmanCooldowns = {};
+    Object.keys(wingmanCooldowns).forEach(wingmanId => {
+      const entry = wingmanCooldowns[wingmanId];
+      const cooldown = Math.max(0, entry.cooldown - deltaMs);
+      events.push({ type: 'wingmanCooldown', wingmanId, cooldown, maxCooldown: entry.maxCooldown });
+      if (cooldown > 0) next.wingmanCooldowns[wingmanId] = { ...entry, cooldown };
+    });
+  }
+  if (rules.meter && rules.passiveCharge > 0 && next.charges < rules.maxCharges) {
+    fillMeter(next, rules.passiveCharge * deltaMs / 1000, rules);
+    events.push(createChargeEvent(next, rules));
+  }
+
+  const random = createRandom(next.rng);
+  const tools = createStepTools(next, context, random, deltaMs, events);
+  const wingman = findWingman(context, next.wingmanId);
+
+  // Advance effects, each with the behaviors of the wingman that fired it
+  next.effects = [];
+  state.effects.forEach(effect => {
+    const owner = effect.wingmanId && effect.wingmanId !== next.wingmanId
+      ? findWingman(context, effect.wingmanId)
+      : wingman;
+    tools.wingmanId = effect.wingmanId || next.wingmanId;
+    const behavior = getEffectBehavior(owner, effect.type);
+    const result = behavior({ ...effect, age: effect.age + deltaMs }, tools);
+    if (result.impact) {
+      applyImpact(next, result.effect, result.impact, owner, tools, context, events);
+    }
+    if (!result.effect.done) next.effects.push(result.effect);
+  });
+  tools.wingmanId = next.wingmanId;
+  releaseLocks(next, lock => tools.getEnemy(lock.enemyId));
+
+  // Advance escorts; volleys they fire start moving next step
+  next.escorts = (state.escorts || [])
+    .map(escort => stepEscort(escort, next, deltaMs, tools, context, random, events))
+    .filter(Boolean);
+
+  if (next.combo) stepCombo(next, deltaMs, tools, context, random, events);
+
+  // Age explosions (including any spawned by this step's impacts)
+  const spawned = next.explosions;
+  next.explosions = [];
+  state.explosions.forEach(explosion => {
+    const age = explosion.age + deltaMs;
+    if (explosion.age < 0 && age >= 0) {
+      events.push(createAudioEvent(next, 'explosion', explosion.position));
+    }
+    if (age < EXPLOSION_DURATION) next.explosions.push({ ...explosion, age });
+  });
+  spawned.forEach(explosion => {
+    if (explosion.age >= 0) events.push(createAudioEvent(next, 'explosion', explosion.position));
+  });
+  next.explosions.push(...spawned);
+
+  // Advance the phase machine
+  if (next.phase !== 'idle') {
+    next.phaseTime += deltaMs;
+  }
+
+  switch (next.phase) {
+    case 'approach': {
+      // Fly the approach path into the attack position
+      const flight = sampleApproach(next.path, next.phaseTime, config, getPlayerFrame(context).up);
+      next.shipPosition = flight.position;
+      if (flight.rotation) next.shipRotation = flight.rotation;
+
+      if (flight.progress >= 1) {
+        enterPhase(next, 'attack', events);
+        addVoiceLine(next, wingman, 'attack', random, events);
+        if (wingman) launchAttack(next, wingman, tools, context);
+      }
+      break;
+    }
+
+    case 'attack': {
+      // Hold position during attack
+      if (next.phaseTime > config.ATTACK_DURATION) {
+        enterPhase(next, 'escape', events);
+        next.locks = [];
+        next.path = buildEscapePath(next.shipPosition, context, config);
+        events.push(createAudioEvent(next, 'escape', next.shipPosition));
+        addVoiceLine(next, wingman, 'escape', random, events);
+
+        // Signal only the enemies that actually died (escorts already
+        // reported their own kills)
+        const escortKills = next.escortKills || [];
+        events.push({
+          type: 'destroyed',
+          enemyIds: next.destroyed.filter(enemyId => !escortKills.includes(enemyId)),
+          wingmanId: next.wingmanId,
+          escort: false,
+        });
+      }
+      break;
+    }
+
+    case 'escape': {
+      // Up and away along the escape path
+      const progress = Math.min(next.phaseTime / config.ESCAPE_DURATION, 1);
+      const flight = samplePath(next.path, progress * next.path.length, config, getPlayerFrame(context).up);
+      next.shipPosition = flight.position;
+      if (flight.rotation) next.shipRotation = flight.rotation;
+
+      if (progress >= 1) {
+        enterPhase(next, 'idle', events);
+        startCooldown(next, next.wingmanId, context, events);
+        next.spentCharges = 0;
+        next.effects = next.effects.filter(effect => effect.escort);
+        next.targetIds = [];
+        next.path = null;
+      }
+      break;
+    }
+
+    case 'downed': {
+      // Spiral out of the fight; the special still goes on cooldown
+      const progress = Math.min(next.phaseTime / config.DOWNED_FALL_DURATION, 1);
+      const fall = getDownedTransform(next.downedFrom, next.downedFrame, progress);
+      next.shipPosition = fall.position;
+      next.shipRotation = fall.rotation;
+
+      if (progress >= 1) {
+        enterPhase(next, 'idle', events);
+        startCooldown(next, next.wingmanId, context, events);
+        next.spentCharges = 0;
+        next.effects = next.effects.filter(effect => effect.escort);
+        next.targetIds = [];
+        next.locks = [];
+        next.path = null;
+      }
+      break;
+    }
+  }
+
+  if (next.allies && Object.keys(next.allies).length > 0) {
+    stepAllies(next, deltaMs, tools, context, random, events);
+  }
+
+  next.rng = random.getState();
+  return { state: next, events };
+}
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+// A snapshot is the whole state as JSON-safe data plus a format version, for
+// menus, checkpoints and save games. Hydrating fills in fields added since the
+// snapshot was taken, so old saves keep loading.
+const SNAPSHOT_VERSION = 1;
+
+function serializeWingmanState(state) {
+  return { version: SNAPSHOT_VERSION, state: JSON.parse(JSON.stringify(state)) };
+}
+
+// Accepts a snapshot or its JSON string
+function hydrateWingmanState(snapshot) {
+  const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+  if (!data || !data.state || data.version > SNAPSHOT_VERSION) {
+    throw new Error(`hydrateWingmanState: unsupported snapshot (version ${data && data.version})`);
+  }
+  return { ...createWingmanState(), ...data.state };
+}
+
+// ============================================================================
+// SIMULATION WRAPPER
+// ============================================================================
+// Holds the current state and fans out events, for callers that prefer an
+// object over threading state themselves:
+//
+//   const sim = createWingmanSimulation({ seed: 42 });
+//   sim.subscribe(event => log.push(event));
+//   sim.trigger({ wingmanId: 'falco' }, context);
+//   for (let i = 0; i < 300; i++) sim.step(1000 / 60, context);
+
+// Every input the wrapper takes, by name, as (state, request, context). The
+// recorder logs inputs under these names and `dispatch` replays them.
+const INPUTS = {
+  trigger: triggerWingmanSpecial,
+  cancel: state => cancelWingmanSpecial(state),
+  startEscort,
+  endEscort: (state, request) => endEscort(state, request),
+  damageWingman,
+  restoreWingman: (state, request) => restoreWingman(state, request),
+  triggerCombo,
+  addCharge,
+  reduceCooldown,
+  resetComboCooldown: (state, request, context) => resetComboCooldown(state, context),
+  resetCooldown: (state, request, context) => resetWingmanCooldown(state, context),
+  step: (state, deltaMs, context) => stepWingmanSimulation(state, deltaMs, context),
+  // Wholesale replacements are inputs too, so recordings survive them
+  setState: (state, nextState) => ({ state: nextState, events: [] }),
+  hydrate: (state, snapshot) => ({ state: hydrateWingmanState(snapshot), events: [] }),
+};
+
+function createWingmanSimulation({ seed = 1, state: initialState } = {}) {
+  let state = initialState || createWingmanState({ seed });
+  const listeners = new Set();
+  const inputListeners = new Set();
+
+  const run = (type, request, context) => {
+    inputListeners.forEach(listener => listener({ type, time: state.time, request, context }));
+    const result = INPUTS[type](state, request, context);
+    state = result.state;
+    result.events.forEach(event => listeners.forEach(listener => listener(event)));
+    return result;
+  };
+
+  return {
+    getState: () => state,
+    setState: (nextState) => {
+      run('setState', nextState);
+    },
+    serialize: () => serializeWingmanState(state),
+    hydrate: (snapshot) => {
+      run('hydrate', typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot);
+    },
+    trigger: (request, context) => run('trigger', request, context).accepted,
+    cancel: () => run('cancel').events.length > 0,
+    startEscort: (request, context) => run('startEscort', request, context).accepted,
+    endEscort: (request) => run('endEscort', request).events.length > 0,
+    damageWingman: (request, context) => run('damageWingman', request, context).accepted,
+    restoreWingman: (request) => {
+      run('restoreWingman', request);
+    },
+    triggerCombo: (request, context) => run('triggerCombo', request, context).accepted,
+    addCharge: (request, context) => run('addCharge', request, context).accepted,
+    reduceCooldown: (request, context) => {
+      run('reduceCooldown', request, context);
+    },
+    resetComboCooldown: (context) => {
+      run('resetComboCooldown', undefined, context);
+    },
+    resetCooldown: (context) => {
+      run('resetCooldown', undefined, context);
+    },
+    step: (deltaMs, context) => run('step', deltaMs, context).state,
+    // Replays a recorded input ({ type, request, context })
+    dispatch: ({ type, request, context }) => run(type, request, context),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    // Every input before it is applied, with the state's time
+    subscribeInputs: (listener) => {
+      inputListeners.add(listener);
+      return () => inputListeners.delete(listener);
+    },
+  };
+}
+
+// ============================================================================
+// RECORDING & REPLAY
+// ============================================================================
+// A recording is a start snapshot plus every input after it. The simulation
+// is deterministic, so replaying the inputs reproduces the special frame for
+// frame, events included. Each input keeps the per-frame data of its context
+// (enemies, player frame, muzzles); rules and callbacks (roster, config,
+// targeting, activation, flightPath) come from the replay's own context and
+// must match the game's for the replay to match.
+const RECORDED_CONTEXT = [
+  'enemies',
+  'playerPosition',
+  'playerForward',
+  'playerUp',
+  'damageScale',
+  'lostTargetBehavior',
+  'muzzles',
+];
+
+// JSON-safe copy: Vector3s become arrays; functions and scene objects go
+function toData(value) {
+  if (value && value.isVector3) return toArray(value);
+  if (Array.isArray(value)) return value.map(toData);
+  if (value && typeof value === 'object') {
+    if (value.constructor !== Object) return undefined;
+    const data = {};
+    Object.keys(value).forEach(key => {
+      const item = toData(value[key]);
+      if (item !== undefined) data[key] = item;
+    });
+    return data;
+  }
+  return typeof value === 'function' ? undefined : value;
+}
+
+function getRecordedContext(context) {
+  if (!context) return undefined;
+  const recorded = {};
+  RECORDED_CONTEXT.forEach(key => {
+    if (context[key] !== undefined) recorded[key] = toData(context[key]);
+  });
+  return recorded;
+}
+
+function createWingmanRecorder(simulation) {
+  let recording = null;
+  let unsubscribe = null;
+
+  const stop = () => {
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    const finished = recording;
+    recording = null;
+    return finished;
+  };
+
+  return {
+    // Starts (or restarts) from the simulation's current state
+    start: () => {
+      stop();
+      recording = { version: SNAPSHOT_VERSION, start: simulation.serialize(), inputs: [] };
+      unsubscribe = simulation.subscribeInputs(({ type, time, request, context }) => {
+        recording.inputs.push({ type, time, request: toData(request), context: getRecordedContext(context) });
+      });
+    },
+    // The recording so far, or null when not recording
+    stop,
+    isRecording: () => recording !== null,
+  };
+}
+
+// Plays a recording back through a fresh simulation. `context` supplies the
+// rules and callbacks; each input's recorded data is laid over it.
+function createWingmanReplay(recording, context = {}) {
+  const simulation = createWingmanSimulation({ state: hydrateWingmanState(recording.start) });
+  const { inputs } = recording;
+  let index = 0;
+  let clock = simulation.getState().time;
+  let seeking = false;
+
+  const next = () => {
+    if (index >= inputs.length) return false;
+    const input = inputs[index];
+    index += 1;
+    simulation.dispatch({
+      type: input.type,
+      request: input.request,
+      context: input.context ? { ...context, ...input.context } : context,
+    });
+    clock = Math.max(clock, simulation.getState().time);
+    return true;
+  };
+
+  return {
+    getState: simulation.getState,
+    // Events as they replay; seeking is silent
+    subscribe: listener => simulation.subscribe((event) => {
+      if (!seeking) listener(event);
+    }),
+    getIndex: () => index,
+    getLength: () => inputs.length,
+    isDone: () => index >= inputs.length,
+    // Apply the next recorded input; false at the end
+    next,
+    // Play `deltaMs` of game time: every input recorded before the new clock
+    advance: (deltaMs) => {
+      clock += deltaMs;
+      while (index < inputs.length && inputs[index].time < clock) next();
+    },
+    // Jump to input `target`, replaying from the start when going back
+    seek: (target) => {
+      seeking = true;
+      if (target < index) {
+        simulation.hydrate(recording.start);
+        index = 0;
+      }
+      const end = Math.min(target, inputs.length);
+      while (index < end) next();
+      clock = simulation.getState().time;
+      seeking = false;
+    },
+  };
+}
+
+export {
+  WINGMAN_CONFIG,
+  DEFAULT_WINGMEN,
+  ACTIVATION_DEFAULTS,
+  EFFECT_BEHAVIORS,
+  AUDIO_CUES,
+  VOICE_MOMENTS,
+  GATLING_SPEED,
+  EXPLOSION_DURATION,
+  createRandom,
+  computeHitDamage,
+  selectTargets,
+  pickVoiceLine,
+  getSpawnPosition,
+  getAttackPosition,
+  getFlightSpawn,
+  buildApproachPath,
+  buildEscapePath,
+  samplePath,
+  gatlingAttack,
+  beamAttack,
+  lightningAttack,
+  missileAttack,
+  createWingmanState,
+  triggerWingmanSpecial,
+  cancelWingmanSpecial,
+  resetWingmanCooldown,
+  triggerCombo,
+  resetComboCooldown,
+  addCharge,
+  reduceCooldown,
+  getActivationStatus,
+  startEscort,
+  endEscort,
+  damageWingman,
+  restoreWingman,
+  isWingmanDowned,
+  getTargetableWingmen,
+  stepWingmanSimulation,
+  serializeWingmanState,
+  hydrateWingmanState,
+  createWingmanSimulation,
+  createWingmanRecorder,
+  createWingmanReplay,
+};
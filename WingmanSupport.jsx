@@ -1,53 +1,56 @@
-import React, { useRef, useState, useEffect, useCallback, useMemo } from 'react';
-import { useFrame } from '@react-three/fiber';
-import { Vector3, MathUtils, CatmullRomCurve3 } from 'three';
-
-// ============================================================================
-// CONSTANTS & CONFIGURATION
-// ============================================================================
-const WINGMAN_CONFIG = {
-  // Cooldown
-  TEAM_SPECIAL_COOLDOWN: 45000, // 45 seconds
-
-  // Wingman Ship Movement
-  SPAWN_OFFSET_BEHIND: 40,
-  SPAWN_OFFSET_ABOVE: 15,
-  APPROACH_SPEED: 60,
-  ATTACK_DURATION: 2000,
-  ESCAPE_DURATION: 1500,
-  ESCAPE_CLIMB_ANGLE: 0.8, // radians upward
-  
-  // Attack Timings
-  GATLING_FIRE_DURATION: 800,
-  BEAM_LOCK_DURATION: 100, // 0.1 seconds
-  LIGHTNING_CHAIN_DURATION: 600,
-  MISSILE_FLIGHT_TIME: 500,
-  
-  // Visual
-  WINGMAN_COLORS: [
-    '#ff4444', // Wingman 1 - Red (Gatling)
-    '#44ff44', // Wingman 2 - Green (Beam)
-    '#ffff44', // Wingman 3 - Yellow (Lightning)
-    '#ff44ff', // Wingman 4 - Purple (Missiles)
-  ],
-  WINGMAN_NAMES: [
-    'FALCO',    // Multi-Gatling
-    'SLIPPY',   // Multi-Beam
-    'PEPPY',    // Lightning
-    'KRYSTAL',  // Precision Swarm
-  ],
-};
+import React, {
+  Suspense,
+  useRef,
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useLayoutEffect,
+  forwardRef,
+  useImperativeHandle,
+  useSyncExternalStore,
+} from 'react';
+import { useFrame, useLoader } from '@react-three/fiber';
+import {
+  Vector3,
+  Color,
+  Matrix4,
+  Quaternion,
+  AdditiveBlending,
+  AnimationMixer,
+  AnimationClip,
+  CanvasTexture,
+} from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import {
+  WINGMAN_CONFIG,
+  DEFAULT_WINGMEN,
+  EXPLOSION_DURATION,
+  createRandom,
+  createWingmanSimulation,
+  createWingmanRecorder,
+  getTargetableWingmen,
+  isWingmanDowned,
+  getActivationStatus,
+} from './WingmanSimulation';
+import { WingmanAudio, useWingmanAudio } from './WingmanAudio';
+import { useCameraDirector, CAMERA_DEFAULTS } from './WingmanCamera';
+import { INPUT_DEFAULTS, createWingmanInput } from './WingmanInput';
+import {
+  NETWORK_DEFAULTS,
+  createWingmanAuthority,
+  createWingmanReplica,
+} from './WingmanNetwork';
+import { SCORING_DEFAULTS, createWingmanScoring } from './WingmanScoring';
 
 // ============================================================================
-// WINGMAN SHIP COMPONENT (Placeholder Cube)
+// WINGMAN SHIP COMPONENT
 // ============================================================================
-function WingmanShip({ position, rotation, wingmanIndex, isActive }) {
-  const color = WINGMAN_CONFIG.WINGMAN_COLORS[wingmanIndex];
-  
-  if (!isActive) return null;
-  
+// Placeholder cube ship, used when a wingman has no model and while one loads
+function PlaceholderShip({ color }) {
   return (
-    <group position={position} rotation={rotation}>
+    <>
       {/* Main body - placeholder cube */}
       <mesh>
         <boxGeometry args={[1.2, 0.4, 1.8]} />
@@ -59,7 +62,7 @@ function WingmanShip({ position, rotation, wingmanIndex, isActive }) {
           roughness={0.2}
         />
       </mesh>
-      
+
       {/* Wings */}
       <mesh position={[-1.2, 0, 0]}>
         <boxGeometry args={[1.2, 0.08, 0.8]} />
@@ -69,61 +72,299 @@ function WingmanShip({ position, rotation, wingmanIndex, isActive }) {
         <boxGeometry args={[1.2, 0.08, 0.8]} />
         <meshStandardMaterial color={color} metalness={0.8} roughness={0.2} />
       </mesh>
-      
+
       {/* Engine glow */}
       <mesh position={[0, 0, 1]}>
         <coneGeometry args={[0.25, 1.5, 8]} />
         <meshBasicMaterial color="#ff8800" />
       </mesh>
       <pointLight position={[0, 0, 1.2]} color="#ff8800" intensity={3} distance={5} />
-      
+    </>
+  );
+}
+
+// Tinted copy of a model; materials are cloned so the shared GLTF is untouched
+function cloneShipModel(scene, color, tint) {
+  const model = cloneSkinned(scene);
+  const tintColor = new Color(color);
+
+  model.traverse((node) => {
+    if (!node.isMesh) return;
+    const tintMaterial = (material) => {
+      const copy = material.clone();
+      if (tint > 0 && copy.color) copy.color.lerp(tintColor, tint);
+      if (tint > 0 && copy.emissive) copy.emissive.lerp(tintColor, tint * 0.3);
+      return copy;
+    };
+    node.material = Array.isArray(node.material)
+      ? node.material.map(tintMaterial)
+      : tintMaterial(node.material);
+  });
+  return model;
+}
+
+// A GLTF ship: tints the model, plays the clip mapped to the current phase
+// and reports its muzzle sockets (positions of the named nodes in the ship's
+// local frame) through `onMuzzles`
+function ModelShip({
+  gltf,
+  color,
+  tint = 0.5,
+  scale = 1,
+  modelRotation = [0, 0, 0],
+  animations = {},
+  muzzles = [],
+  phase,
+  timeScale = 1,
+  onMuzzles,
+}) {
+  const root = useRef();
+  const latest = useRef();
+  latest.current = { onMuzzles };
+  const model = useMemo(
+    () => cloneShipModel(gltf.scene, color, tint === false ? 0 : tint),
+    [gltf, color, tint]
+  );
+  const mixer = useMemo(() => new AnimationMixer(model), [model]);
+  const currentAction = useRef(null);
+
+  // Crossfade to the clip for this phase
+  const clipName = animations[phase];
+  useEffect(() => {
+    const clip = clipName ? AnimationClip.findByName(gltf.animations || [], clipName) : null;
+    const action = clip ? mixer.clipAction(clip) : null;
+    const previous = currentAction.current;
+    if (action === previous) return;
+
+    if (previous) previous.fadeOut(0.3);
+    if (action) action.reset().fadeIn(0.3).play();
+    currentAction.current = action;
+  }, [gltf, mixer, clipName]);
+
+  useEffect(() => () => mixer.stopAllAction(), [mixer]);
+
+  useFrame((_, delta) => {
+    mixer.update(delta * timeScale);
+  });
+
+  // Measure the muzzle sockets once the model is in the scene. The callback
+  // is read through `latest`, since callers pass a new one every render.
+  const muzzleKey = muzzles.join('|');
+  const rotationKey = modelRotation.join(',');
+  useEffect(() => {
+    const { onMuzzles: report } = latest.current;
+    if (!report || !root.current) return;
+    root.current.updateWorldMatrix(true, true);
+
+    const offsets = [];
+    muzzles.forEach(name => {
+      const node = model.getObjectByName(name);
+      if (!node) return;
+      const position = node.getWorldPosition(new Vector3());
+      offsets.push(root.current.worldToLocal(position).toArray());
+    });
+    report(offsets);
+  }, [model, muzzleKey, scale, rotationKey]);
+
+  return (
+    <group ref={root}>
+      <primitive object={model} scale={scale} rotation={modelRotation} />
+    </group>
+  );
+}
+
+// Suspends until the GLB/GLTF at `url` has loaded
+function LoadedShip({ url, ...props }) {
+  const gltf = useLoader(GLTFLoader, url);
+  return <ModelShip gltf={gltf} {...props} />;
+}
+
+// Warm the loader cache so the ship is ready before its first call-in
+function preloadWingmanModel(url) {
+  useLoader.preload(GLTFLoader, url);
+}
+
+// Smoke streaming from the engine of a damaged ship, in the ship's local frame
+const SMOKE_PUFFS = 8;
+const SMOKE_LIFETIME = 0.8; // seconds
+
+function SmokeTrail({ timeScale = 1 }) {
+  const puffs = useRef([]);
+  const age = useRef(0);
+
+  useFrame((_, delta) => {
+    age.current += delta * timeScale;
+    puffs.current.forEach((puff, i) => {
+      if (!puff) return;
+      const t = (age.current / SMOKE_LIFETIME + i / SMOKE_PUFFS) % 1;
+      puff.position.set(Math.sin(i * 2.4) * 0.3 * t, t * 0.8, 1.2 + t * 4);
+      puff.scale.setScalar(0.2 + t * 0.8);
+      puff.material.opacity = 0.6 * (1 - t);
+    });
+  });
+
+  return (
+    <group>
+      {Array.from({ length: SMOKE_PUFFS }, (_, i) => (
+        <mesh key={i} ref={(el) => { puffs.current[i] = el; }}>
+          <sphereGeometry args={[1, 6, 6]} />
+          <meshBasicMaterial color="#444444" transparent depthWrite={false} />
+        </mesh>
+      ))}
+    </group>
+  );
+}
+
+// `model` is a GLB/GLTF URL, a loaded GLTF ({ scene, animations }) or an
+// Object3D. Models face -Z like the placeholder; use `modelRotation` if not.
+function WingmanShip({
+  position,
+  rotation,
+  wingmanIndex,
+  color: colorOverride,
+  isActive,
+  smoking = false,
+  model,
+  ...modelProps
+}) {
+  const color = colorOverride || WINGMAN_CONFIG.WINGMAN_COLORS[wingmanIndex];
+
+  if (!isActive) return null;
+
+  let ship = <PlaceholderShip color={color} />;
+  if (typeof model === 'string') {
+    ship = (
+      <Suspense fallback={ship}>
+        <LoadedShip url={model} color={color} {...modelProps} />
+      </Suspense>
+    );
+  } else if (model) {
+    const gltf = model.scene ? model : { scene: model, animations: model.animations || [] };
+    ship = <ModelShip gltf={gltf} color={color} {...modelProps} />;
+  }
+
+  return (
+    <group position={position} rotation={rotation}>
+      {ship}
+      {smoking && <SmokeTrail timeScale={modelProps.timeScale} />}
+
       {/* Identification light */}
       <pointLight position={[0, 0.5, 0]} color={color} intensity={2} distance={8} />
     </group>
   );
 }
 
+// ============================================================================
+// ACCESSIBILITY
+// ============================================================================
+// Photosensitivity and motion settings shared by the renderers and the HUD:
+//   reducedFlash   effect lights are capped and never swing from dark to full
+//                  more than MAX_FLASH_RATE times a second, explosions swell
+//                  and fade as dim glows instead of flashing, and lightning
+//                  holds one shape instead of re-forking every 50 ms
+//   reducedMotion  no camera shake or slow-mo, lock-on reticles and score
+//                  popups appear in place, and the HUD drops its transitions
+// The `accessibility` prop is 'system' (the default: both follow the OS
+// "reduce motion" setting), true, false or { reducedFlash, reducedMotion }.
+const ACCESSIBILITY_DEFAULTS = {
+  MAX_LIGHT_INTENSITY: 2, // brightest any effect light gets
+  MAX_FLASH_RATE: 3,      // dark-to-full-and-back swings per second, at most
+  FLASH_OPACITY: 0.3,     // peak brightness of explosions and bursts
+};
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+function getMotionQuery() {
+  return typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(REDUCED_MOTION_QUERY) : null;
+}
+
+function prefersReducedMotion() {
+  const query = getMotionQuery();
+  return Boolean(query && query.matches);
+}
+
+function subscribeReducedMotion(listener) {
+  const query = getMotionQuery();
+  if (!query) return () => {};
+  query.addEventListener('change', listener);
+  return () => query.removeEventListener('change', listener);
+}
+
+// { reducedFlash, reducedMotion } for an `accessibility` prop. Either field
+// of an object may itself be 'system'.
+function getAccessibility(accessibility = 'system', systemReduced = prefersReducedMotion()) {
+  const resolve = value => (value === 'system' ? systemReduced : Boolean(value));
+  if (accessibility && typeof accessibility === 'object') {
+    return { reducedFlash: resolve(accessibility.reducedFlash), reducedMotion: resolve(accessibility.reducedMotion) };
+  }
+  return { reducedFlash: resolve(accessibility), reducedMotion: resolve(accessibility) };
+}
+
+// getAccessibility that re-renders when the OS setting changes
+function useAccessibility(accessibility) {
+  const systemReduced = useSyncExternalStore(subscribeReducedMotion, prefersReducedMotion, () => false);
+  const { reducedFlash, reducedMotion } = getAccessibility(accessibility, systemReduced);
+  return useMemo(() => ({ reducedFlash, reducedMotion }), [reducedFlash, reducedMotion]);
+}
+
+function capIntensity(intensity, reducedFlash) {
+  return reducedFlash ? Math.min(intensity, ACCESSIBILITY_DEFAULTS.MAX_LIGHT_INTENSITY) : intensity;
+}
+
+// Explosion brightness over its life: a flash that fades out, or under
+// reduced flash a dim glow that swells and fades
+function getFlashOpacity(progress, reducedFlash) {
+  return reducedFlash
+    ? ACCESSIBILITY_DEFAULTS.FLASH_OPACITY * Math.sin(progress * Math.PI)
+    : 1 - progress;
+}
+
+// ============================================================================
+// EFFECT RENDERING HELPERS
+// ============================================================================
+// Effect components are pure renderers: all timing, targeting and damage live
+// in WingmanSimulation. Each component receives its effect descriptor as
+// props plus `getEffect(id)`, and reads the effect's current simulation state
+// every frame instead of keeping timers of its own. `reducedFlash` asks for
+// the steady, dimmed version of an effect (see ACCESSIBILITY).
+const BEAM_AXIS = new Vector3(0, 1, 0);
+
+// World position of an enemy, preferring its Object3D (or ref) over `position`
+function getEnemyWorldPosition(enemy, target = new Vector3()) {
+  const object = enemy.object || (enemy.ref && enemy.ref.current);
+  if (object) return object.getWorldPosition(target);
+  return enemy.position ? target.copy(enemy.position) : null;
+}
+
+// Stretches a unit-height, Y-aligned mesh between two points
+function placeBetween(object, start, end, scratch) {
+  scratch.subVectors(end, start);
+  const length = scratch.length();
+  object.position.addVectors(start, end).multiplyScalar(0.5);
+  object.quaternion.setFromUnitVectors(BEAM_AXIS, scratch.normalize());
+  object.scale.set(1, Math.max(length, 0.001), 1);
+}
+
 // ============================================================================
 // GATLING PROJECTILE
 // ============================================================================
-function GatlingProjectile({ startPosition, targetPosition, delay, onComplete, id }) {
+function GatlingProjectile({ id, startPosition, getEffect, showLight = true }) {
   const ref = useRef();
-  const [active, setActive] = useState(false);
-  const startTime = useRef(null);
-  const direction = useRef(new Vector3());
-  const speed = 120;
-  
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      setActive(true);
-      startTime.current = Date.now();
-      direction.current = new Vector3()
-        .subVectors(targetPosition, startPosition)
-        .normalize();
-    }, delay);
-    return () => clearTimeout(timer);
-  }, [delay, startPosition, targetPosition]);
-  
-  useFrame((_, delta) => {
-    if (!active || !ref.current) return;
-    
-    ref.current.position.add(
-      direction.current.clone().multiplyScalar(speed * delta)
-    );
-    
-    const distanceToTarget = ref.current.position.distanceTo(targetPosition);
-    if (distanceToTarget < 2) {
-      onComplete(id);
-    }
+
+  useFrame(() => {
+    if (!ref.current) return;
+
+    const effect = getEffect(id);
+    const visible = Boolean(effect && effect.active && effect.position);
+    ref.current.visible = visible;
+    if (visible) ref.current.position.fromArray(effect.position);
   });
-  
-  if (!active) return null;
-  
+
   return (
-    <mesh ref={ref} position={startPosition.clone()}>
+    <mesh ref={ref} position={startPosition} visible={false}>
       <sphereGeometry args={[0.2, 6, 6]} />
       <meshBasicMaterial color="#ffaa00" />
-      <pointLight color="#ffaa00" intensity={1} distance={3} />
+      {showLight && <pointLight color="#ffaa00" intensity={1} distance={3} />}
     </mesh>
   );
 }
@@ -131,46 +372,39 @@ function GatlingProjectile({ startPosition, targetPosition, delay, onComplete, i
 // ============================================================================
 // BEAM EFFECT
 // ============================================================================
-function BeamEffect({ startPosition, targetPosition, delay, duration, onComplete, id }) {
-  const [active, setActive] = useState(false);
-  const [completed, setCompleted] = useState(false);
-  
-  useEffect(() => {
-    const startTimer = setTimeout(() => {
-      setActive(true);
-      
-      const endTimer = setTimeout(() => {
-        setCompleted(true);
-        onComplete(id);
-      }, duration);
-      
-      return () => clearTimeout(endTimer);
-    }, delay);
-    
-    return () => clearTimeout(startTimer);
-  }, [delay, duration, onComplete, id]);
-  
-  if (!active || completed) return null;
-  
-  const midPoint = new Vector3().addVectors(startPosition, targetPosition).multiplyScalar(0.5);
-  const length = startPosition.distanceTo(targetPosition);
-  const direction = new Vector3().subVectors(targetPosition, startPosition).normalize();
-  
-  // Calculate rotation to point beam at target
-  const rotationY = Math.atan2(direction.x, direction.z);
-  const rotationX = -Math.asin(direction.y);
-  
+function BeamEffect({ id, getEffect, showLight = true, reducedFlash = false }) {
+  const ref = useRef();
+  const scratch = useRef({ start: new Vector3(), end: new Vector3(), direction: new Vector3() });
+
+  // Keep the beam attached to the target while it is locked
+  useFrame(() => {
+    if (!ref.current) return;
+
+    const effect = getEffect(id);
+    const visible = Boolean(effect && effect.active && effect.endPosition);
+    ref.current.visible = visible;
+    if (!visible) return;
+
+    const { start, end, direction } = scratch.current;
+    placeBetween(
+      ref.current,
+      start.fromArray(effect.startPosition),
+      end.fromArray(effect.endPosition),
+      direction
+    );
+  });
+
   return (
-    <group position={midPoint} rotation={[rotationX, rotationY, 0]}>
+    <group ref={ref} visible={false}>
       <mesh>
-        <cylinderGeometry args={[0.15, 0.15, length, 8]} />
+        <cylinderGeometry args={[0.15, 0.15, 1, 8]} />
         <meshBasicMaterial color="#00ff88" transparent opacity={0.9} />
       </mesh>
       <mesh>
-        <cylinderGeometry args={[0.4, 0.4, length, 8]} />
+        <cylinderGeometry args={[0.4, 0.4, 1, 8]} />
         <meshBasicMaterial color="#00ff88" transparent opacity={0.3} />
       </mesh>
-      <pointLight position={[0, 0, 0]} color="#00ff88" intensity={5} distance={15} />
+      {showLight && <pointLight position={[0, 0, 0]} color="#00ff88" intensity={capIntensity(5, reducedFlash)} distance={15} />}
     </group>
   );
 }
@@ -178,616 +412,2859 @@ function BeamEffect({ startPosition, targetPosition, delay, duration, onComplete
 // ============================================================================
 // LIGHTNING CHAIN EFFECT
 // ============================================================================
-function LightningChain({ positions, delay, duration, onComplete }) {
-  const [active, setActive] = useState(false);
-  const [phase, setPhase] = useState('chain'); // 'chain' | 'explode'
-  const [explosionPositions, setExplosionPositions] = useState([]);
+const LIGHTNING_SEGMENTS = 8;
+
+function LightningChain({ id, positions, getEffect, showLight = true, reducedFlash = false }) {
   const boltRef = useRef();
-  
-  useEffect(() => {
-    const startTimer = setTimeout(() => {
-      setActive(true);
-      
-      // After chain duration, switch to explosion phase
-      const explodeTimer = setTimeout(() => {
-        setPhase('explode');
-        setExplosionPositions([...positions]);
-        
-        // Complete after explosions
-        const completeTimer = setTimeout(() => {
-          onComplete();
-        }, 500);
-        
-        return () => clearTimeout(completeTimer);
-      }, duration);
-      
-      return () => clearTimeout(explodeTimer);
-    }, delay);
-    
-    return () => clearTimeout(startTimer);
-  }, [delay, duration, positions, onComplete]);
-  
-  // Generate jagged lightning path between points
-  const generateLightningPoints = useCallback((start, end) => {
-    const points = [start.clone()];
-    const segments = 8;
-    const direction = new Vector3().subVectors(end, start);
-    const length = direction.length();
-    direction.normalize();
-    
-    for (let i = 1; i < segments; i++) {
-      const t = i / segments;
-      const basePoint = start.clone().add(direction.clone().multiplyScalar(length * t));
-      // Add random offset perpendicular to direction
-      const offset = new Vector3(
-        (Math.random() - 0.5) * 2,
-        (Math.random() - 0.5) * 2,
-        (Math.random() - 0.5) * 2
-      );
-      basePoint.add(offset);
-      points.push(basePoint);
+  const explosionRef = useRef();
+  const segmentRefs = useRef([]);
+  const nodeLightRefs = useRef([]);
+  const burstRefs = useRef([]);
+  const scratch = useRef({
+    start: new Vector3(),
+    end: new Vector3(),
+    point: new Vector3(),
+    next: new Vector3(),
+    direction: new Vector3(),
+  });
+
+  const hopCount = positions.length - 1;
+
+  useFrame(() => {
+    if (!boltRef.current || !explosionRef.current) return;
+
+    const effect = getEffect(id);
+    const stage = effect ? effect.stage : null;
+    boltRef.current.visible = stage === 'chain';
+    explosionRef.current.visible = stage === 'explode';
+
+    if (stage === 'explode') {
+      burstRefs.current.forEach((burst, i) => {
+        if (!burst) return;
+        burst.visible = i < effect.hitPositions.length;
+        if (burst.visible) burst.position.fromArray(effect.hitPositions[i]);
+      });
+      return;
     }
-    points.push(end.clone());
-    return points;
-  }, []);
-  
-  if (!active) return null;
-  
-  if (phase === 'explode') {
-    return (
-      <>
-        {explosionPositions.map((pos, i) => (
-          <group key={i} position={pos}>
-            <mesh scale={[3, 3, 3]}>
+    if (stage !== 'chain') return;
+
+    // Jagged path between consecutive live nodes; the shape comes from the
+    // simulation's seed so replays draw identical bolts. A steady bolt keeps
+    // one shape for its whole life.
+    const random = createRandom(reducedFlash ? 1 : effect.jitterSeed);
+    const { start, end, point, next, direction } = scratch.current;
+    const nodes = effect.nodes;
+
+    for (let hop = 0; hop < hopCount; hop++) {
+      const visible = hop < nodes.length - 1;
+      if (visible) {
+        start.fromArray(nodes[hop]);
+        end.fromArray(nodes[hop + 1]);
+      }
+
+      point.copy(start);
+      for (let j = 0; j < LIGHTNING_SEGMENTS; j++) {
+        const mesh = segmentRefs.current[hop * LIGHTNING_SEGMENTS + j];
+        if (!mesh) continue;
+        mesh.visible = visible;
+        if (!visible) continue;
+
+        next.lerpVectors(start, end, (j + 1) / LIGHTNING_SEGMENTS);
+        if (j + 1 < LIGHTNING_SEGMENTS) {
+          // Random offset along every axis
+          next.x += (random() - 0.5) * 2;
+          next.y += (random() - 0.5) * 2;
+          next.z += (random() - 0.5) * 2;
+        }
+        placeBetween(mesh, point, next, direction);
+        point.copy(next);
+      }
+    }
+
+    // Glow at each node
+    nodeLightRefs.current.forEach((light, i) => {
+      if (!light) return;
+      light.visible = i < nodes.length;
+      if (light.visible) light.position.fromArray(nodes[i]);
+    });
+  });
+
+  return (
+    <>
+      <group ref={boltRef} visible={false}>
+        {Array.from({ length: hopCount * LIGHTNING_SEGMENTS }, (_, i) => (
+          <mesh key={i} ref={el => { segmentRefs.current[i] = el; }}>
+            <cylinderGeometry args={[0.08, 0.08, 1, 4]} />
+            <meshBasicMaterial color="#ffff88" />
+          </mesh>
+        ))}
+        {showLight && positions.map((pos, i) => (
+          <pointLight
+            key={i}
+            ref={el => { nodeLightRefs.current[i] = el; }}
+            position={pos}
+            color="#ffff00"
+            intensity={capIntensity(3, reducedFlash)}
+            distance={8}
+          />
+        ))}
+      </group>
+
+      <group ref={explosionRef} visible={false}>
+        {Array.from({ length: hopCount }, (_, i) => (
+          <group key={i} ref={el => { burstRefs.current[i] = el; }}>
+            <mesh scale={reducedFlash ? [2, 2, 2] : [3, 3, 3]}>
               <sphereGeometry args={[1, 16, 16]} />
-              <meshBasicMaterial color="#ffff00" transparent opacity={0.8} />
+              <meshBasicMaterial
+                color="#ffff00"
+                transparent
+                opacity={reducedFlash ? ACCESSIBILITY_DEFAULTS.FLASH_OPACITY : 0.8}
+              />
             </mesh>
-            <pointLight color="#ffff00" intensity={10} distance={20} />
+            {showLight && <pointLight color="#ffff00" intensity={capIntensity(10, reducedFlash)} distance={20} />}
           </group>
         ))}
-      </>
-    );
-  }
-  
-  // Render lightning chains between consecutive positions
-  const chains = [];
-  for (let i = 0; i < positions.length - 1; i++) {
-    const points = generateLightningPoints(positions[i], positions[i + 1]);
-    chains.push(
-      <group key={i}>
-        {points.map((point, j) => {
-          if (j === points.length - 1) return null;
-          const next = points[j + 1];
-          const mid = new Vector3().addVectors(point, next).multiplyScalar(0.5);
-          const len = point.distanceTo(next);
-          const dir = new Vector3().subVectors(next, point).normalize();
-          const rotY = Math.atan2(dir.x, dir.z);
-          const rotX = -Math.asin(dir.y);
-          
-          return (
-            <mesh key={j} position={mid} rotation={[rotX, rotY, 0]}>
-              <cylinderGeometry args={[0.08, 0.08, len, 4]} />
-              <meshBasicMaterial color="#ffff88" />
-            </mesh>
-          );
-        })}
       </group>
-    );
-  }
-  
-  return (
-    <group>
-      {chains}
-      {/* Glow at each node */}
-      {positions.map((pos, i) => (
-        <pointLight key={i} position={pos} color="#ffff00" intensity={3} distance={8} />
-      ))}
-    </group>
+    </>
   );
 }
 
 // ============================================================================
 // MISSILE PROJECTILE
 // ============================================================================
-function Missile({ startPosition, targetPosition, delay, flightTime, onComplete, id }) {
+function Missile({ id, startPosition, getEffect, showLight = true, reducedFlash = false }) {
   const ref = useRef();
-  const [active, setActive] = useState(false);
-  const [exploded, setExploded] = useState(false);
-  const startTime = useRef(null);
-  const initialPos = useRef(startPosition.clone());
-  
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      setActive(true);
-      startTime.current = Date.now();
-    }, delay);
-    return () => clearTimeout(timer);
-  }, [delay]);
-  
+  const explosionRef = useRef();
+  const aim = useRef(new Vector3());
+
   useFrame(() => {
-    if (!active || exploded || !ref.current) return;
-    
-    const elapsed = Date.now() - startTime.current;
-    const progress = Math.min(elapsed / flightTime, 1);
-    
-    // Curved path - arc up then down to target
-    const arcHeight = 5;
-    const arcProgress = Math.sin(progress * Math.PI);
-    
-    const currentPos = new Vector3().lerpVectors(
-      initialPos.current,
-      targetPosition,
-      progress
-    );
-    currentPos.y += arcProgress * arcHeight;
-    
-    ref.current.position.copy(currentPos);
-    
-    // Look at target
-    ref.current.lookAt(targetPosition);
-    
-    if (progress >= 1) {
-      setExploded(true);
-      setTimeout(() => onComplete(id), 300);
+    if (!ref.current || !explosionRef.current) return;
+
+    const effect = getEffect(id);
+    const stage = effect ? effect.stage : null;
+    ref.current.visible = stage === 'flight';
+    explosionRef.current.visible = stage === 'exploded';
+
+    if (stage === 'flight') {
+      ref.current.position.fromArray(effect.position);
+      // Look at target
+      ref.current.lookAt(aim.current.fromArray(effect.aimPosition));
+    } else if (stage === 'exploded') {
+      explosionRef.current.position.fromArray(effect.impactPosition);
     }
   });
-  
-  if (!active) return null;
-  
-  if (exploded) {
-    return (
-      <group position={targetPosition}>
+
+  return (
+    <>
+      <group ref={ref} position={startPosition} visible={false}>
+        <mesh rotation={[Math.PI / 2, 0, 0]}>
+          <coneGeometry args={[0.2, 0.8, 6]} />
+          <meshStandardMaterial color="#ff44ff" emissive="#ff44ff" emissiveIntensity={0.5} />
+        </mesh>
+        {/* Missile trail */}
+        <mesh position={[0, 0, 0.5]} rotation={[Math.PI / 2, 0, 0]}>
+          <coneGeometry args={[0.15, 0.6, 6]} />
+          <meshBasicMaterial color="#ffaa00" transparent opacity={0.7} />
+        </mesh>
+        {showLight && <pointLight position={[0, 0, 0.3]} color="#ff8800" intensity={2} distance={4} />}
+      </group>
+
+      <group ref={explosionRef} visible={false}>
         <mesh scale={[2, 2, 2]}>
           <sphereGeometry args={[1, 16, 16]} />
-          <meshBasicMaterial color="#ff4400" transparent opacity={0.9} />
+          <meshBasicMaterial
+            color="#ff4400"
+            transparent
+            opacity={reducedFlash ? ACCESSIBILITY_DEFAULTS.FLASH_OPACITY : 0.9}
+          />
         </mesh>
-        <pointLight color="#ff4400" intensity={10} distance={15} />
+        {showLight && <pointLight color="#ff4400" intensity={capIntensity(10, reducedFlash)} distance={15} />}
       </group>
-    );
-  }
-  
-  return (
-    <group ref={ref} position={startPosition.clone()}>
-      <mesh rotation={[Math.PI / 2, 0, 0]}>
-        <coneGeometry args={[0.2, 0.8, 6]} />
-        <meshStandardMaterial color="#ff44ff" emissive="#ff44ff" emissiveIntensity={0.5} />
-      </mesh>
-      {/* Missile trail */}
-      <mesh position={[0, 0, 0.5]} rotation={[Math.PI / 2, 0, 0]}>
-        <coneGeometry args={[0.15, 0.6, 6]} />
-        <meshBasicMaterial color="#ffaa00" transparent opacity={0.7} />
-      </mesh>
-      <pointLight position={[0, 0, 0.3]} color="#ff8800" intensity={2} distance={4} />
-    </group>
+    </>
   );
 }
 
 // ============================================================================
 // EXPLOSION EFFECT (for enemy deaths)
 // ============================================================================
-function Explosion({ position, color = '#ff8800', duration = 500 }) {
-  const [scale, setScale] = useState(0.1);
-  const [opacity, setOpacity] = useState(1);
-  const startTime = useRef(Date.now());
-  
-  useFrame(() => {
-    const elapsed = Date.now() - startTime.current;
-    const progress = Math.min(elapsed / duration, 1);
-    
-    setScale(0.1 + progress * 3);
-    setOpacity(1 - progress);
+// Standalone explosion for custom effects: driven by `getAge()` when given,
+// otherwise it ages with the frame delta. WingmanSupport itself draws its
+// explosions through the effect pool below.
+function Explosion({
+  position,
+  color = '#ff8800',
+  duration = EXPLOSION_DURATION,
+  getAge,
+  reducedFlash = false,
+}) {
+  const ref = useRef();
+  const materialRef = useRef();
+  const lightRef = useRef();
+  const localAge = useRef(0);
+
+  useFrame((_, delta) => {
+    if (!ref.current) return;
+
+    localAge.current += delta * 1000;
+    const age = getAge ? getAge() : localAge.current;
+    const progress = Math.min(Math.max(age, 0) / duration, 1);
+    const opacity = getFlashOpacity(progress, reducedFlash);
+    const scale = 0.1 + progress * 3;
+
+    ref.current.visible = age >= 0 && opacity > 0;
+    ref.current.scale.set(scale, scale, scale);
+    if (materialRef.current) materialRef.current.opacity = opacity;
+    if (lightRef.current) lightRef.current.intensity = capIntensity(opacity * 10, reducedFlash);
   });
-  
-  if (opacity <= 0) return null;
-  
+
   return (
     <group position={position}>
-      <mesh scale={[scale, scale, scale]}>
+      <mesh ref={ref} visible={false}>
         <sphereGeometry args={[1, 16, 16]} />
-        <meshBasicMaterial color={color} transparent opacity={opacity} />
+        <meshBasicMaterial ref={materialRef} color={color} transparent opacity={1} />
       </mesh>
-      <pointLight color={color} intensity={opacity * 10} distance={10} />
+      <pointLight ref={lightRef} color={color} intensity={0} distance={10} />
     </group>
   );
 }
 
 // ============================================================================
-// MAIN WINGMAN SUPPORT COMPONENT
+// POOLED EFFECT RENDERING
 // ============================================================================
-function WingmanSupport({
-  playerPosition = new Vector3(0, 0, 0),
-  playerForward = new Vector3(0, 0, -1),
-  enemies = [],
-  selectedWingman = 0,
-  onActivate,
-  onEnemiesDestroyed,
-  onCooldownUpdate,
+// Gatling rounds and explosions are drawn with one InstancedMesh each, and
+// all dynamic lights come from a fixed pool assigned to the brightest effects
+// every frame. The light count never changes, so materials never recompile
+// mid-attack, and nothing here touches React state after mount.
+const POOL_DEFAULTS = {
+  MAX_PROJECTILES: 1024,
+  MAX_EXPLOSIONS: 256,
+  LIGHT_BUDGET: 8,
+};
+
+// Effect types drawn as instances instead of components
+const POOLED_PROJECTILES = {
+  gatling: { color: '#ffaa00', radius: 0.2 },
+};
+
+// Light a simulation effect would like: { position, color, intensity, distance }
+function getEffectLight(effect) {
+  switch (effect.type) {
+    case 'gatling':
+      return effect.active && effect.position
+        ? { position: effect.position, color: '#ffaa00', intensity: 1, distance: 3 }
+        : null;
+    case 'beam':
+      return effect.active && effect.endPosition
+        ? { position: effect.endPosition, color: '#00ff88', intensity: 5, distance: 15 }
+        : null;
+    case 'lightning':
+      if (effect.stage === 'explode' && effect.hitPositions.length > 0) {
+        return { position: effect.hitPositions[0], color: '#ffff00', intensity: 10, distance: 20 };
+      }
+      return effect.stage === 'chain' && effect.nodes.length > 1
+        ? { position: effect.nodes[effect.nodes.length - 1], color: '#ffff00', intensity: 3, distance: 8 }
+        : null;
+    case 'missile':
+      if (effect.stage === 'exploded') {
+        return { position: effect.impactPosition, color: '#ff4400', intensity: 10, distance: 15 };
+      }
+      return effect.stage === 'flight'
+        ? { position: effect.position, color: '#ff8800', intensity: 2, distance: 4 }
+        : null;
+    default:
+      return null;
+  }
+}
+
+const _poolMatrix = new Matrix4();
+const _poolPosition = new Vector3();
+const _poolScale = new Vector3();
+const _poolQuaternion = new Quaternion();
+const _poolColor = new Color();
+
+function WingmanEffectPool({
+  getState,
+  pooledTypes = POOLED_PROJECTILES,
+  isPooled,
+  lightBudget = POOL_DEFAULTS.LIGHT_BUDGET,
+  maxProjectiles = POOL_DEFAULTS.MAX_PROJECTILES,
+  maxExplosions = POOL_DEFAULTS.MAX_EXPLOSIONS,
+  reducedFlash = false,
 }) {
-  // State
-  const [cooldown, setCooldown] = useState(0);
-  const [isActive, setIsActive] = useState(false);
-  const [phase, setPhase] = useState('idle'); // 'idle' | 'approach' | 'attack' | 'escape'
-  const [wingmanPosition, setWingmanPosition] = useState(new Vector3());
-  const [wingmanRotation, setWingmanRotation] = useState([0, Math.PI, 0]);
-  const [attackEffects, setAttackEffects] = useState([]);
-  const [explosions, setExplosions] = useState([]);
-  const [targetEnemies, setTargetEnemies] = useState([]);
-  
-  // Refs
-  const phaseStartTime = useRef(0);
-  const attackPosition = useRef(new Vector3());
-  
-  // Calculate spawn position (behind and above player)
-  const getSpawnPosition = useCallback(() => {
-    const spawn = playerPosition.clone();
-    spawn.add(playerForward.clone().multiplyScalar(WINGMAN_CONFIG.SPAWN_OFFSET_BEHIND));
-    spawn.y += WINGMAN_CONFIG.SPAWN_OFFSET_ABOVE;
-    return spawn;
-  }, [playerPosition, playerForward]);
-  
-  // Calculate attack position (alongside player)
-  const getAttackPosition = useCallback(() => {
-    const attack = playerPosition.clone();
-    attack.x += 5; // Offset to the side
-    attack.y += 2;
-    return attack;
-  }, [playerPosition]);
-  
-  // Trigger team special
-  const triggerTeamSpecial = useCallback(() => {
-    if (cooldown > 0 || isActive || enemies.length === 0) return false;
-    
-    setIsActive(true);
-    setPhase('approach');
-    phaseStartTime.current = Date.now();
-    setWingmanPosition(getSpawnPosition());
-    attackPosition.current = getAttackPosition();
-    setTargetEnemies([...enemies]);
-    
-    if (onActivate) {
-      onActivate(selectedWingman, WINGMAN_CONFIG.WINGMAN_NAMES[selectedWingman]);
-    }
-    
-    return true;
-  }, [cooldown, isActive, enemies, selectedWingman, getSpawnPosition, getAttackPosition, onActivate]);
-  
-  // Execute attack based on wingman type
-  const executeAttack = useCallback(() => {
-    const effects = [];
-    const shipPos = attackPosition.current.clone();
-    
-    switch (selectedWingman) {
-      case 0: // Multi-Gatling Guns
-        targetEnemies.forEach((enemy, i) => {
-          // Fire multiple projectiles per enemy with staggered timing
-          for (let j = 0; j < 5; j++) {
-            effects.push({
-              type: 'gatling',
-              id: `gatling-${i}-${j}`,
-              startPosition: shipPos.clone().add(new Vector3(
-                (Math.random() - 0.5) * 2,
-                (Math.random() - 0.5) * 1,
-                0
-              )),
-              targetPosition: enemy.position.clone(),
-              delay: j * 50 + i * 30,
-            });
-          }
-        });
-        break;
-        
-      case 1: // Multi-Beam Guns
-        targetEnemies.forEach((enemy, i) => {
-          effects.push({
-            type: 'beam',
-            id: `beam-${i}`,
-            startPosition: shipPos.clone(),
-            targetPosition: enemy.position.clone(),
-            delay: i * 50,
-            duration: WINGMAN_CONFIG.BEAM_LOCK_DURATION,
-          });
-        });
+  const projectileRefs = useRef({});
+  const explosionRef = useRef();
+  const lightRefs = useRef([]);
+  const lights = useRef([]);
+
+  // Instance colors must exist before the first render so the material
+  // compiles with them
+  useLayoutEffect(() => {
+    Object.values(projectileRefs.current).forEach(projectiles => {
+      if (projectiles) projectiles.count = 0;
+    });
+
+    const mesh = explosionRef.current;
+    if (!mesh) return;
+    for (let i = 0; i < maxExplosions; i++) mesh.setColorAt(i, _poolColor.set('#000000'));
+    mesh.count = 0;
+  }, [maxExplosions]);
+
+  useFrame((_, delta) => {
+    const state = getState();
+    const candidates = lights.current;
+    candidates.length = 0;
+
+    // Projectiles
+    Object.keys(pooledTypes).forEach(type => {
+      const mesh = projectileRefs.current[type];
+      if (!mesh) return;
+      const { radius } = pooledTypes[type];
+      let count = 0;
+      state.effects.forEach(effect => {
+        if (effect.type !== type || !effect.active || !effect.position || count >= maxProjectiles) return;
+        if (isPooled && !isPooled(effect)) return;
+        _poolMatrix.compose(
+          _poolPosition.fromArray(effect.position),
+          _poolQuaternion.identity(),
+          _poolScale.setScalar(radius)
+        );
+        mesh.setMatrixAt(count, _poolMatrix);
+        count += 1;
+      });
+      mesh.count = count;
+      mesh.instanceMatrix.needsUpdate = true;
+    });
+
+    // Every effect competes for the light budget
+    state.effects.forEach(effect => {
+      const light = getEffectLight(effect);
+      if (light) candidates.push(light);
+    });
+
+    // Explosions: additive blending, so fading the color fades the instance
+    const mesh = explosionRef.current;
+    if (mesh) {
+      let count = 0;
+      state.explosions.forEach(explosion => {
+        if (explosion.age < 0 || count >= maxExplosions) return;
+        const progress = Math.min(explosion.age / EXPLOSION_DURATION, 1);
+        const opacity = getFlashOpacity(progress, reducedFlash);
+        _poolMatrix.compose(
+          _poolPosition.fromArray(explosion.position),
+          _poolQuaternion.identity(),
+          _poolScale.setScalar(0.1 + progress * 3)
+        );
+        mesh.setMatrixAt(count, _poolMatrix);
+        mesh.setColorAt(count, _poolColor.set(explosion.color).multiplyScalar(opacity));
+        count += 1;
+
+        candidates.push({
+          position: explosion.position,
+          color: explosion.color,
+          intensity: opacity * 10,
+          distance: 10,
+        });
+      });
+      mesh.count = count;
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    }
+
+    // Brightest effects get the lights; the rest of the pool goes dark.
+    // Under reduced flash a light ramps toward its target no faster than
+    // MAX_FLASH_RATE full swings a second.
+    candidates.sort((a, b) => b.intensity - a.intensity);
+    const { MAX_LIGHT_INTENSITY, MAX_FLASH_RATE } = ACCESSIBILITY_DEFAULTS;
+    const ramp = reducedFlash ? MAX_LIGHT_INTENSITY * 2 * MAX_FLASH_RATE * delta : Infinity;
+    lightRefs.current.forEach((light, i) => {
+      if (!light) return;
+      const candidate = candidates[i];
+      const target = candidate ? capIntensity(candidate.intensity, reducedFlash) : 0;
+      light.intensity += Math.min(Math.max(target - light.intensity, -ramp), ramp);
+      if (!candidate) return;
+      light.position.fromArray(candidate.position);
+      light.color.set(candidate.color);
+      light.distance = candidate.distance;
+    });
+  });
+
+  return (
+    <group>
+      {Object.keys(pooledTypes).map(type => (
+        <instancedMesh
+          key={type}
+          ref={el => { projectileRefs.current[type] = el; }}
+          args={[undefined, undefined, maxProjectiles]}
+          frustumCulled={false}
+        >
+          <sphereGeometry args={[1, 6, 6]} />
+          <meshBasicMaterial color={pooledTypes[type].color} />
+        </instancedMesh>
+      ))}
+
+      <instancedMesh
+        ref={explosionRef}
+        args={[undefined, undefined, maxExplosions]}
+        frustumCulled={false}
+      >
+        <sphereGeometry args={[1, 16, 16]} />
+        <meshBasicMaterial transparent blending={AdditiveBlending} depthWrite={false} toneMapped={false} />
+      </instancedMesh>
+
+      {Array.from({ length: lightBudget }, (_, i) => (
+        <pointLight
+          key={i}
+          ref={el => { lightRefs.current[i] = el; }}
+          intensity={0}
+          distance={10}
+        />
+      ))}
+    </group>
+  );
+}
+
+// ============================================================================
+// LOCK-ON MARKERS
+// ============================================================================
+// Reticles over every enemy in `state.locks`, drawn like the effect pool: one
+// InstancedMesh per shape, turned to face the camera and updated every frame
+// without React state. A wingman's `reticle` sets the `shape` ('ring' |
+// 'square' | 'diamond' | 'triangle'), a `color` (default: the wingman's) and
+// `chain`: a chained wingman's targets are linked in the order its attack
+// hops, nearest to the firing position first, like the lightning chain.
+const LOCK_ON_DEFAULTS = {
+  MAX_MARKERS: 64,
+  SIZE: 1.5,     // reticle radius in world units
+  LOCK_IN: 300,  // ms a new reticle takes to close in on its target
+};
+
+const RETICLE_SHAPES = {
+  ring: { segments: 32, start: 0 },
+  square: { segments: 4, start: Math.PI / 4 },
+  diamond: { segments: 4, start: 0 },
+  triangle: { segments: 3, start: Math.PI / 2 },
+};
+
+const VIEW_AXIS = new Vector3(0, 0, 1);
+const _lockQuaternion = new Quaternion();
+const _lockSpin = new Quaternion();
+
+function getReticle(wingman) {
+  const reticle = (wingman && wingman.reticle) || {};
+  return {
+    shape: RETICLE_SHAPES[reticle.shape] ? reticle.shape : 'ring',
+    color: reticle.color || (wingman && wingman.color) || '#ffffff',
+    chain: Boolean(reticle.chain),
+  };
+}
+
+function LockOnMarkers({
+  getState,
+  getEnemies,
+  roster,
+  size = LOCK_ON_DEFAULTS.SIZE,
+  chainLines = true,
+  maxMarkers = LOCK_ON_DEFAULTS.MAX_MARKERS,
+  reducedMotion = false,
+}) {
+  const meshRefs = useRef({});
+  const lineRef = useRef();
+  const enemyIndex = useRef(new Map());
+  const buffers = useMemo(() => ({
+    positions: new Float32Array(maxMarkers * 6),
+    colors: new Float32Array(maxMarkers * 6),
+    points: Array.from({ length: maxMarkers }, () => new Vector3()),
+  }), [maxMarkers]);
+
+  useLayoutEffect(() => {
+    Object.values(meshRefs.current).forEach(mesh => {
+      if (!mesh) return;
+      for (let i = 0; i < maxMarkers; i++) mesh.setColorAt(i, _poolColor.set('#000000'));
+      mesh.count = 0;
+    });
+  }, [maxMarkers]);
+
+  useFrame(({ camera }) => {
+    const state = getState();
+    const locks = state.locks || [];
+    const index = enemyIndex.current;
+    index.clear();
+    if (locks.length > 0) getEnemies().forEach(enemy => index.set(enemy.id, enemy));
+
+    const counts = {};
+    const chains = new Map();
+    let placed = 0;
+    locks.forEach(lock => {
+      const enemy = index.get(lock.enemyId);
+      if (!enemy || placed >= maxMarkers) return;
+      const point = buffers.points[placed];
+      if (!getEnemyWorldPosition(enemy, point)) return;
+      placed += 1;
+
+      const reticle = getReticle(roster.find(w => w.id === lock.wingmanId));
+      const mesh = meshRefs.current[reticle.shape];
+      if (!mesh) return;
+
+      // Closes in and turns a quarter into place, then holds
+      const progress = reducedMotion
+        ? 1
+        : Math.min(Math.max(state.time - lock.lockedAt, 0) / LOCK_ON_DEFAULTS.LOCK_IN, 1);
+      _lockQuaternion.copy(camera.quaternion).multiply(_lockSpin.setFromAxisAngle(VIEW_AXIS, (1 - progress) * Math.PI / 2));
+      const count = counts[reticle.shape] || 0;
+      _poolMatrix.compose(point, _lockQuaternion, _poolScale.setScalar(size * (1 + (1 - progress) * 1.5)));
+      mesh.setMatrixAt(count, _poolMatrix);
+      mesh.setColorAt(count, _poolColor.set(reticle.color));
+      counts[reticle.shape] = count + 1;
+
+      if (reticle.chain && chainLines) {
+        if (!chains.has(lock.wingmanId)) chains.set(lock.wingmanId, { color: reticle.color, origin: lock.origin, points: [] });
+        chains.get(lock.wingmanId).points.push(point);
+      }
+    });
+
+    Object.keys(meshRefs.current).forEach(shape => {
+      const mesh = meshRefs.current[shape];
+      if (!mesh) return;
+      mesh.count = counts[shape] || 0;
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    });
+
+    // Chain order: nearest to the firing position first
+    const line = lineRef.current;
+    if (!line) return;
+    let segments = 0;
+    chains.forEach(chain => {
+      const origin = _poolPosition.fromArray(chain.origin);
+      chain.points.sort((a, b) => a.distanceTo(origin) - b.distanceTo(origin));
+      _poolColor.set(chain.color);
+      for (let i = 1; i < chain.points.length; i++) {
+        chain.points[i - 1].toArray(buffers.positions, segments * 6);
+        chain.points[i].toArray(buffers.positions, segments * 6 + 3);
+        _poolColor.toArray(buffers.colors, segments * 6);
+        _poolColor.toArray(buffers.colors, segments * 6 + 3);
+        segments += 1;
+      }
+    });
+    line.geometry.setDrawRange(0, segments * 2);
+    line.geometry.attributes.position.needsUpdate = true;
+    line.geometry.attributes.color.needsUpdate = true;
+  });
+
+  return (
+    <group>
+      {Object.keys(RETICLE_SHAPES).map(shape => (
+        <instancedMesh
+          key={shape}
+          ref={el => { meshRefs.current[shape] = el; }}
+          args={[undefined, undefined, maxMarkers]}
+          frustumCulled={false}
+          renderOrder={10}
+        >
+          <ringGeometry args={[0.8, 1, RETICLE_SHAPES[shape].segments, 1, RETICLE_SHAPES[shape].start]} />
+          <meshBasicMaterial transparent opacity={0.9} depthTest={false} depthWrite={false} toneMapped={false} />
+        </instancedMesh>
+      ))}
+
+      <lineSegments ref={lineRef} frustumCulled={false} renderOrder={10}>
+        <bufferGeometry>
+          <bufferAttribute attach="attributes-position" args={[buffers.positions, 3]} />
+          <bufferAttribute attach="attributes-color" args={[buffers.colors, 3]} />
+        </bufferGeometry>
+        <lineBasicMaterial vertexColors transparent opacity={0.6} depthTest={false} depthWrite={false} toneMapped={false} />
+      </lineSegments>
+    </group>
+  );
+}
+
+// ============================================================================
+// SCORE POPUPS
+// ============================================================================
+// Floating points at each kill's explosion, in the killer's color. A fixed
+// pool of sprites, each with a small canvas texture that is redrawn when the
+// slot is reused. Popups rise and fade over POPUP_DURATION ms of game time,
+// so they freeze with the special when it pauses; under reduced motion they
+// fade in place.
+const POPUP_POOL = 24;
+
+function getBonusLabel(bonuses) {
+  return bonuses
+    .map(bonus => (bonus.type === 'multiKill' ? `MULTI x${bonus.count}` : `CHAIN ${bonus.hop + 1}`))
+    .join('  ');
+}
+
+function drawPopup(canvas, entry, color) {
+  const context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.lineWidth = 6;
+  context.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+  context.fillStyle = color;
+
+  context.font = 'bold 56px monospace';
+  context.strokeText(`+${entry.points}`, canvas.width / 2, 44);
+  context.fillText(`+${entry.points}`, canvas.width / 2, 44);
+
+  const bonus = getBonusLabel(entry.bonuses);
+  if (!bonus) return;
+  context.font = 'bold 28px monospace';
+  context.strokeText(bonus, canvas.width / 2, 100);
+  context.fillText(bonus, canvas.width / 2, 100);
+}
+
+function ScorePopups({
+  scoring,
+  getState,
+  roster,
+  size = 3,
+  duration = SCORING_DEFAULTS.POPUP_DURATION,
+  maxPopups = POPUP_POOL,
+  reducedMotion = false,
+}) {
+  const spriteRefs = useRef([]);
+  const cursor = useRef(0);
+  const rosterRef = useRef(roster);
+  rosterRef.current = roster;
+
+  const slots = useMemo(() => Array.from({ length: maxPopups }, () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 128;
+    return { canvas, texture: new CanvasTexture(canvas), entry: null };
+  }), [maxPopups]);
+
+  useEffect(() => () => slots.forEach(slot => slot.texture.dispose()), [slots]);
+
+  // The oldest popup makes room for the newest
+  useEffect(() => scoring.subscribe((entry) => {
+    const slot = slots[cursor.current];
+    cursor.current = (cursor.current + 1) % slots.length;
+    const wingman = rosterRef.current.find(w => w.id === entry.wingmanId);
+    drawPopup(slot.canvas, entry, wingman ? wingman.color : '#ffffff');
+    slot.texture.needsUpdate = true;
+    slot.entry = entry;
+  }), [scoring, slots]);
+
+  useFrame(() => {
+    const time = getState().time;
+    slots.forEach((slot, i) => {
+      const sprite = spriteRefs.current[i];
+      if (!sprite) return;
+      const age = slot.entry && slot.entry.position ? time - slot.entry.time : -1;
+      if (age < 0 || age >= duration) {
+        sprite.visible = false;
+        return;
+      }
+      const progress = age / duration;
+      sprite.visible = true;
+      sprite.position.fromArray(slot.entry.position);
+      if (!reducedMotion) sprite.position.y += progress * SCORING_DEFAULTS.POPUP_RISE;
+      sprite.scale.set(size, size / 2, 1);
+      sprite.material.opacity = 1 - progress * progress;
+    });
+  });
+
+  return (
+    <group>
+      {slots.map((slot, i) => (
+        <sprite key={i} ref={el => { spriteRefs.current[i] = el; }} visible={false} renderOrder={11}>
+          <spriteMaterial map={slot.texture} transparent depthTest={false} depthWrite={false} toneMapped={false} />
+        </sprite>
+      ))}
+    </group>
+  );
+}
+
+// ============================================================================
+// WINGMAN REGISTRY
+// ============================================================================
+// An attack receives a context ({ shipPosition, targets, damage, config,
+// wingman, random }) and returns effect descriptors; see WingmanSimulation
+// for the built-in attacks. The descriptor's `type` picks a component from
+// the wingman's `effectComponents` (or the built-ins below) and a behavior
+// from its `effectBehaviors` (or the simulation's built-ins). `damage`,
+// `falloff` and `splash` on a descriptor drive the damage model when the
+// effect hits; effects without `damage` are purely visual.
+const EFFECT_COMPONENTS = {
+  gatling: GatlingProjectile,
+  beam: BeamEffect,
+  lightning: LightningChain,
+  missile: Missile,
+};
+
+let wingmanRegistry = DEFAULT_WINGMEN;
+const registryListeners = new Set();
+
+function notifyRegistry() {
+  registryListeners.forEach(listener => listener());
+}
+
+// Adds a wingman (or replaces the one with the same id). Returns an
+// unregister function.
+function registerWingman(definition) {
+  if (!definition || definition.id == null || typeof definition.attack !== 'function') {
+    throw new Error('registerWingman: a wingman needs an `id` and an `attack(ctx)` function');
+  }
+
+  const wingman = {
+    name: String(definition.id).toUpperCase(),
+    color: '#ffffff',
+    label: '',
+    damage: {},
+    ...definition,
+  };
+  const existing = wingmanRegistry.findIndex(w => w.id === wingman.id);
+  wingmanRegistry = existing === -1
+    ? [...wingmanRegistry, wingman]
+    : wingmanRegistry.map((w, i) => (i === existing ? wingman : w));
+  notifyRegistry();
+
+  return () => unregisterWingman(wingman.id);
+}
+
+function unregisterWingman(id) {
+  const next = wingmanRegistry.filter(w => w.id !== id);
+  if (next.length === wingmanRegistry.length) return false;
+  wingmanRegistry = next;
+  notifyRegistry();
+  return true;
+}
+
+function getWingmen() {
+  return wingmanRegistry;
+}
+
+function subscribeRegistry(listener) {
+  registryListeners.add(listener);
+  return () => registryListeners.delete(listener);
+}
+
+// The roster a component should use: an explicit `wingmen` prop wins over the
+// shared registry
+function useWingmanRoster(wingmen) {
+  const registry = useSyncExternalStore(subscribeRegistry, getWingmen, getWingmen);
+  return wingmen || registry;
+}
+
+// `selected` may be a roster index or a wingman id
+function findWingmanIndex(roster, selected) {
+  if (typeof selected === 'number') return roster[selected] ? selected : -1;
+  return roster.findIndex(w => w.id === selected);
+}
+
+// The next roster index from `from` in `direction` (1 or -1) that passes
+// `isAvailable`, wrapping around; -1 when there is none
+function findNextWingman(roster, from, direction, isAvailable) {
+  for (let step = 1; step <= roster.length; step++) {
+    const i = (((from + direction * step) % roster.length) + roster.length) % roster.length;
+    if (isAvailable(roster[i], i)) return i;
+  }
+  return -1;
+}
+
+// ============================================================================
+// MAIN WINGMAN SUPPORT COMPONENT
+// ============================================================================
+const EMPTY_VIEW = { phase: 'idle', wingmanId: null, effects: [], escorts: [], combo: [], smoking: '' };
+
+// Reported states a controlled parent may still echo back (see adoptState)
+const MAX_PENDING_STATES = 60;
+
+// Handle calls a network client may ask the authority to run
+const REMOTE_ACTIONS = [
+  'triggerTeamSpecial',
+  'cancelTeamSpecial',
+  'resetCooldown',
+  'startEscort',
+  'endEscort',
+  'damageWingman',
+  'restoreWingman',
+  'triggerCombo',
+  'resetComboCooldown',
+  'addCharge',
+  'reduceCooldown',
+];
+
+// Effects belong to the wingman that fired them: the special or an escort
+function getEffectOwner(effect, state, roster) {
+  const wingmanId = effect.wingmanId || state.wingmanId;
+  return roster.find(w => w.id === wingmanId) || null;
+}
+
+// Pooled projectiles, unless the owner renders the type with its own component
+function isPooledEffect(effect, owner) {
+  if (!POOLED_PROJECTILES[effect.type]) return false;
+  return !(owner && owner.effectComponents && owner.effectComponents[effect.type]);
+}
+
+function sameIds(a, b) {
+  return a.length === b.length && a.every((item, i) => item.id === b[i].id);
+}
+
+// Wingmen trailing smoke: downed, or hurt enough to call for help. `config`
+// is the one the simulation steps with, so smoke starts where the rescue call
+// does.
+function getSmokingIds(state, config) {
+  const allies = state.allies || {};
+  return Object.keys(allies)
+    .filter(id => allies[id].downed || allies[id].health <= allies[id].maxHealth * config.RESCUE_HEALTH)
+    .sort()
+    .join(',');
+}
+
+function sameEscorts(a, b) {
+  return a.length === b.length
+    && a.every((escort, i) => escort.wingmanId === b[i].wingmanId && escort.phase === b[i].phase);
+}
+
+// A wingman ship other than the special's: an escort or a combo member. Its
+// group registers in `refs` under the wingman id so syncView can move it.
+function SquadShip({ wingman, phase, refs, smoking, timeScale, onMuzzles }) {
+  return (
+    <group
+      ref={(el) => {
+        if (el) refs.current[wingman.id] = el;
+        else delete refs.current[wingman.id];
+      }}
+    >
+      <WingmanShip
+        position={[0, 0, 0]}
+        rotation={[0, 0, 0]}
+        color={wingman.color}
+        isActive
+        smoking={smoking}
+        model={wingman.model}
+        scale={wingman.modelScale}
+        modelRotation={wingman.modelRotation}
+        tint={wingman.tint}
+        animations={wingman.animations}
+        muzzles={wingman.muzzles}
+        phase={phase}
+        timeScale={timeScale}
+        onMuzzles={offsets => onMuzzles(wingman.id, offsets)}
+      />
+    </group>
+  );
+}
+
+const WingmanSupport = forwardRef(function WingmanSupport({
+  playerPosition = new Vector3(0, 0, 0),
+  playerForward = new Vector3(0, 0, -1),
+  playerUp,
+  playerQuaternion,
+  enemies = [],
+  wingmen,
+  selectedWingman = 0,
+  damageScale = 1,
+  config: configOverrides,
+  lostTargetBehavior = 'retarget', // 'retarget' | 'fizzle'
+  targeting,
+  activation,
+  flightPath,
+  state: controlledState,
+  network,
+  seed = 1,
+  paused = false,
+  timeScale = 1,
+  autoStep = true,
+  lightBudget = POOL_DEFAULTS.LIGHT_BUDGET,
+  lockOn = true,
+  scoring: scoringOptions = true,
+  camera = false,
+  accessibility = 'system',
+  exposeGlobal = false,
+  onActivate,
+  onTargeted,
+  onEnemyDamaged,
+  onEnemiesDestroyed,
+  onScore,
+  onCooldownUpdate,
+  onAudioEvent,
+  onVoiceLine,
+  onEscortChange,
+  onWingmanDamaged,
+  onWingmanDowned,
+  onWingmanRecovered,
+  onRescue,
+  onComboChange,
+  onComboCooldownUpdate,
+  onActivationUpdate,
+  onCameraShot,
+  onStateChange,
+}, ref) {
+  const roster = useWingmanRoster(wingmen);
+  const audio = useWingmanAudio();
+  const { reducedFlash, reducedMotion } = useAccessibility(accessibility);
+
+  // The simulation owns all gameplay state; React only mirrors what changes
+  // the rendered tree (phase and the effect/explosion lists). In controlled
+  // mode it starts from, and follows, the `state` prop.
+  const [simulation] = useState(() => createWingmanSimulation({ seed, state: controlledState }));
+  const [recorder] = useState(() => createWingmanRecorder(simulation));
+  const [scoring] = useState(() => createWingmanScoring(scoringOptions === true ? {} : scoringOptions || {}));
+  const [view, setView] = useState(EMPTY_VIEW);
+  const viewRef = useRef(EMPTY_VIEW);
+  const shipRef = useRef();
+  const escortRefs = useRef({});
+  const comboRefs = useRef({});
+  const phaseListeners = useRef(new Set());
+  const audioListeners = useRef(new Set());
+  const voiceListeners = useRef(new Set());
+  const allyListeners = useRef(new Set());
+  const activationChanged = useRef(false);
+  const muzzleOffsets = useRef({});
+  const effectIndex = useRef(new Map());
+  const controlled = useRef({ seen: controlledState, pending: [] });
+  const peer = useRef(null);
+  const muted = useRef(false);
+
+  // `config` overrides WINGMAN_CONFIG key by key for this instance
+  const config = useMemo(() => ({ ...WINGMAN_CONFIG, ...configOverrides }), [configOverrides]);
+
+  // Latest props, read by callbacks that outlive a render
+  const latest = useRef({});
+  latest.current = {
+    playerPosition,
+    playerForward,
+    playerUp,
+    playerQuaternion,
+    enemies,
+    roster,
+    selectedWingman,
+    damageScale,
+    config,
+    lostTargetBehavior,
+    targeting,
+    activation,
+    flightPath,
+    controlledState,
+    network,
+    onActivate,
+    onTargeted,
+    onEnemyDamaged,
+    onEnemiesDestroyed,
+    onScore,
+    scoring: scoringOptions,
+    onCooldownUpdate,
+    onAudioEvent,
+    onVoiceLine,
+    onEscortChange,
+    onWingmanDamaged,
+    onWingmanDowned,
+    onWingmanRecovered,
+    onRescue,
+    onComboChange,
+    onComboCooldownUpdate,
+    onActivationUpdate,
+    onStateChange,
+    timeScale,
+    audio,
+  };
+
+  // Snapshot of the world for the simulation, with live enemy positions.
+  // Other enemy fields are kept so targeting callbacks can read them.
+  const buildContext = useCallback(() => {
+    const current = latest.current;
+    const position = new Vector3();
+    const liveEnemies = [];
+    current.enemies.forEach(enemy => {
+      if (!getEnemyWorldPosition(enemy, position)) return;
+      liveEnemies.push({ ...enemy, position: position.toArray() });
+    });
+
+    // A quaternion gives the whole frame; otherwise forward plus an optional up
+    const quaternion = current.playerQuaternion;
+    const forward = quaternion ? new Vector3(0, 0, -1).applyQuaternion(quaternion) : current.playerForward;
+    const up = quaternion ? new Vector3(0, 1, 0).applyQuaternion(quaternion) : current.playerUp;
+
+    return {
+      enemies: liveEnemies,
+      playerPosition: current.playerPosition.toArray(),
+      playerForward: forward.toArray(),
+      playerUp: up ? up.toArray() : [0, 1, 0],
+      wingmen: current.roster,
+      config: current.config,
+      damageScale: current.damageScale,
+      lostTargetBehavior: current.lostTargetBehavior,
+      targeting: current.targeting,
+      activation: current.activation,
+      flightPath: current.flightPath,
+      muzzles: muzzleOffsets.current,
+    };
+  }, []);
+
+  // Live positions of the enemies the special (or combo) is attacking, for
+  // the camera director's framing
+  const getTargetPositions = useCallback(() => {
+    const state = simulation.getState();
+    const targetIds = state.combo
+      ? state.combo.members.reduce((ids, member) => ids.concat(member.targetIds), [])
+      : state.targetIds;
+    const positions = [];
+    latest.current.enemies.forEach(enemy => {
+      if (!targetIds.includes(enemy.id)) return;
+      const position = new Vector3();
+      if (getEnemyWorldPosition(enemy, position)) positions.push(position);
+    });
+    return positions;
+  }, [simulation]);
+
+  const director = useCameraDirector(simulation, {
+    camera,
+    onCameraShot,
+    paused,
+    reducedMotion,
+    getTargets: getTargetPositions,
+  });
+
+  const getActivation = useCallback(() => (
+    getActivationStatus(simulation.getState(), { config: latest.current.config, activation: latest.current.activation })
+  ), [simulation]);
+
+  // After the state was swapped wholesale (controlled `state`, hydrate, a
+  // network snapshot): no events were stepped, so tell phase and ally
+  // listeners directly. A restore also hands the camera back to the game and
+  // goes straight out to network clients.
+  const announceState = useCallback((previous, { restore = true } = {}) => {
+    const state = simulation.getState();
+    activationChanged.current = true;
+    if (state.phase !== previous.phase) {
+      phaseListeners.current.forEach(listener => listener(state.phase, previous.phase));
+    }
+    if (state.allies !== previous.allies) {
+      allyListeners.current.forEach(listener => listener(state.allies));
+    }
+    if (!restore) return;
+    director.cut();
+    if (peer.current && peer.current.authority) peer.current.authority.sendSnapshot();
+  }, [simulation, director]);
+
+  // Controlled mode: a new `state` prop replaces the simulation's state.
+  // States this instance reported may come back a frame or two late (the
+  // store re-renders after the next step has run); those are not a change.
+  const adoptState = useCallback(() => {
+    const incoming = latest.current.controlledState;
+    const tracker = controlled.current;
+    if (incoming === undefined || incoming === tracker.seen) return false;
+    tracker.seen = incoming;
+
+    const echoed = tracker.pending.indexOf(incoming);
+    if (echoed !== -1) {
+      tracker.pending = tracker.pending.slice(echoed + 1);
+      return false;
+    }
+    tracker.pending = [];
+
+    const previous = simulation.getState();
+    simulation.setState(incoming);
+    announceState(previous);
+    return true;
+  }, [simulation, announceState]);
+
+  // Push simulation state to the scene graph, re-rendering only when the set
+  // of effect components or escorts changes. Pooled effects and explosions
+  // never cause a render; the effect pool reads them straight from the state.
+  const syncView = useCallback(() => {
+    const state = simulation.getState();
+    const { roster: currentRoster, onActivationUpdate: onActivation, onStateChange: onChange } = latest.current;
+
+    // Network authority: publish what just happened
+    if (peer.current && peer.current.authority) peer.current.authority.flush();
+
+    // Controlled mode: report every new state once
+    const tracker = controlled.current;
+    if (onChange && state !== tracker.seen && !tracker.pending.includes(state)) {
+      tracker.pending.push(state);
+      if (tracker.pending.length > MAX_PENDING_STATES) tracker.pending.shift();
+      onChange(state);
+    }
+
+    // Cooldowns, per-wingman cooldowns and the meter, once per update
+    if (activationChanged.current) {
+      activationChanged.current = false;
+      if (onActivation) onActivation(getActivation());
+    }
+    effectIndex.current = new Map(state.effects.map(effect => [effect.id, effect]));
+
+    if (shipRef.current) {
+      shipRef.current.position.fromArray(state.shipPosition);
+      shipRef.current.rotation.set(...state.shipRotation);
+    }
+    state.escorts.forEach(escort => {
+      const group = escortRefs.current[escort.wingmanId];
+      if (!group) return;
+      group.position.fromArray(escort.shipPosition);
+      group.rotation.set(...escort.shipRotation);
+    });
+    const members = state.combo ? state.combo.members : [];
+    members.forEach(member => {
+      const group = comboRefs.current[member.wingmanId];
+      if (!group) return;
+      group.position.fromArray(member.shipPosition);
+      group.rotation.set(...member.shipRotation);
+    });
+
+    const effects = state.effects.filter(effect => (
+      !isPooledEffect(effect, getEffectOwner(effect, state, currentRoster))
+    ));
+    const escorts = state.escorts.map(({ wingmanId, phase }) => ({ wingmanId, phase }));
+    const combo = members.map(member => ({
+      wingmanId: member.wingmanId,
+      phase: member.downedFrom ? 'downed' : state.combo.phase,
+    }));
+    const smoking = getSmokingIds(state, latest.current.config);
+
+    const prev = viewRef.current;
+    if (
+      prev.phase === state.phase
+      && prev.wingmanId === state.wingmanId
+      && sameIds(prev.effects, effects)
+      && sameEscorts(prev.escorts, escorts)
+      && sameEscorts(prev.combo, combo)
+      && prev.smoking === smoking
+    ) return;
+
+    viewRef.current = {
+      phase: state.phase,
+      wingmanId: state.wingmanId,
+      effects,
+      escorts,
+      combo,
+      smoking,
+    };
+    setView(viewRef.current);
+  }, [simulation, getActivation]);
+
+  // Simulation events -> callbacks. On a network client activation, hits and
+  // kills come from the authority instead (see receiveMessage), and a
+  // snapshot's fast-forward is silent.
+  useEffect(() => simulation.subscribe((event) => {
+    if (muted.current) return;
+    const current = latest.current;
+    const remote = Boolean(peer.current && peer.current.replica);
+    switch (event.type) {
+      case 'activate': {
+        if (!current.onActivate || remote) break;
+        const index = current.roster.findIndex(w => w.id === event.wingmanId);
+        const wingman = current.roster[index];
+        current.onActivate(index, wingman ? wingman.name : event.wingmanId, wingman);
         break;
-        
-      case 2: // Lightning Gun
-        if (targetEnemies.length > 0) {
-          // Sort enemies by distance for chain effect
-          const sortedEnemies = [...targetEnemies].sort((a, b) => {
-            return shipPos.distanceTo(a.position) - shipPos.distanceTo(b.position);
-          });
-          
-          const chainPositions = [shipPos.clone()];
-          sortedEnemies.forEach(enemy => {
-            chainPositions.push(enemy.position.clone());
-          });
-          
-          effects.push({
-            type: 'lightning',
-            id: 'lightning-chain',
-            positions: chainPositions,
-            delay: 0,
-            duration: WINGMAN_CONFIG.LIGHTNING_CHAIN_DURATION,
-          });
+      }
+      case 'targeted':
+        if (current.onTargeted && !remote) current.onTargeted(event.enemyIds, event.targets);
+        break;
+      case 'phase':
+        phaseListeners.current.forEach(listener => listener(event.phase, event.previous));
+        break;
+      case 'damage':
+        if (current.onEnemyDamaged && !remote) {
+          current.onEnemyDamaged(event.enemyId, event.amount, event.source);
         }
         break;
-        
-      case 3: // Precision Swarm
-        targetEnemies.forEach((enemy, i) => {
-          effects.push({
-            type: 'missile',
-            id: `missile-${i}`,
-            startPosition: shipPos.clone().add(new Vector3(
-              (i % 3 - 1) * 1.5,
-              Math.floor(i / 3) * 0.5,
-              0
-            )),
-            targetPosition: enemy.position.clone(),
-            delay: 0, // All fired at once
-            flightTime: WINGMAN_CONFIG.MISSILE_FLIGHT_TIME,
-          });
-        });
+      case 'kill':
+        if (current.scoring !== false && !remote) scoring.record(event);
+        break;
+      case 'destroyed':
+        if (current.onEnemiesDestroyed && !remote) {
+          current.onEnemiesDestroyed(event.enemyIds, { wingmanId: event.wingmanId, escort: event.escort });
+        }
+        break;
+      case 'cooldown':
+        if (current.onCooldownUpdate) {
+          current.onCooldownUpdate(event.cooldown, event.maxCooldown);
+        }
+        break;
+      case 'audio':
+        if (current.onAudioEvent) current.onAudioEvent(event);
+        if (current.audio) current.audio.play(event);
+        audioListeners.current.forEach(listener => listener(event));
+        break;
+      case 'voice':
+        if (current.onVoiceLine) current.onVoiceLine(event);
+        voiceListeners.current.forEach(listener => listener(event));
+        break;
+      case 'escort':
+        if (current.onEscortChange) {
+          current.onEscortChange(event.wingmanId, event.phase, event.previous);
+        }
+        break;
+      case 'wingmanDamaged':
+        if (current.onWingmanDamaged) {
+          current.onWingmanDamaged(event.wingmanId, event.amount, event.health, event.maxHealth);
+        }
+        break;
+      case 'downed':
+        if (current.onWingmanDowned) current.onWingmanDowned(event.wingmanId, event.recoverIn);
+        break;
+      case 'recovered':
+        if (current.onWingmanRecovered) current.onWingmanRecovered(event.wingmanId);
+        break;
+      case 'rescue':
+        if (current.onRescue) current.onRescue(event);
+        break;
+      case 'combo':
+        if (current.onComboChange) current.onComboChange(event.phase, event.wingmanIds, event.previous);
+        break;
+      case 'comboCooldown':
+        if (current.onComboCooldownUpdate) {
+          current.onComboCooldownUpdate(event.cooldown, event.maxCooldown);
+        }
         break;
     }
-    
-    setAttackEffects(effects);
-  }, [selectedWingman, targetEnemies]);
-  
-  // Handle effect completion
-  const handleEffectComplete = useCallback((effectId) => {
-    setAttackEffects(prev => prev.filter(e => e.id !== effectId));
-    
-    // Find which enemy was hit and create explosion
-    const effect = attackEffects.find(e => e.id === effectId);
-    if (effect && effect.targetPosition) {
-      setExplosions(prev => [...prev, {
-        id: `explosion-${Date.now()}-${Math.random()}`,
-        position: effect.targetPosition.clone(),
-        color: WINGMAN_CONFIG.WINGMAN_COLORS[selectedWingman],
-      }]);
+
+    if (['cooldown', 'comboCooldown', 'wingmanCooldown', 'charge'].includes(event.type)) {
+      activationChanged.current = true;
     }
-  }, [attackEffects, selectedWingman]);
-  
-  // Handle lightning completion (destroys all at once)
-  const handleLightningComplete = useCallback(() => {
-    setAttackEffects([]);
-    
-    // Create explosions for all enemies
-    targetEnemies.forEach((enemy, i) => {
-      setTimeout(() => {
-        setExplosions(prev => [...prev, {
-          id: `explosion-${Date.now()}-${i}`,
-          position: enemy.position.clone(),
-          color: '#ffff00',
-        }]);
-      }, i * 50);
-    });
-  }, [targetEnemies]);
-  
-  // Clean up old explosions
+
+    if (['wingmanDamaged', 'downed', 'recovered'].includes(event.type)) {
+      const { allies } = simulation.getState();
+      allyListeners.current.forEach(listener => listener(allies));
+    }
+  }), [simulation, scoring]);
+
+  // Score entries, from this simulation's kills or the authority's
+  useEffect(() => scoring.subscribe((entry) => {
+    if (latest.current.onScore) latest.current.onScore(entry);
+  }), [scoring]);
+
+  // Advance by `deltaMs` of game time
+  const advance = useCallback((deltaMs) => {
+    adoptState();
+    simulation.step(deltaMs, buildContext());
+    syncView();
+  }, [simulation, buildContext, syncView, adoptState]);
+
+  // A loaded save or a devtools jump shows up even while paused
   useEffect(() => {
-    const cleanup = setInterval(() => {
-      setExplosions(prev => prev.filter(e => {
-        const id = e.id.split('-')[1];
-        return Date.now() - parseInt(id) < 600;
-      }));
-    }, 100);
-    return () => clearInterval(cleanup);
-  }, []);
-  
-  // Main update loop
+    if (adoptState()) syncView();
+  }, [controlledState, adoptState, syncView]);
+
+  // Trigger team special
+  const triggerTeamSpecial = useCallback(() => {
+    const { roster: currentRoster, selectedWingman: selected } = latest.current;
+    const wingman = currentRoster[findWingmanIndex(currentRoster, selected)];
+    if (!wingman) return false;
+
+    const accepted = simulation.trigger({ wingmanId: wingman.id }, buildContext());
+    syncView();
+    return accepted;
+  }, [simulation, buildContext, syncView]);
+
+  // Abort an in-flight special without destroying anything or starting the cooldown
+  const cancelTeamSpecial = useCallback(() => {
+    const cancelled = simulation.cancel();
+    syncView();
+    return cancelled;
+  }, [simulation, syncView]);
+
+  const resetCooldown = useCallback(() => {
+    simulation.resetCooldown({ config: latest.current.config });
+    syncView();
+  }, [simulation, syncView]);
+
+  // Meter from game events; only counts when `activation.meter` is on
+  const addCharge = useCallback((amount) => {
+    const accepted = simulation.addCharge({ amount }, buildContext());
+    syncView();
+    return accepted;
+  }, [simulation, buildContext, syncView]);
+
+  // Take `ms` off the running cooldowns, or off one wingman's
+  const reduceCooldown = useCallback((ms, selection) => {
+    const { roster: currentRoster } = latest.current;
+    const wingman = selection == null ? null : currentRoster[findWingmanIndex(currentRoster, selection)];
+    if (selection != null && !wingman) return;
+
+    simulation.reduceCooldown({ amount: ms, wingmanId: wingman ? wingman.id : undefined }, buildContext());
+    syncView();
+  }, [simulation, buildContext, syncView]);
+
+  // Combo with the given wingmen (roster indices or ids); by default every
+  // wingman that is free to fly
+  const triggerCombo = useCallback((selections) => {
+    const { roster: currentRoster } = latest.current;
+    const state = simulation.getState();
+    let wingmanIds;
+    if (selections) {
+      wingmanIds = selections.map(selection => {
+        const wingman = currentRoster[findWingmanIndex(currentRoster, selection)];
+        return wingman ? wingman.id : null;
+      });
+      if (wingmanIds.includes(null)) return false;
+    } else {
+      wingmanIds = currentRoster
+        .map(w => w.id)
+        .filter(id => !isWingmanDowned(state, id) && !state.escorts.some(escort => escort.wingmanId === id));
+    }
+
+    const accepted = simulation.triggerCombo({ wingmanIds }, buildContext());
+    syncView();
+    return accepted;
+  }, [simulation, buildContext, syncView]);
+
+  const resetComboCooldown = useCallback(() => {
+    simulation.resetComboCooldown({ config: latest.current.config });
+    syncView();
+  }, [simulation, syncView]);
+
+  // Escorts are addressed by roster index (or id), like `selectedWingman`
+  const startEscort = useCallback((selection, duration) => {
+    const { roster: currentRoster } = latest.current;
+    const wingman = currentRoster[findWingmanIndex(currentRoster, selection)];
+    if (!wingman) return false;
+
+    const accepted = simulation.startEscort({ wingmanId: wingman.id, duration }, buildContext());
+    syncView();
+    return accepted;
+  }, [simulation, buildContext, syncView]);
+
+  const endEscort = useCallback((selection) => {
+    const { roster: currentRoster } = latest.current;
+    const wingman = currentRoster[findWingmanIndex(currentRoster, selection)];
+    if (!wingman) return false;
+
+    const ended = simulation.endEscort({ wingmanId: wingman.id });
+    syncView();
+    return ended;
+  }, [simulation, syncView]);
+
+  // Main update loop: game time is the fiber delta scaled by `timeScale`, so
+  // pausing, slow-motion and hit-stop apply to the whole special. The camera
+  // director's slow-mo dolly scales it further.
   useFrame((_, delta) => {
-    // Update cooldown
-    if (cooldown > 0) {
-      const newCooldown = Math.max(0, cooldown - delta * 1000);
-      setCooldown(newCooldown);
-      if (onCooldownUpdate) {
-        onCooldownUpdate(newCooldown, WINGMAN_CONFIG.TEAM_SPECIAL_COOLDOWN);
+    if (!autoStep || paused) return;
+    advance(delta * 1000 * timeScale * director.getTimeScale());
+  });
+
+  const getEffect = useCallback(id => effectIndex.current.get(id), []);
+
+  // Restore a snapshot from serialize() (or its JSON), mid-flight included
+  const hydrate = useCallback((snapshot) => {
+    const previous = simulation.getState();
+    simulation.hydrate(snapshot);
+    announceState(previous);
+    syncView();
+  }, [simulation, announceState, syncView]);
+
+  // Network client: the authority's results go to the game's callbacks, and
+  // its snapshots replace (and fast-forward) the local simulation
+  const receiveMessage = useCallback((message) => {
+    const replica = peer.current && peer.current.replica;
+    if (!replica) return;
+
+    const current = latest.current;
+    switch (message.type) {
+      case 'activate': {
+        const enemyIds = Object.keys(message.targets).reduce((ids, id) => ids.concat(message.targets[id]), []);
+        if (current.onTargeted && enemyIds.length > 0) current.onTargeted(enemyIds, message.targets);
+        if (message.kind !== 'special' || !current.onActivate) break;
+        const index = current.roster.findIndex(w => w.id === message.wingmanId);
+        const wingman = current.roster[index];
+        current.onActivate(index, wingman ? wingman.name : message.wingmanId, wingman);
+        break;
       }
+      case 'hit':
+        if (current.onEnemyDamaged) current.onEnemyDamaged(message.enemyId, message.amount, message.source);
+        break;
+      case 'score':
+        if (current.scoring !== false) scoring.record(message.kill);
+        break;
+      case 'kill':
+        if (current.onEnemiesDestroyed) {
+          current.onEnemiesDestroyed(message.enemyIds, {
+            wingmanId: message.wingmanId,
+            escort: message.escort,
+            combo: message.combo,
+          });
+        }
+        break;
     }
-    
-    if (!isActive) return;
-    
-    const elapsed = Date.now() - phaseStartTime.current;
-    
-    switch (phase) {
-      case 'approach': {
-        // Move from spawn to attack position
-        const approachProgress = Math.min(elapsed / 1000, 1);
-        const spawnPos = getSpawnPosition();
-        const newPos = new Vector3().lerpVectors(
-          spawnPos,
-          attackPosition.current,
-          MathUtils.smoothstep(approachProgress, 0, 1)
+
+    const previous = simulation.getState();
+    muted.current = true;
+    const replaced = replica.receive(message, buildContext(), { timeScale: current.timeScale });
+    muted.current = false;
+    if (replaced) {
+      announceState(previous, { restore: false });
+      syncView();
+    }
+  }, [simulation, scoring, buildContext, announceState, syncView]);
+
+  // Co-op: publish as the authority, or follow one as a client
+  const networkRole = network ? network.role : null;
+  const transport = network ? network.transport : null;
+  useEffect(() => {
+    if (!transport) return undefined;
+    const { now, snapshotInterval, peerId } = latest.current.network;
+
+    if (networkRole === 'authority') {
+      const authority = createWingmanAuthority(simulation, { send: transport.send, now, snapshotInterval });
+      peer.current = { authority };
+      authority.sendSnapshot();
+      const unsubscribe = transport.subscribe((message) => {
+        const request = authority.receive(message);
+        if (request && REMOTE_ACTIONS.includes(request.action)) {
+          handlers.current[request.action](...request.args);
+        }
+      });
+      return () => {
+        unsubscribe();
+        authority.dispose();
+        peer.current = null;
+      };
+    }
+
+    const replica = createWingmanReplica(simulation, { send: transport.send, now, peerId });
+    peer.current = { replica };
+    const unsubscribe = transport.subscribe(receiveMessage);
+    replica.ping();
+    const timer = setInterval(replica.ping, NETWORK_DEFAULTS.PING_INTERVAL);
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+      peer.current = null;
+    };
+  }, [simulation, networkRole, transport, receiveMessage]);
+
+  // Hits on wingman ships, reported by the game's enemy fire
+  const damageWingman = useCallback((selection, amount, sourceId) => {
+    const { roster: currentRoster } = latest.current;
+    const wingman = currentRoster[findWingmanIndex(currentRoster, selection)];
+    if (!wingman) return false;
+
+    const accepted = simulation.damageWingman({ wingmanId: wingman.id, amount, sourceId }, buildContext());
+    syncView();
+    return accepted;
+  }, [simulation, buildContext, syncView]);
+
+  // No selection restores the whole roster
+  const restoreWingman = useCallback((selection) => {
+    const { roster: currentRoster } = latest.current;
+    const wingman = selection == null ? null : currentRoster[findWingmanIndex(currentRoster, selection)];
+    if (selection != null && !wingman) return;
+
+    simulation.restoreWingman({ wingmanId: wingman ? wingman.id : undefined });
+    syncView();
+    allyListeners.current.forEach(listener => listener(simulation.getState().allies));
+  }, [simulation, syncView]);
+
+  // Ships enemies can shoot at, with their scene objects for homing weapons
+  const getWingmanTargets = useCallback(() => {
+    const { roster: currentRoster } = latest.current;
+    const getObject = (ship) => {
+      if (ship.escort) return escortRefs.current[ship.wingmanId] || null;
+      return comboRefs.current[ship.wingmanId] || shipRef.current || null;
+    };
+    return getTargetableWingmen(simulation.getState()).map(ship => ({
+      ...ship,
+      index: currentRoster.findIndex(w => w.id === ship.wingmanId),
+      object: getObject(ship),
+    }));
+  }, [simulation]);
+
+  // Gun sockets reported by each ship model, fed to the simulation
+  const handleMuzzles = useCallback((wingmanId, offsets) => {
+    if (wingmanId != null) muzzleOffsets.current[wingmanId] = offsets;
+  }, []);
+  const handleActiveMuzzles = useCallback((offsets) => {
+    handleMuzzles(simulation.getState().wingmanId, offsets);
+  }, [simulation, handleMuzzles]);
+
+  const getEnemies = useCallback(() => latest.current.enemies, []);
+
+  const isPooled = useCallback(effect => (
+    isPooledEffect(effect, getEffectOwner(effect, simulation.getState(), latest.current.roster))
+  ), [simulation]);
+
+  const activeWingman = view.wingmanId == null
+    ? null
+    : roster.find(w => w.id === view.wingmanId) || null;
+
+  // Latest callbacks, so the imperative handle can stay referentially stable
+  const handlers = useRef({});
+  handlers.current = {
+    triggerTeamSpecial,
+    cancelTeamSpecial,
+    resetCooldown,
+    startEscort,
+    endEscort,
+    damageWingman,
+    restoreWingman,
+    triggerCombo,
+    resetComboCooldown,
+    addCharge,
+    reduceCooldown,
+    advance,
+    hydrate,
+  };
+
+  // Network clients ask the authority instead (the answer arrives as a
+  // snapshot), so their actions always return false
+  const act = (action, ...args) => {
+    const replica = peer.current && peer.current.replica;
+    if (!replica) return handlers.current[action](...args);
+    replica.request(action, args);
+    return false;
+  };
+
+  useImperativeHandle(ref, () => ({
+    trigger: () => act('triggerTeamSpecial'),
+    cancel: () => act('cancelTeamSpecial'),
+    getPhase: () => simulation.getState().phase,
+    getCooldown: () => simulation.getState().cooldown,
+    resetCooldown: () => act('resetCooldown'),
+    startEscort: (selection, duration) => act('startEscort', selection, duration),
+    endEscort: selection => act('endEscort', selection),
+    getEscorts: () => simulation.getState().escorts,
+    getLocks: () => simulation.getState().locks,
+    damageWingman: (selection, amount, sourceId) => act('damageWingman', selection, amount, sourceId),
+    restoreWingman: selection => act('restoreWingman', selection),
+    getAllies: () => simulation.getState().allies,
+    getWingmanTargets,
+    triggerCombo: selections => act('triggerCombo', selections),
+    getComboCooldown: () => simulation.getState().comboCooldown,
+    resetComboCooldown: () => act('resetComboCooldown'),
+    addCharge: amount => act('addCharge', amount),
+    reduceCooldown: (ms, selection) => act('reduceCooldown', ms, selection),
+    getActivation,
+    releaseCamera: duration => director.release(duration),
+    serialize: () => simulation.serialize(),
+    hydrate: snapshot => handlers.current.hydrate(snapshot),
+    startRecording: () => recorder.start(),
+    stopRecording: () => recorder.stop(),
+    getScore: () => scoring.getTotals(),
+    resetScore: () => scoring.reset(),
+    subscribe: (listener) => {
+      phaseListeners.current.add(listener);
+      return () => phaseListeners.current.delete(listener);
+    },
+    subscribeAudio: (listener) => {
+      audioListeners.current.add(listener);
+      return () => audioListeners.current.delete(listener);
+    },
+    subscribeVoice: (listener) => {
+      voiceListeners.current.add(listener);
+      return () => voiceListeners.current.delete(listener);
+    },
+    subscribeAllies: (listener) => {
+      allyListeners.current.add(listener);
+      return () => allyListeners.current.delete(listener);
+    },
+    // Manual clock for `autoStep={false}` (fixed-step loops, replays, tests)
+    step: (deltaMs) => handlers.current.advance(deltaMs),
+    getState: () => simulation.getState(),
+  }), [simulation, recorder, scoring, getWingmanTargets, getActivation, director]);
+
+  // Legacy global trigger, opt-in only (two instances would overwrite each other)
+  useEffect(() => {
+    if (!exposeGlobal) return undefined;
+
+    const trigger = () => handlers.current.triggerTeamSpecial();
+    window.triggerWingmanSpecial = trigger;
+    return () => {
+      if (window.triggerWingmanSpecial === trigger) {
+        delete window.triggerWingmanSpecial;
+      }
+    };
+  }, [exposeGlobal]);
+
+  return (
+    <group>
+      {/* Wingman Ship */}
+      <group ref={shipRef}>
+        <WingmanShip
+          position={[0, 0, 0]}
+          rotation={[0, 0, 0]}
+          color={activeWingman ? activeWingman.color : undefined}
+          isActive={view.phase !== 'idle'}
+          smoking={view.smoking.split(',').includes(view.wingmanId)}
+          model={activeWingman ? activeWingman.model : undefined}
+          scale={activeWingman ? activeWingman.modelScale : undefined}
+          modelRotation={activeWingman ? activeWingman.modelRotation : undefined}
+          tint={activeWingman ? activeWingman.tint : undefined}
+          animations={activeWingman ? activeWingman.animations : undefined}
+          muzzles={activeWingman ? activeWingman.muzzles : undefined}
+          phase={view.phase}
+          timeScale={paused ? 0 : timeScale}
+          onMuzzles={handleActiveMuzzles}
+        />
+      </group>
+
+      {/* Escorts and combo members, positioned by syncView like the main ship */}
+      {view.escorts.map(ship => {
+        const wingman = roster.find(w => w.id === ship.wingmanId);
+        if (!wingman) return null;
+        return (
+          <SquadShip
+            key={`escort-${ship.wingmanId}`}
+            wingman={wingman}
+            phase={ship.phase}
+            refs={escortRefs}
+            smoking={view.smoking.split(',').includes(wingman.id)}
+            timeScale={paused ? 0 : timeScale}
+            onMuzzles={handleMuzzles}
+          />
+        );
+      })}
+      {view.combo.map(ship => {
+        const wingman = roster.find(w => w.id === ship.wingmanId);
+        if (!wingman) return null;
+        return (
+          <SquadShip
+            key={`combo-${ship.wingmanId}`}
+            wingman={wingman}
+            phase={ship.phase}
+            refs={comboRefs}
+            smoking={view.smoking.split(',').includes(wingman.id)}
+            timeScale={paused ? 0 : timeScale}
+            onMuzzles={handleMuzzles}
+          />
         );
-        setWingmanPosition(newPos);
-        
-        // Rotate to face forward
-        const lookDir = new Vector3().subVectors(attackPosition.current, newPos).normalize();
-        if (lookDir.length() > 0.1) {
-          setWingmanRotation([0, Math.atan2(lookDir.x, lookDir.z) + Math.PI, 0]);
+      })}
+
+      {/* Attack Effects */}
+      {view.effects.map(effect => {
+        const owner = effect.wingmanId === view.wingmanId
+          ? activeWingman
+          : roster.find(w => w.id === effect.wingmanId);
+        const EffectComponent = (owner && owner.effectComponents && owner.effectComponents[effect.type])
+          || EFFECT_COMPONENTS[effect.type];
+        if (!EffectComponent) return null;
+        return (
+          <EffectComponent
+            key={effect.id}
+            {...effect}
+            getEffect={getEffect}
+            showLight={false}
+            reducedFlash={reducedFlash}
+          />
+        );
+      })}
+
+      {/* Gatling rounds, explosions and the shared light budget */}
+      <WingmanEffectPool
+        getState={simulation.getState}
+        isPooled={isPooled}
+        lightBudget={lightBudget}
+        reducedFlash={reducedFlash}
+      />
+
+      {/* Reticles over the targets the special or combo has locked */}
+      {lockOn && (
+        <LockOnMarkers
+          getState={simulation.getState}
+          getEnemies={getEnemies}
+          roster={roster}
+          reducedMotion={reducedMotion}
+          {...(lockOn === true ? {} : lockOn)}
+        />
+      )}
+
+      {/* Points floating up from each kill */}
+      {scoringOptions && scoringOptions.popups !== false && (
+        <ScorePopups
+          scoring={scoring}
+          getState={simulation.getState}
+          roster={roster}
+          reducedMotion={reducedMotion}
+          {...(scoringOptions === true ? {} : scoringOptions.popups)}
+        />
+      )}
+    </group>
+  );
+});
+
+// ============================================================================
+// IMPERATIVE CONTROL HOOK
+// ============================================================================
+// Returns a stable controller for one WingmanSupport instance. Pass `ref` to
+// the component; the methods are safe to call before the canvas has mounted.
+function useWingmanSupport() {
+  const instance = useRef(null);
+  const listeners = useRef(new Set());
+  const audioListeners = useRef(new Set());
+  const voiceListeners = useRef(new Set());
+  const allyListeners = useRef(new Set());
+  const [phase, setPhase] = useState('idle');
+  const [allies, setAllies] = useState({});
+  
+  const controls = useMemo(() => {
+    let unsubscribe = null;
+    const relay = (nextPhase, previousPhase) => {
+      listeners.current.forEach(listener => listener(nextPhase, previousPhase));
+    };
+    const relayAudio = (event) => {
+      audioListeners.current.forEach(listener => listener(event));
+    };
+    const relayVoice = (event) => {
+      voiceListeners.current.forEach(listener => listener(event));
+    };
+    const relayAllies = (nextAllies) => {
+      allyListeners.current.forEach(listener => listener(nextAllies));
+    };
+    
+    return {
+      ref: (handle) => {
+        if (unsubscribe) {
+          unsubscribe();
+          unsubscribe = null;
         }
-        
-        if (approachProgress >= 1) {
-          setPhase('attack');
-          phaseStartTime.current = Date.now();
-          executeAttack();
+        instance.current = handle;
+        if (handle) {
+          const unsubscribePhase = handle.subscribe(relay);
+          const unsubscribeAudio = handle.subscribeAudio(relayAudio);
+          const unsubscribeVoice = handle.subscribeVoice(relayVoice);
+          const unsubscribeAllies = handle.subscribeAllies(relayAllies);
+          unsubscribe = () => {
+            unsubscribePhase();
+            unsubscribeAudio();
+            unsubscribeVoice();
+            unsubscribeAllies();
+          };
+          relay(handle.getPhase(), null);
+          relayAllies(handle.getAllies());
         }
+      },
+      trigger: () => (instance.current ? instance.current.trigger() : false),
+      cancel: () => (instance.current ? instance.current.cancel() : false),
+      getPhase: () => (instance.current ? instance.current.getPhase() : 'idle'),
+      getCooldown: () => (instance.current ? instance.current.getCooldown() : 0),
+      resetCooldown: () => {
+        if (instance.current) instance.current.resetCooldown();
+      },
+      startEscort: (selection, duration) => (
+        instance.current ? instance.current.startEscort(selection, duration) : false
+      ),
+      endEscort: selection => (instance.current ? instance.current.endEscort(selection) : false),
+      getEscorts: () => (instance.current ? instance.current.getEscorts() : []),
+      getLocks: () => (instance.current ? instance.current.getLocks() : []),
+      damageWingman: (selection, amount, sourceId) => (
+        instance.current ? instance.current.damageWingman(selection, amount, sourceId) : false
+      ),
+      restoreWingman: (selection) => {
+        if (instance.current) instance.current.restoreWingman(selection);
+      },
+      getAllies: () => (instance.current ? instance.current.getAllies() : {}),
+      getWingmanTargets: () => (instance.current ? instance.current.getWingmanTargets() : []),
+      triggerCombo: selections => (instance.current ? instance.current.triggerCombo(selections) : false),
+      getComboCooldown: () => (instance.current ? instance.current.getComboCooldown() : 0),
+      resetComboCooldown: () => {
+        if (instance.current) instance.current.resetComboCooldown();
+      },
+      addCharge: amount => (instance.current ? instance.current.addCharge(amount) : false),
+      reduceCooldown: (ms, selection) => {
+        if (instance.current) instance.current.reduceCooldown(ms, selection);
+      },
+      getActivation: () => (instance.current ? instance.current.getActivation() : null),
+      releaseCamera: (duration) => {
+        if (instance.current) instance.current.releaseCamera(duration);
+      },
+      serialize: () => (instance.current ? instance.current.serialize() : null),
+      hydrate: (snapshot) => {
+        if (instance.current) instance.current.hydrate(snapshot);
+      },
+      startRecording: () => {
+        if (instance.current) instance.current.startRecording();
+      },
+      stopRecording: () => (instance.current ? instance.current.stopRecording() : null),
+      getScore: () => (instance.current ? instance.current.getScore() : null),
+      resetScore: () => {
+        if (instance.current) instance.current.resetScore();
+      },
+      step: (deltaMs) => {
+        if (instance.current) instance.current.step(deltaMs);
+      },
+      getState: () => (instance.current ? instance.current.getState() : null),
+      subscribe: (listener) => {
+        listeners.current.add(listener);
+        return () => listeners.current.delete(listener);
+      },
+      subscribeAudio: (listener) => {
+        audioListeners.current.add(listener);
+        return () => audioListeners.current.delete(listener);
+      },
+      subscribeVoice: (listener) => {
+        voiceListeners.current.add(listener);
+        return () => voiceListeners.current.delete(listener);
+      },
+      subscribeAllies: (listener) => {
+        allyListeners.current.add(listener);
+        return () => allyListeners.current.delete(listener);
+      },
+    };
+  }, []);
+  
+  useEffect(() => controls.subscribe(setPhase), [controls]);
+  useEffect(() => controls.subscribeAllies(setAllies), [controls]);
+  
+  return useMemo(() => ({ ...controls, phase, allies }), [controls, phase, allies]);
+}
+
+// ============================================================================
+// INPUT HOOK
+// ============================================================================
+// Built-in keyboard and gamepad controls (see WingmanInput.js) for one
+// controller from useWingmanSupport. 'trigger' and 'combo' call the special
+// in; selection actions call `onSelect(index, wingman)` like the HUD buttons,
+// skipping downed wingmen. `onAction(event)` sees every action first and
+// returns false to swallow it. `disabled` (true, or a reason such as 'menu'
+// or 'cutscene') mutes every action; rebinding still works. Returns
+// { input, bindings, radial, rebind, resetBindings, captureBinding }, where
+// `radial` is { index } while the selection wheel is held open.
+function useWingmanInput(controller, {
+  wingmen,
+  selectedWingman = 0,
+  onSelect,
+  onAction,
+  disabled = false,
+  bindings: bindingOverrides,
+  storageKey = INPUT_DEFAULTS.STORAGE_KEY,
+} = {}) {
+  const roster = useWingmanRoster(wingmen);
+  const [input] = useState(() => createWingmanInput({
+    bindings: bindingOverrides,
+    storageKey,
+    count: roster.length,
+    disabled,
+  }));
+  const [radial, setRadial] = useState(null);
+  const bindings = useSyncExternalStore(input.subscribeBindings, input.getBindings, input.getBindings);
+
+  const latest = useRef();
+  latest.current = { controller, roster, selectedWingman, onSelect, onAction };
+
+  useEffect(() => input.attach(), [input]);
+  useEffect(() => input.setDisabled(disabled), [input, disabled]);
+  useEffect(() => input.setCount(roster.length), [input, roster.length]);
+
+  useEffect(() => input.subscribe((event) => {
+    const current = latest.current;
+    if (current.onAction && current.onAction(event) === false) return;
+
+    const allies = (current.controller && current.controller.allies) || {};
+    const isAvailable = wingman => Boolean(wingman) && !(allies[wingman.id] && allies[wingman.id].downed);
+    const select = (i) => {
+      const wingman = current.roster[i];
+      if (isAvailable(wingman) && current.onSelect) current.onSelect(i, wingman);
+    };
+
+    switch (event.action) {
+      case 'trigger':
+        if (current.controller) current.controller.trigger();
         break;
-      }
-      
-      case 'attack': {
-        // Hold position during attack
-        if (elapsed > WINGMAN_CONFIG.ATTACK_DURATION) {
-          setPhase('escape');
-          phaseStartTime.current = Date.now();
-          
-          // Signal enemies destroyed
-          if (onEnemiesDestroyed) {
-            onEnemiesDestroyed(targetEnemies.map(e => e.id));
-          }
-        }
+      case 'combo':
+        if (current.controller) current.controller.triggerCombo();
         break;
-      }
-      
-      case 'escape': {
-        // Climb up and away
-        const escapeProgress = Math.min(elapsed / WINGMAN_CONFIG.ESCAPE_DURATION, 1);
-        const escapePos = attackPosition.current.clone();
-        escapePos.y += escapeProgress * 50;
-        escapePos.z += escapeProgress * 30;
-        setWingmanPosition(escapePos);
-        setWingmanRotation([-WINGMAN_CONFIG.ESCAPE_CLIMB_ANGLE, Math.PI, 0]);
-        
-        if (escapeProgress >= 1) {
-          setPhase('idle');
-          setIsActive(false);
-          setCooldown(WINGMAN_CONFIG.TEAM_SPECIAL_COOLDOWN);
-          setAttackEffects([]);
-          setTargetEnemies([]);
-        }
+      case 'next':
+      case 'previous':
+        select(findNextWingman(
+          current.roster,
+          findWingmanIndex(current.roster, current.selectedWingman),
+          event.action === 'next' ? 1 : -1,
+          isAvailable
+        ));
+        break;
+      case 'select':
+        select(event.index);
+        break;
+      case 'radial':
+        setRadial(event.phase === 'close' ? null : { index: event.index });
+        break;
+      default:
         break;
-      }
     }
+  }), [input]);
+
+  return useMemo(() => ({
+    input,
+    bindings,
+    radial,
+    rebind: input.rebind,
+    resetBindings: input.resetBindings,
+    captureBinding: input.captureBinding,
+  }), [input, bindings, radial]);
+}
+
+// ============================================================================
+// HUD THEME & STATUS
+// ============================================================================
+// Colors, fonts and glow of the HUD; the `theme` prop is merged over this
+const HUD_THEME = {
+  font: 'Courier New, monospace',
+  fontSize: 12,                         // px; the status line is 2px larger
+  color: '#00ff88',                     // text, borders and full bars
+  dimColor: '#448844',                  // bars still filling
+  activeColor: '#ffaa00',               // the special is in flight
+  comboColor: '#ffaa00',
+  comboDimColor: '#aa7700',
+  comboFill: 'rgba(255, 170, 0, 0.25)',
+  downedColor: '#666666',
+  dangerColor: '#ff4444',               // health of a wingman under attack
+  focusColor: '#ffffff',
+  trackColor: '#333333',                // empty health bars and rings
+  selectedText: '#000000',              // text on a selected button
+  background: 'transparent',
+  glow: '0 0 10px #00ff88',             // text-shadow, or 'none'
+};
+
+const HUD_DEFAULTS = {
+  PULSE_DURATION: 600,  // ms the ready pulse lasts
+  PULSE_SCALE: 1.25,
+  WHEEL_RADIUS: 90,     // px from the wheel's center to each wingman
+  RING_SIZE: 64,        // px, the cooldown ring of the wheel and compact layouts
+};
+
+const HUD_POSITIONS = {
+  bottom: { bottom: '20px', left: '50%', transform: 'translateX(-50%)' },
+  center: { top: '50%', left: '50%', transform: 'translate(-50%, -50%)' },
+  'bottom-left': { bottom: '20px', left: '20px' },
+  'bottom-right': { bottom: '20px', right: '20px' },
+  'top-left': { top: '20px', left: '20px' },
+  'top-right': { top: '20px', right: '20px' },
+};
+
+// Where each layout sits unless `position` says otherwise
+const LAYOUT_POSITIONS = { row: 'bottom', radial: 'center', compact: 'bottom-right' };
+
+// Everything the selector shows, worked out from its props. Shared by the
+// DOM and the in-canvas HUD.
+function getSelectorStatus({
+  roster,
+  selectedWingman,
+  allies = {},
+  cooldown,
+  maxCooldown,
+  isActive,
+  comboCooldown: comboCooldownProp = 0,
+  maxComboCooldown: maxComboCooldownProp = WINGMAN_CONFIG.COMBO_COOLDOWN,
+  activation,
+}) {
+  const selectedIndex = findWingmanIndex(roster, selectedWingman);
+  const isDowned = wingman => Boolean(allies[wingman.id] && allies[wingman.id].downed);
+  const selectedDowned = roster[selectedIndex] ? isDowned(roster[selectedIndex]) : false;
+
+  // `activation` (from onActivationUpdate) picks what to draw: the shared
+  // cooldown, per-wingman cooldowns, the charge meter or a mix of them.
+  // Without it the HUD shows the plain `cooldown` props.
+  const sharedCooldown = activation ? activation.cooldown : cooldown;
+  const sharedMax = activation ? activation.maxCooldown : maxCooldown;
+  const comboCooldown = activation ? activation.comboCooldown : comboCooldownProp;
+  const maxComboCooldown = activation ? activation.maxComboCooldown : maxComboCooldownProp;
+  const showCooldown = !activation || (activation.usesCooldown && !activation.perWingman);
+  const meter = activation ? activation.meter : null;
+  const wingmanCooldowns = activation ? activation.wingmanCooldowns : {};
+  const ownCooldown = wingman => (wingmanCooldowns[wingman.id] ? wingmanCooldowns[wingman.id].cooldown : 0);
+
+  const charged = !meter || meter.charges >= meter.cost;
+  const selectedCooldown = roster[selectedIndex] ? ownCooldown(roster[selectedIndex]) : 0;
+  const isReady = sharedCooldown === 0 && charged && selectedCooldown === 0 && !isActive;
+
+  let status = '[READY]';
+  if (isActive) status = '[ACTIVE]';
+  else if (sharedCooldown > 0) status = `[${Math.ceil(sharedCooldown / 1000)}s]`;
+  else if (!charged) status = '[CHARGING]';
+  else if (selectedCooldown > 0) status = `[${Math.ceil(selectedCooldown / 1000)}s]`;
+  else if (selectedDowned) status = '[WINGMAN DOWN]';
+
+  // Screen readers hear state changes, not the countdown
+  const selectedName = roster[selectedIndex] ? roster[selectedIndex].name : '';
+  let announcement = `Team Special ready, ${selectedName}`;
+  if (isActive) announcement = 'Team Special active';
+  else if (sharedCooldown > 0) announcement = 'Team Special cooling down';
+  else if (!charged) announcement = 'Team Special charging';
+  else if (selectedCooldown > 0) announcement = `${selectedName} cooling down`;
+  else if (selectedDowned) announcement = `${selectedName} is down`;
+
+  const comboReady = comboCooldown === 0 && !isActive && (!meter || meter.charges >= meter.comboCost);
+  let comboStatus = comboReady ? '[READY]' : '[CHARGING]';
+  if (comboCooldown > 0) comboStatus = `[${Math.ceil(comboCooldown / 1000)}s]`;
+
+  return {
+    selectedIndex,
+    selectedDowned,
+    isDowned,
+    ownCooldown,
+    sharedCooldown,
+    progress: sharedMax > 0 ? (sharedMax - sharedCooldown) / sharedMax : 1,
+    showCooldown,
+    meter,
+    charged,
+    isActive: Boolean(isActive),
+    isReady,
+    status,
+    announcement,
+    comboCooldown,
+    comboProgress: maxComboCooldown > 0 ? (maxComboCooldown - comboCooldown) / maxComboCooldown : 1,
+    comboReady,
+    comboStatus,
+  };
+}
+
+// ============================================================================
+// READY CUES
+// ============================================================================
+// A pulse (and optionally a sound) when the special becomes ready, and when
+// the meter completes a charge. `sounds` is true for the synthesized chimes,
+// or { ready, charge } with true, an audio URL or a function(kind) each.
+let hudAudioContext = null;
+
+function playHUDCue(kind, sound) {
+  if (!sound) return;
+  if (typeof sound === 'function') {
+    sound(kind);
+    return;
+  }
+  if (typeof sound === 'string') {
+    // Browsers refuse playback before the first user gesture; skip it quietly
+    const played = new Audio(sound).play();
+    if (played) played.catch(() => {});
+    return;
+  }
+
+  const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContextClass) return;
+  if (!hudAudioContext) hudAudioContext = new AudioContextClass();
+  const ctx = hudAudioContext;
+
+  // Ready rises over two notes, a charge is a single blip
+  (kind === 'ready' ? [660, 990] : [880]).forEach((frequency, i) => {
+    const when = ctx.currentTime + i * 0.09;
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = 'triangle';
+    osc.frequency.setValueAtTime(frequency, when);
+    gain.gain.setValueAtTime(0.0001, when);
+    gain.gain.exponentialRampToValueAtTime(0.15, when + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, when + 0.25);
+    osc.connect(gain);
+    gain.connect(ctx.destination);
+    osc.start(when);
+    osc.stop(when + 0.3);
   });
-  
-  // Expose trigger function
+}
+
+// The latest pulse, { kind: 'ready' | 'charge', at }, or null before the first
+function useReadyCue(isReady, charges, { sounds = false, onReady } = {}) {
+  const [pulse, setPulse] = useState(null);
+  const previous = useRef({ isReady, charges });
+  const latest = useRef();
+  latest.current = { sounds, onReady };
+
   useEffect(() => {
-    window.triggerWingmanSpecial = triggerTeamSpecial;
-    return () => {
-      delete window.triggerWingmanSpecial;
-    };
-  }, [triggerTeamSpecial]);
-  
+    const last = previous.current;
+    previous.current = { isReady, charges };
+    let kind = null;
+    if (isReady && !last.isReady) kind = 'ready';
+    else if (charges > last.charges) kind = 'charge';
+    if (!kind) return;
+
+    setPulse({ kind, at: performance.now() });
+    const { sounds: cues, onReady: report } = latest.current;
+    playHUDCue(kind, cues === true ? true : cues && cues[kind]);
+    if (report) report(kind);
+  }, [isReady, charges]);
+
+  return pulse;
+}
+
+// ============================================================================
+// WINGMAN SELECTOR HUD COMPONENT
+// ============================================================================
+// Layouts:
+//   row      the wingmen side by side under the status and bars (bottom center)
+//   radial   a wheel around a cooldown ring, slot 0 at the top (center)
+//   compact  a cooldown ring with the selected wingman and small buttons for
+//            the rest (bottom right)
+// `radial` from useWingmanInput adds a wheel in the middle of the screen while
+// the radial hold is down, with the wingman it points at highlighted.
+// Slots: renderPortrait(wingman, state) replaces the glyph on each button,
+// renderCooldown(state) the bars and rings, renderStatus(state) the status
+// line and its ready pulse.
+//
+// The wingman buttons are a radio group: one tab stop, arrow keys, Home/End
+// and the number keys move the selection and focus together, and downed
+// wingmen are skipped. Every wingman is told apart by its number and a glyph
+// of its lock-on reticle shape (or `wingman.glyph`), not only by color, and
+// the Team Special state is announced through a polite live region.
+const RETICLE_GLYPHS = {
+  ring: '○',
+  square: '□',
+  diamond: '◇',
+  triangle: '△',
+};
+
+const VISUALLY_HIDDEN = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+};
+
+function getWingmanGlyph(wingman) {
+  return wingman.glyph || RETICLE_GLYPHS[getReticle(wingman).shape];
+}
+
+// Slot 0 at the top, then clockwise, like the input layer's wheel
+function getWheelOffset(index, count, radius) {
+  const angle = (index / Math.max(count, 1)) * Math.PI * 2;
+  return { x: Math.sin(angle) * radius, y: -Math.cos(angle) * radius };
+}
+
+function CooldownBar({ progress, color, theme, transition, width = 200 }) {
   return (
-    <group>
-      {/* Wingman Ship */}
-      <WingmanShip
-        position={wingmanPosition}
-        rotation={wingmanRotation}
-        wingmanIndex={selectedWingman}
-        isActive={isActive}
-      />
-      
-      {/* Attack Effects */}
-      {attackEffects.map(effect => {
-        switch (effect.type) {
-          case 'gatling':
-            return (
-              <GatlingProjectile
-                key={effect.id}
-                {...effect}
-                onComplete={handleEffectComplete}
-              />
-            );
-          case 'beam':
-            return (
-              <BeamEffect
-                key={effect.id}
-                {...effect}
-                onComplete={handleEffectComplete}
-              />
-            );
-          case 'lightning':
-            return (
-              <LightningChain
-                key={effect.id}
-                {...effect}
-                onComplete={handleLightningComplete}
-              />
-            );
-          case 'missile':
-            return (
-              <Missile
-                key={effect.id}
-                {...effect}
-                onComplete={handleEffectComplete}
-              />
-            );
-          default:
-            return null;
-        }
-      })}
-      
-      {/* Explosions */}
-      {explosions.map(exp => (
-        <Explosion key={exp.id} position={exp.position} color={exp.color} />
+    <div style={{ width: `${width}px`, height: '8px', border: `2px solid ${theme.color}` }}>
+      <div style={{
+        width: `${progress * 100}%`,
+        height: '100%',
+        background: color,
+        transition: transition('width 0.1s'),
+      }} />
+    </div>
+  );
+}
+
+function CooldownRing({ progress, color, theme, size = HUD_DEFAULTS.RING_SIZE, children }) {
+  const radius = size / 2 - 4;
+  const circumference = Math.PI * 2 * radius;
+  return (
+    <div style={{ position: 'relative', width: `${size}px`, height: `${size}px` }}>
+      <svg width={size} height={size} style={{ position: 'absolute', inset: 0, transform: 'rotate(-90deg)' }}>
+        <circle cx={size / 2} cy={size / 2} r={radius} fill="none" stroke={theme.trackColor} strokeWidth={4} />
+        <circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          fill="none"
+          stroke={color}
+          strokeWidth={4}
+          strokeDasharray={circumference}
+          strokeDashoffset={circumference * (1 - progress)}
+        />
+      </svg>
+      <div style={{
+        position: 'absolute',
+        inset: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        textAlign: 'center',
+      }}>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+function WingmanSelectorHUD({
+  wingmen,
+  selectedWingman,
+  onSelect,
+  cooldown,
+  maxCooldown,
+  isActive,
+  allies = {},
+  comboCooldown,
+  maxComboCooldown,
+  onCombo,
+  activation,
+  accessibility = 'system',
+  layout = 'row',
+  position,
+  theme: themeOverrides,
+  radial,
+  sounds = false,
+  onReady,
+  renderPortrait,
+  renderCooldown,
+  renderStatus,
+  className,
+  style,
+}) {
+  const roster = useWingmanRoster(wingmen);
+  const { reducedMotion } = useAccessibility(accessibility);
+  const theme = useMemo(() => ({ ...HUD_THEME, ...themeOverrides }), [themeOverrides]);
+  const buttonRefs = useRef([]);
+  const statusRef = useRef();
+  const [focusedIndex, setFocusedIndex] = useState(-1);
+
+  const hud = getSelectorStatus({
+    roster,
+    selectedWingman,
+    allies,
+    cooldown,
+    maxCooldown,
+    isActive,
+    comboCooldown,
+    maxComboCooldown,
+    activation,
+  });
+  const { selectedIndex, isDowned, ownCooldown, meter } = hud;
+  const pulse = useReadyCue(hud.isReady, meter ? meter.charges : 0, { sounds, onReady });
+  const transition = value => (reducedMotion ? 'none' : value);
+  const barColor = hud.isReady ? theme.color : hud.isActive ? theme.activeColor : theme.dimColor;
+
+  // The default status line pulses; a custom one animates itself
+  useEffect(() => {
+    const element = statusRef.current;
+    if (!pulse || reducedMotion || renderStatus || !element || !element.animate) return;
+    element.animate([
+      { transform: 'scale(1)' },
+      { transform: `scale(${HUD_DEFAULTS.PULSE_SCALE})`, textShadow: `0 0 24px ${theme.color}` },
+      { transform: 'scale(1)' },
+    ], { duration: HUD_DEFAULTS.PULSE_DURATION, easing: 'ease-out' });
+  }, [pulse, reducedMotion, renderStatus, theme.color]);
+
+  const select = (i) => {
+    const wingman = roster[i];
+    if (!wingman || isDowned(wingman)) return;
+    onSelect(i, wingman);
+    if (buttonRefs.current[i]) buttonRefs.current[i].focus();
+  };
+
+  const findSelectable = (from, direction) => findNextWingman(roster, from, direction, w => !isDowned(w));
+
+  const handleKeyDown = (event) => {
+    let target = -1;
+    if (event.key === 'ArrowRight' || event.key === 'ArrowDown') target = findSelectable(selectedIndex, 1);
+    else if (event.key === 'ArrowLeft' || event.key === 'ArrowUp') target = findSelectable(selectedIndex, -1);
+    else if (event.key === 'Home') target = findSelectable(-1, 1);
+    else if (event.key === 'End') target = findSelectable(roster.length, -1);
+    else if (/^[1-9]$/.test(event.key)) target = Number(event.key) - 1;
+    else return;
+    event.preventDefault();
+    select(target);
+  };
+
+  const statusLine = renderStatus ? renderStatus({
+    status: hud.status,
+    ready: hud.isReady,
+    active: hud.isActive,
+    pulse,
+    layout,
+  }) : (
+    <div ref={statusRef} aria-hidden="true" style={{ fontSize: `${theme.fontSize + 2}px` }}>
+      {layout === 'row' ? `TEAM SPECIAL ${hud.status}` : hud.status}
+    </div>
+  );
+
+  const cooldownState = {
+    kind: 'special',
+    progress: hud.progress,
+    remaining: hud.sharedCooldown || 0,
+    ready: hud.isReady,
+    active: hud.isActive,
+    layout,
+  };
+  const cooldownLabel = {
+    role: 'progressbar',
+    'aria-label': 'Team Special cooldown',
+    'aria-valuemin': 0,
+    'aria-valuemax': 100,
+    'aria-valuenow': Math.round(hud.progress * 100),
+    'aria-valuetext': hud.sharedCooldown > 0 ? `${Math.ceil(hud.sharedCooldown / 1000)} seconds left` : 'Ready',
+  };
+
+  // The status inside a cooldown ring: the wheel's hub and the compact corner
+  const statusRing = (size) => {
+    const custom = renderCooldown && renderCooldown({ ...cooldownState, size });
+    const ring = hud.showCooldown ? hud.progress : meter ? Math.min(meter.charges / Math.max(meter.cost, 1), 1) : 1;
+    return (
+      <div {...(hud.showCooldown ? cooldownLabel : {})}>
+        {custom || (
+          <CooldownRing progress={ring} color={barColor} theme={theme} size={size}>
+            {statusLine}
+          </CooldownRing>
+        )}
+        {custom && statusLine}
+      </div>
+    );
+  };
+
+  // Charge meter: the partial charge, with a pip per stored charge
+  const chargeMeter = (width) => meter && (
+    <div
+      role="progressbar"
+      aria-label="Team Special charges"
+      aria-valuemin={0}
+      aria-valuemax={meter.maxCharges}
+      aria-valuenow={meter.charges}
+      aria-valuetext={`${meter.charges} of ${meter.maxCharges} charges`}
+      style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '10px' }}
+    >
+      {width > 0 && (
+        <CooldownBar
+          progress={meter.charges >= meter.maxCharges ? 1 : meter.value / meter.max}
+          color={hud.charged ? theme.color : theme.dimColor}
+          theme={theme}
+          transition={transition}
+          width={width}
+        />
+      )}
+      {Array.from({ length: meter.maxCharges }, (_, i) => (
+        <div
+          key={i}
+          style={{
+            width: '8px',
+            height: '8px',
+            border: `2px solid ${theme.color}`,
+            background: i < meter.charges ? theme.color : 'transparent',
+          }}
+        />
       ))}
-    </group>
+    </div>
+  );
+
+  // One radio button. `interactive` is false for the hold-to-open wheel,
+  // which mirrors the real group and stays out of the tab order.
+  const wingmanButton = (wingman, i, { compact = false, interactive = true, highlighted = false, offset = null } = {}) => {
+    // Downed wingmen are greyed out and can't be picked, but stay
+    // focusable so the group can still say who is down
+    const ally = allies[wingman.id];
+    const downed = isDowned(wingman);
+    const selected = selectedIndex === i;
+    const pursued = Boolean(ally && ally.pursuerId != null);
+    const color = downed ? theme.downedColor : wingman.color;
+    const own = ownCooldown(wingman);
+    const details = [
+      wingman.label,
+      downed && 'down',
+      !downed && own > 0 && `${Math.ceil(own / 1000)} seconds`,
+      !downed && pursued && 'under attack',
+    ].filter(Boolean);
+    const portrait = renderPortrait
+      ? renderPortrait(wingman, { index: i, selected, downed, pursued, cooldown: own, layout })
+      : getWingmanGlyph(wingman);
+
+    return (
+      <button
+        key={wingman.id}
+        ref={interactive ? (el => { buttonRefs.current[i] = el; }) : undefined}
+        role={interactive ? 'radio' : undefined}
+        aria-checked={interactive ? selected : undefined}
+        aria-disabled={interactive ? downed : undefined}
+        aria-label={interactive ? [`${i + 1}. ${wingman.name}`, ...details].join(', ') : undefined}
+        tabIndex={interactive && (selected || (selectedIndex < 0 && i === 0)) ? 0 : -1}
+        onClick={() => select(i)}
+        onFocus={interactive ? () => setFocusedIndex(i) : undefined}
+        onBlur={interactive ? () => setFocusedIndex(-1) : undefined}
+        style={{
+          padding: compact ? '4px 6px' : '8px 12px',
+          background: selected ? color : 'transparent',
+          border: `2px ${downed ? 'dashed' : 'solid'} ${color}`,
+          outline: (interactive && focusedIndex === i) || highlighted ? `2px solid ${theme.focusColor}` : 'none',
+          outlineOffset: '2px',
+          color: selected ? theme.selectedText : color,
+          fontFamily: 'inherit',
+          fontSize: `${theme.fontSize}px`,
+          fontWeight: selected ? 'bold' : 'normal',
+          cursor: downed ? 'not-allowed' : 'pointer',
+          opacity: downed ? 0.5 : own > 0 ? 0.7 : 1,
+          transition: transition('all 0.2s'),
+          ...(offset && {
+            position: 'absolute',
+            left: `calc(50% + ${offset.x}px)`,
+            top: `calc(50% + ${offset.y}px)`,
+            transform: `translate(-50%, -50%) scale(${highlighted ? 1.15 : 1})`,
+            whiteSpace: 'nowrap',
+          }),
+        }}
+      >
+        <span aria-hidden="true">
+          {selected ? '▸' : ''}{i + 1} {portrait}{compact ? '' : ` ${wingman.name}`}
+          {downed && (compact ? ' ×' : ' [DOWN]')}
+          {!downed && own > 0 && ` ${Math.ceil(own / 1000)}s`}
+          {!downed && pursued && ' !'}
+        </span>
+
+        {/* Health, once the wingman has been hit */}
+        {ally && !downed && (
+          <div style={{ height: '3px', marginTop: '4px', background: theme.trackColor }}>
+            <div style={{
+              width: `${(ally.health / ally.maxHealth) * 100}%`,
+              height: '100%',
+              background: pursued ? theme.dangerColor : color,
+            }} />
+          </div>
+        )}
+      </button>
+    );
+  };
+
+  const radioGroup = (children, groupStyle) => (
+    <div role="radiogroup" aria-label="Wingman" onKeyDown={handleKeyDown} style={groupStyle}>
+      {children}
+    </div>
+  );
+
+  const wheel = ({ interactive, highlight }) => {
+    const radius = HUD_DEFAULTS.WHEEL_RADIUS;
+    const size = radius * 2 + 120;
+    const buttons = roster.map((wingman, i) => wingmanButton(wingman, i, {
+      interactive,
+      highlighted: highlight === i,
+      offset: getWheelOffset(i, roster.length, radius),
+    }));
+    return (
+      <div style={{ position: 'relative', width: `${size}px`, height: `${size}px` }}>
+        <div style={{ position: 'absolute', left: '50%', top: '50%', transform: 'translate(-50%, -50%)' }}>
+          {statusRing(HUD_DEFAULTS.RING_SIZE + 16)}
+        </div>
+        {interactive ? radioGroup(buttons, { position: 'absolute', inset: 0 }) : buttons}
+      </div>
+    );
+  };
+
+  const comboButton = (width) => onCombo && (
+    <button
+      onClick={onCombo}
+      disabled={!hud.comboReady}
+      style={{
+        position: 'relative',
+        marginTop: '10px',
+        width: `${width}px`,
+        padding: '6px 0',
+        border: `2px solid ${theme.comboColor}`,
+        background: 'transparent',
+        color: hud.comboReady ? theme.comboColor : theme.comboDimColor,
+        fontFamily: 'inherit',
+        fontSize: `${theme.fontSize}px`,
+        cursor: hud.comboReady ? 'pointer' : 'default',
+      }}
+    >
+      {/* Charge fill */}
+      {renderCooldown ? renderCooldown({
+        kind: 'combo',
+        progress: hud.comboProgress,
+        remaining: hud.comboCooldown,
+        ready: hud.comboReady,
+        active: hud.isActive,
+        layout,
+      }) : (
+        <div aria-hidden="true" style={{
+          position: 'absolute',
+          inset: 0,
+          width: `${hud.comboProgress * 100}%`,
+          background: theme.comboFill,
+          transition: transition('width 0.1s'),
+        }} />
+      )}
+      <span style={{ position: 'relative' }}>
+        {width >= 200 ? 'ALL WINGMEN' : 'ALL'} {hud.comboStatus}
+      </span>
+    </button>
+  );
+
+  let body;
+  if (layout === 'radial') {
+    body = (
+      <>
+        {chargeMeter(0)}
+        {wheel({ interactive: true, highlight: radial ? radial.index : null })}
+        {comboButton(200)}
+      </>
+    );
+  } else if (layout === 'compact') {
+    body = (
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+        {statusRing(HUD_DEFAULTS.RING_SIZE)}
+        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
+          {chargeMeter(0)}
+          {radioGroup(
+            roster.map((wingman, i) => wingmanButton(wingman, i, { compact: true })),
+            { display: 'flex', gap: '4px' }
+          )}
+          <div aria-hidden="true" style={{ marginTop: '4px', fontSize: `${theme.fontSize - 1}px`, opacity: 0.7 }}>
+            {roster[selectedIndex] ? `${roster[selectedIndex].name} · ${roster[selectedIndex].label}` : ''}
+          </div>
+          {comboButton(120)}
+        </div>
+      </div>
+    );
+  } else {
+    body = (
+      <>
+        <div style={{ marginBottom: '10px' }}>{statusLine}</div>
+
+        {/* Cooldown bar */}
+        {hud.showCooldown && (
+          <div {...cooldownLabel} style={{ marginBottom: '10px' }}>
+            {(renderCooldown && renderCooldown(cooldownState)) || (
+              <CooldownBar progress={hud.progress} color={barColor} theme={theme} transition={transition} />
+            )}
+          </div>
+        )}
+
+        {chargeMeter(200)}
+
+        {/* Wingman selector */}
+        {radioGroup(roster.map((wingman, i) => wingmanButton(wingman, i)), { display: 'flex', gap: '10px' })}
+
+        {/* Combo ultimate, when the game offers it */}
+        {comboButton(200)}
+
+        {/* Attack type hint (the buttons already name it for screen readers) */}
+        <div aria-hidden="true" style={{ marginTop: '8px', fontSize: `${theme.fontSize - 1}px`, opacity: 0.7 }}>
+          {roster[selectedIndex] ? roster[selectedIndex].label : ''}
+        </div>
+      </>
+    );
+  }
+
+  const placement = position === false ? {} : {
+    position: 'absolute',
+    ...HUD_POSITIONS[position || LAYOUT_POSITIONS[layout] || 'bottom'],
+  };
+
+  return (
+    <>
+      <div
+        role="group"
+        aria-label="Team Special"
+        className={className}
+        style={{
+          ...placement,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: layout === 'compact' ? 'flex-start' : 'center',
+          fontFamily: theme.font,
+          color: theme.color,
+          textShadow: theme.glow,
+          background: theme.background,
+          pointerEvents: 'auto',
+          ...style,
+        }}
+      >
+        <div role="status" aria-live="polite" style={VISUALLY_HIDDEN}>
+          {hud.announcement}
+        </div>
+        {body}
+      </div>
+
+      {/* The hold-to-open wheel from useWingmanInput */}
+      {radial && layout !== 'radial' && (
+        <div aria-hidden="true" style={{
+          position: 'absolute',
+          ...HUD_POSITIONS.center,
+          fontFamily: theme.font,
+          color: theme.color,
+          textShadow: theme.glow,
+          pointerEvents: 'none',
+        }}>
+          {wheel({ interactive: false, highlight: radial.index })}
+        </div>
+      )}
+    </>
   );
 }
 
 // ============================================================================
-// WINGMAN SELECTOR HUD COMPONENT
+// IN-CANVAS SELECTOR HUD
 // ============================================================================
-function WingmanSelectorHUD({
+// WingmanSelectorHUD as meshes, for VR and diegetic cockpit displays: place it
+// inside the Canvas (in a cockpit, or parented to the camera) and give it the
+// same props. Each wingman is a flat badge in its reticle shape with its
+// number and name, the selected one framed; the status sits in a cooldown
+// ring that pulses when the special is ready. Badges take pointer events
+// (and XR controller rays), so `onSelect` works as on the DOM HUD.
+// `layout` is 'row' or 'radial'; one unit is about one button tall.
+function useTextTexture(text, color, font, width = 256, height = 64) {
+  const canvas = useMemo(() => {
+    const element = document.createElement('canvas');
+    element.width = width;
+    element.height = height;
+    return element;
+  }, [width, height]);
+  const texture = useMemo(() => new CanvasTexture(canvas), [canvas]);
+
+  useLayoutEffect(() => {
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, width, height);
+    context.font = `bold ${Math.round(height * 0.5)}px ${font}`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = color;
+    context.fillText(text, width / 2, height / 2);
+    texture.needsUpdate = true;
+  }, [canvas, texture, text, color, font, width, height]);
+
+  useEffect(() => () => texture.dispose(), [texture]);
+  return texture;
+}
+
+function TextPlane({ text, color, font, width = 2, height = 0.5, ...props }) {
+  const texture = useTextTexture(text, color, font);
+  return (
+    <mesh {...props}>
+      <planeGeometry args={[width, height]} />
+      <meshBasicMaterial map={texture} transparent depthWrite={false} toneMapped={false} />
+    </mesh>
+  );
+}
+
+function WingmanBadge3D({ wingman, index, selected, downed, highlighted, cooldown, theme, position, onSelect }) {
+  const reticle = RETICLE_SHAPES[getReticle(wingman).shape];
+  const color = downed ? theme.downedColor : wingman.color;
+  const label = `${index + 1} ${wingman.name}${downed ? ' [DOWN]' : cooldown > 0 ? ` ${Math.ceil(cooldown / 1000)}s` : ''}`;
+
+  return (
+    <group position={position} scale={highlighted ? 1.15 : 1}>
+      <mesh
+        onClick={(event) => {
+          event.stopPropagation();
+          onSelect();
+        }}
+      >
+        <circleGeometry args={[0.35, reticle.segments, reticle.start]} />
+        <meshBasicMaterial color={color} transparent opacity={downed ? 0.3 : selected ? 1 : 0.6} toneMapped={false} />
+      </mesh>
+      {(selected || highlighted) && (
+        <mesh>
+          <ringGeometry args={[0.42, 0.48, reticle.segments, 1, reticle.start]} />
+          <meshBasicMaterial color={selected ? theme.color : theme.focusColor} toneMapped={false} />
+        </mesh>
+      )}
+      <TextPlane text={label} color={color} font={theme.font} position={[0, -0.65, 0]} />
+    </group>
+  );
+}
+
+function WingmanSelectorHUD3D({
+  wingmen,
   selectedWingman,
   onSelect,
   cooldown,
   maxCooldown,
   isActive,
+  allies = {},
+  comboCooldown,
+  maxComboCooldown,
+  activation,
+  accessibility = 'system',
+  layout = 'row',
+  theme: themeOverrides,
+  radial,
+  sounds = false,
+  onReady,
+  ...groupProps
 }) {
-  const cooldownPercent = maxCooldown > 0 ? ((maxCooldown - cooldown) / maxCooldown) * 100 : 100;
-  const isReady = cooldown === 0 && !isActive;
-  
+  const roster = useWingmanRoster(wingmen);
+  const { reducedMotion } = useAccessibility(accessibility);
+  const theme = useMemo(() => ({ ...HUD_THEME, ...themeOverrides }), [themeOverrides]);
+  const pulseRef = useRef();
+
+  const hud = getSelectorStatus({
+    roster,
+    selectedWingman,
+    allies,
+    cooldown,
+    maxCooldown,
+    isActive,
+    comboCooldown,
+    maxComboCooldown,
+    activation,
+  });
+  const pulse = useReadyCue(hud.isReady, hud.meter ? hud.meter.charges : 0, { sounds, onReady });
+  const barColor = hud.isReady ? theme.color : hud.isActive ? theme.activeColor : theme.dimColor;
+  const progress = hud.showCooldown
+    ? hud.progress
+    : hud.meter ? Math.min(hud.meter.charges / Math.max(hud.meter.cost, 1), 1) : 1;
+
+  // Swells and settles back over PULSE_DURATION after each cue
+  useFrame(() => {
+    if (!pulseRef.current) return;
+    const age = pulse && !reducedMotion ? performance.now() - pulse.at : Infinity;
+    const t = Math.min(age / HUD_DEFAULTS.PULSE_DURATION, 1);
+    pulseRef.current.scale.setScalar(1 + (HUD_DEFAULTS.PULSE_SCALE - 1) * Math.sin(t * Math.PI));
+  });
+
+  const spacing = 1.4;
+  const hub = layout === 'radial' ? [0, 0, 0] : [0, 1.1, 0];
+
+  return (
+    <group {...groupProps}>
+      <group position={hub} ref={pulseRef}>
+        <mesh>
+          <ringGeometry args={[0.55, 0.65, 48]} />
+          <meshBasicMaterial color={theme.trackColor} toneMapped={false} />
+        </mesh>
+        {/* Fills clockwise from the top */}
+        {progress > 0 && (
+          <mesh>
+            <ringGeometry args={[0.55, 0.65, 48, 1, Math.PI / 2 - Math.PI * 2 * progress, Math.PI * 2 * progress]} />
+            <meshBasicMaterial color={barColor} toneMapped={false} />
+          </mesh>
+        )}
+        <TextPlane text={hud.status} color={theme.color} font={theme.font} width={1} height={0.25} />
+      </group>
+
+      {roster.map((wingman, i) => {
+        // The wheel's offsets are in screen space, y down
+        const offset = getWheelOffset(i, roster.length, 1.6);
+        const position = layout === 'radial'
+          ? [offset.x, -offset.y, 0]
+          : [(i - (roster.length - 1) / 2) * spacing, 0, 0];
+        const downed = hud.isDowned(wingman);
+        return (
+          <WingmanBadge3D
+            key={wingman.id}
+            wingman={wingman}
+            index={i}
+            selected={hud.selectedIndex === i}
+            downed={downed}
+            highlighted={Boolean(radial && radial.index === i)}
+            cooldown={hud.ownCooldown(wingman)}
+            theme={theme}
+            position={position}
+            onSelect={() => {
+              if (!downed && onSelect) onSelect(i, wingman);
+            }}
+          />
+        );
+      })}
+    </group>
+  );
+}
+
+// ============================================================================
+// WINGMAN RADIO (VOICE LINES & SUBTITLES)
+// ============================================================================
+// Queues 'voice' events so lines never talk over each other. A line stays up
+// until its audio clip ends, or for `duration` (or a reading-time estimate)
+// when it has none. Feed it with `onVoiceLine={radio.push}` and render
+// <WingmanRadioHUD line={radio.current} />.
+const RADIO_DEFAULTS = {
+  MIN_DURATION: 1500,
+  MS_PER_CHAR: 60,
+  GAP: 150,          // Silence between lines
+  MAX_QUEUE: 3,      // Older lines are dropped beyond this
+};
+
+function getLineDuration(line) {
+  if (line.duration != null) return line.duration;
+  return Math.max(RADIO_DEFAULTS.MIN_DURATION, (line.text || '').length * RADIO_DEFAULTS.MS_PER_CHAR);
+}
+
+function useWingmanRadio({ volume = 1, muted = false, maxQueue = RADIO_DEFAULTS.MAX_QUEUE } = {}) {
+  const [current, setCurrent] = useState(null);
+  const queue = useRef([]);
+  const playing = useRef(null);
+
+  const options = useRef({});
+  options.current = { volume, muted, maxQueue };
+
+  const controls = useMemo(() => {
+    const stop = () => {
+      const active = playing.current;
+      if (!active) return;
+      clearTimeout(active.timer);
+      if (active.audio) {
+        active.audio.onended = null;
+        active.audio.onerror = null;
+        active.audio.pause();
+      }
+      playing.current = null;
+    };
+
+    const playNext = () => {
+      stop();
+      const line = queue.current.shift();
+      setCurrent(line || null);
+      if (!line) return;
+
+      const active = { line, audio: null, timer: null };
+      playing.current = active;
+
+      const finish = () => {
+        if (playing.current !== active) return;
+        stop();
+        setCurrent(null);
+        // Hold the channel for a short gap before the next line
+        playing.current = { line: null, audio: null, timer: setTimeout(playNext, RADIO_DEFAULTS.GAP) };
+      };
+
+      // The subtitle follows the clip when there is one
+      if (line.audio && !options.current.muted && typeof Audio !== 'undefined') {
+        const audio = new Audio(line.audio);
+        audio.volume = options.current.volume;
+        audio.onended = finish;
+        audio.onerror = () => {
+          active.timer = setTimeout(finish, getLineDuration(line));
+        };
+        active.audio = audio;
+        audio.play().catch(audio.onerror);
+      } else {
+        active.timer = setTimeout(finish, getLineDuration(line));
+      }
+    };
+
+    return {
+      push: (line) => {
+        queue.current.push(line);
+        while (queue.current.length > options.current.maxQueue) queue.current.shift();
+        if (!playing.current) playNext();
+      },
+      skip: () => playNext(),
+      clear: () => {
+        queue.current = [];
+        stop();
+        setCurrent(null);
+      },
+    };
+  }, []);
+
+  useEffect(() => controls.clear, [controls]);
+
+  return useMemo(() => ({ ...controls, current }), [controls, current]);
+}
+
+function WingmanRadioHUD({ wingmen, line }) {
+  const roster = useWingmanRoster(wingmen);
+  if (!line) return null;
+
+  const wingman = roster.find(w => w.id === line.wingmanId);
+  const name = wingman ? wingman.name : String(line.wingmanId).toUpperCase();
+  const color = wingman ? wingman.color : '#00ff88';
+
   return (
     <div style={{
       position: 'absolute',
       bottom: '20px',
-      left: '50%',
-      transform: 'translateX(-50%)',
+      left: '20px',
       display: 'flex',
-      flexDirection: 'column',
       alignItems: 'center',
+      gap: '12px',
+      padding: '8px 12px',
+      maxWidth: '420px',
+      background: 'rgba(0, 0, 0, 0.6)',
+      border: `2px solid ${color}`,
       fontFamily: 'Courier New, monospace',
-      color: '#00ff88',
-      textShadow: '0 0 10px #00ff88',
-      pointerEvents: 'auto',
+      color: '#ffffff',
+      pointerEvents: 'none',
     }}>
-      <div style={{ marginBottom: '10px', fontSize: '14px' }}>
-        TEAM SPECIAL {isActive ? '[ACTIVE]' : isReady ? '[READY]' : `[${Math.ceil(cooldown / 1000)}s]`}
-      </div>
-      
-      {/* Cooldown bar */}
+      {/* Portrait */}
       <div style={{
-        width: '200px',
-        height: '8px',
-        border: '2px solid #00ff88',
-        marginBottom: '10px',
-        position: 'relative',
+        width: '56px',
+        height: '56px',
+        flexShrink: 0,
+        border: `2px solid ${color}`,
+        background: wingman && wingman.portrait ? `center / cover url(${wingman.portrait})` : color,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        color: '#000',
+        fontSize: '24px',
+        fontWeight: 'bold',
       }}>
-        <div style={{
-          width: `${cooldownPercent}%`,
-          height: '100%',
-          background: isReady ? '#00ff88' : isActive ? '#ffaa00' : '#448844',
-          transition: 'width 0.1s',
-        }} />
-      </div>
-      
-      {/* Wingman selector */}
-      <div style={{ display: 'flex', gap: '10px' }}>
-        {WINGMAN_CONFIG.WINGMAN_NAMES.map((name, i) => (
-          <button
-            key={i}
-            onClick={() => onSelect(i)}
-            style={{
-              padding: '8px 12px',
-              background: selectedWingman === i ? WINGMAN_CONFIG.WINGMAN_COLORS[i] : 'transparent',
-              border: `2px solid ${WINGMAN_CONFIG.WINGMAN_COLORS[i]}`,
-              color: selectedWingman === i ? '#000' : WINGMAN_CONFIG.WINGMAN_COLORS[i],
-              fontFamily: 'inherit',
-              fontSize: '12px',
-              cursor: 'pointer',
-              transition: 'all 0.2s',
-            }}
-          >
-            {name}
-          </button>
-        ))}
+        {wingman && wingman.portrait ? null : name.charAt(0)}
       </div>
-      
-      {/* Attack type hint */}
-      <div style={{ marginTop: '8px', fontSize: '11px', opacity: 0.7 }}>
-        {['GATLING GUNS', 'BEAM GUNS', 'LIGHTNING GUN', 'MISSILE SWARM'][selectedWingman]}
+
+      {/* Subtitle */}
+      <div>
+        <div style={{ color, fontSize: '12px', textShadow: `0 0 8px ${color}` }}>{name}</div>
+        <div style={{ fontSize: '14px', marginTop: '4px' }}>{line.text}</div>
       </div>
     </div>
   );
@@ -796,54 +3273,48 @@ function WingmanSelectorHUD({
 // ============================================================================
 // MAIN EXPORT COMPONENT
 // ============================================================================
-export default function WingmanSupportSystem({
-  playerPosition,
-  playerForward,
-  enemies,
-  onEnemiesDestroyed,
-}) {
-  const [selectedWingman, setSelectedWingman] = useState(0);
-  const [cooldown, setCooldown] = useState(0);
-  const [isActive, setIsActive] = useState(false);
-  
-  const handleCooldownUpdate = useCallback((current, max) => {
-    setCooldown(current);
-  }, []);
-  
-  const handleActivate = useCallback((wingmanIndex, wingmanName) => {
-    setIsActive(true);
-    console.log(`${wingmanName} incoming for Team Special!`);
-  }, []);
-  
-  return (
-    <>
-      <WingmanSupport
-        playerPosition={playerPosition}
-        playerForward={playerForward}
-        enemies={enemies}
-        selectedWingman={selectedWingman}
-        onActivate={handleActivate}
-        onEnemiesDestroyed={(ids) => {
-          setIsActive(false);
-          if (onEnemiesDestroyed) onEnemiesDestroyed(ids);
-        }}
-        onCooldownUpdate={handleCooldownUpdate}
-      />
-    </>
-  );
-}
+// Drop-in wrapper that hands every prop straight to WingmanSupport, so the
+// two never drift apart. It keeps no state of its own: selection and HUD
+// state belong to the game (or to `state`).
+const WingmanSupportSystem = forwardRef(function WingmanSupportSystem(props, ref) {
+  return <WingmanSupport ref={ref} {...props} />;
+});
+
+export default WingmanSupportSystem;
 
 // ============================================================================
 // NAMED EXPORTS FOR INTEGRATION
 // ============================================================================
+// Components, hooks and the registry. The simulation, co-op, scoring and
+// input layers need neither React nor a renderer; import them from
+// WingmanSimulation.js, WingmanNetwork.js, WingmanScoring.js and
+// WingmanInput.js.
 export {
   WingmanSupport,
+  useWingmanSupport,
+  useWingmanInput,
+  registerWingman,
+  unregisterWingman,
+  getWingmen,
+  useWingmanRoster,
   WingmanShip,
+  preloadWingmanModel,
   WingmanSelectorHUD,
+  WingmanSelectorHUD3D,
+  HUD_THEME,
+  useWingmanRadio,
+  WingmanRadioHUD,
   GatlingProjectile,
   BeamEffect,
   LightningChain,
   Missile,
   Explosion,
+  WingmanEffectPool,
+  LockOnMarkers,
+  ScorePopups,
+  WingmanAudio,
+  CAMERA_DEFAULTS,
+  ACCESSIBILITY_DEFAULTS,
+  useAccessibility,
   WINGMAN_CONFIG,
 };
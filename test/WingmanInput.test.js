@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { INPUT_DEFAULTS, DEFAULT_BINDINGS, getRadialIndex, createWingmanInput } from '../WingmanInput.js';
+
+const KEY = INPUT_DEFAULTS.STORAGE_KEY;
+
+// In-memory stand-in for localStorage
+function createStorage(items = {}) {
+  const data = new Map(Object.entries(items));
+  return {
+    data,
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.delete(key),
+  };
+}
+
+// An input with every event it emits
+function createInput(options) {
+  const input = createWingmanInput({ storage: createStorage(), ...options });
+  const events = [];
+  input.subscribe(event => events.push(event));
+  return { input, events };
+}
+
+// Polls with one gamepad whose right stick points at (x, y)
+function pollStick(input, x, y) {
+  const axes = [0, 0, 0, 0];
+  [axes[INPUT_DEFAULTS.RADIAL_AXES[0]], axes[INPUT_DEFAULTS.RADIAL_AXES[1]]] = [x, y];
+  const pad = { buttons: [], axes };
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+  Object.defineProperty(globalThis, 'navigator', { value: { getGamepads: () => [pad] }, configurable: true });
+  try {
+    input.poll();
+  } finally {
+    if (descriptor) Object.defineProperty(globalThis, 'navigator', descriptor);
+    else delete globalThis.navigator;
+  }
+}
+
+// ============================================================================
+// RADIAL WHEEL
+// ============================================================================
+test('radial slots start at the top and run clockwise, wrapping around', () => {
+  assert.equal(getRadialIndex(0, -1, 4), 0);
+  assert.equal(getRadialIndex(1, 0, 4), 1);
+  assert.equal(getRadialIndex(0, 1, 4), 2);
+  assert.equal(getRadialIndex(-1, 0, 4), 3);
+  // Just left of the top rounds back to slot 0, not to slot 4
+  assert.equal(getRadialIndex(-0.1, -1, 4), 0);
+  assert.equal(getRadialIndex(-1, -0.9, 4), 3);
+  assert.equal(getRadialIndex(1, 0, 0), null);
+});
+
+test('the wheel opens, follows the stick and selects on release', () => {
+  const { input, events } = createInput();
+  input.press('KeyR');
+  assert.deepEqual(input.getRadial(), { index: null });
+
+  pollStick(input, 0.1, -0.1); // inside the deadzone
+  pollStick(input, 1, 0);
+  pollStick(input, 1, 0.1);    // same slot, no event
+  pollStick(input, 0, 0);      // back in the deadzone keeps the pick
+  input.release('KeyR');
+
+  assert.deepEqual(events, [
+    { action: 'radial', phase: 'open', index: null },
+    { action: 'radial', phase: 'change', index: 1 },
+    { action: 'radial', phase: 'close', index: 1 },
+    { action: 'select', index: 1 },
+  ]);
+  assert.equal(input.getRadial(), null);
+});
+
+test('a wheel closed without a pick or by disabling selects nothing', () => {
+  const { input, events } = createInput();
+  input.press('KeyR');
+  input.release('KeyR');
+  input.press('KeyR');
+  pollStick(input, 0, 1);
+  input.setDisabled(true);
+
+  assert.deepEqual(events.filter(event => event.phase === 'close'), [
+    { action: 'radial', phase: 'close', index: null },
+    { action: 'radial', phase: 'close', index: null },
+  ]);
+  assert.ok(!events.some(event => event.action === 'select'));
+});
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+test('bindings emit their actions once per press, and not while disabled', () => {
+  const { input, events } = createInput();
+  input.press('KeyQ');
+  input.press('KeyQ');
+  input.release('KeyQ');
+  input.press('Gamepad3');
+  input.setDisabled(true);
+  input.press('KeyE');
+  assert.deepEqual(events, [{ action: 'trigger' }, { action: 'trigger' }]);
+});
+
+test('setCount limits which selectN keys do anything', () => {
+  const { input, events } = createInput({ count: 2 });
+  ['Digit1', 'Digit2', 'Digit3'].forEach(key => input.press(key));
+  input.setCount(3);
+  input.release('Digit3');
+  input.press('Digit3');
+  assert.deepEqual(events, [
+    { action: 'select', index: 0 },
+    { action: 'select', index: 1 },
+    { action: 'select', index: 2 },
+  ]);
+});
+
+// ============================================================================
+// REBINDING
+// ============================================================================
+test('a captured key replaces only the same device\'s binding and leaves other actions', () => {
+  const storage = createStorage();
+  const { input, events } = createInput({ storage });
+  const captured = [];
+  input.captureBinding('trigger', binding => captured.push(binding));
+  assert.equal(input.isCapturing(), true);
+
+  // KeyE was the combo key: it moves to trigger, and the gamepad button stays
+  input.press('KeyE');
+  assert.deepEqual(captured, ['KeyE']);
+  assert.deepEqual(input.getBindings().trigger, ['Gamepad3', 'KeyE']);
+  assert.deepEqual(input.getBindings().combo, ['Gamepad10']);
+  assert.deepEqual(events, []);
+  assert.deepEqual(JSON.parse(storage.getItem(KEY)).trigger, ['Gamepad3', 'KeyE']);
+
+  input.release('KeyE');
+  input.press('KeyE');
+  assert.deepEqual(events, [{ action: 'trigger' }]);
+});
+
+test('a cancelled capture binds nothing', () => {
+  const { input } = createInput();
+  const captured = [];
+  const cancel = input.captureBinding('combo', binding => captured.push(binding));
+  cancel();
+  assert.deepEqual(captured, [null]);
+  assert.equal(input.isCapturing(), false);
+  assert.deepEqual(input.getBindings(), DEFAULT_BINDINGS);
+  assert.throws(() => input.captureBinding('dance'), /captureBinding: unknown action "dance"/);
+});
+
+test('saved bindings load for known actions only, and resetBindings forgets them', () => {
+  const storage = createStorage({
+    [KEY]: JSON.stringify({ trigger: ['KeyT'], dance: ['KeyD'], combo: [5] }),
+  });
+  const { input } = createInput({ storage });
+  assert.deepEqual(input.getBindings().trigger, ['KeyT']);
+  assert.deepEqual(input.getBindings().combo, DEFAULT_BINDINGS.combo);
+  assert.equal(input.getBindings().dance, undefined);
+
+  input.rebind('next', ['KeyN']);
+  input.resetBindings('next');
+  assert.deepEqual(input.getBindings().next, DEFAULT_BINDINGS.next);
+  assert.ok(storage.data.has(KEY));
+
+  input.resetBindings();
+  assert.equal(storage.data.has(KEY), false);
+  assert.deepEqual(input.getBindings(), DEFAULT_BINDINGS);
+});
+
+test('unreadable or unavailable storage falls back to the defaults', () => {
+  const { input } = createInput({ storage: createStorage({ [KEY]: '{not json' }) });
+  assert.deepEqual(input.getBindings(), DEFAULT_BINDINGS);
+
+  const memory = createStorage();
+  const { input: unsaved } = createInput({ storage: memory, storageKey: false });
+  unsaved.rebind('trigger', ['KeyT']);
+  assert.equal(memory.data.size, 0);
+});
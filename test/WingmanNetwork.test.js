@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_WINGMEN, createWingmanSimulation } from '../WingmanSimulation.js';
+import {
+  createWingmanAuthority,
+  createWingmanReplica,
+  createLoopbackTransport,
+} from '../WingmanNetwork.js';
+
+const FRAME = 1000 / 60;
+const LATENCY = 50;
+
+const context = {
+  enemies: [
+    { id: 'a', position: [0, 0, -30], health: 30 },
+    { id: 'b', position: [5, 2, -35], health: 30 },
+  ],
+  playerPosition: [0, 0, 0],
+  playerForward: [0, 0, -1],
+  wingmen: DEFAULT_WINGMEN,
+};
+
+// Deep equality that allows for float rounding in the fast-forward steps
+function assertClose(actual, expected, path = 'state') {
+  if (typeof expected === 'number') {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${path}: ${actual} vs ${expected}`);
+  } else if (expected && typeof expected === 'object') {
+    assert.deepEqual(Object.keys(actual), Object.keys(expected), path);
+    Object.keys(expected).forEach(key => assertClose(actual[key], expected[key], `${path}.${key}`));
+  } else {
+    assert.equal(actual, expected, path);
+  }
+}
+
+// A host and a guest joined by a manual loopback transport
+function connect() {
+  const loopback = createLoopbackTransport({ latency: LATENCY, manual: true });
+  const hostLink = loopback.connect();
+  const guestLink = loopback.connect();
+
+  const host = createWingmanSimulation({ seed: 1 });
+  const guest = createWingmanSimulation({ seed: 1 });
+  const authority = createWingmanAuthority(host, { send: hostLink.send, now: loopback.now });
+  const replica = createWingmanReplica(guest, { send: guestLink.send, now: loopback.now, peerId: 'guest' });
+
+  const requests = [];
+  hostLink.subscribe((message) => {
+    const request = authority.receive(message);
+    if (request) requests.push(request);
+  });
+  const received = [];
+  guestLink.subscribe((message) => {
+    received.push({ message, replaced: replica.receive(message, context) });
+  });
+
+  // Host frame: step, publish, let the transport deliver
+  const frame = () => {
+    host.step(FRAME, context);
+    authority.flush();
+    loopback.advance(FRAME);
+  };
+  return { loopback, host, guest, authority, replica, requests, received, frame };
+}
+
+test('a replica measures latency from ping and pong', () => {
+  const { loopback, replica, received } = connect();
+  assert.equal(replica.getLatency(), null);
+  replica.ping();
+  loopback.advance(LATENCY);
+  loopback.advance(LATENCY);
+  assert.deepEqual(received.map(({ message }) => message.type), ['pong']);
+  assert.equal(replica.getLatency(), LATENCY);
+});
+
+test('the authority\'s activation, phases, hits and kills reach the client', () => {
+  const { host, authority, received, frame } = connect();
+  assert.equal(host.trigger({ wingmanId: 'falco' }, context), true);
+  authority.flush();
+  for (let i = 0; i < 600 && host.getState().phase !== 'idle'; i++) frame();
+  for (let i = 0; i < 10; i++) frame();
+
+  const types = new Set(received.map(({ message }) => message.type));
+  ['activate', 'phase', 'hit', 'score', 'kill', 'snapshot'].forEach((type) => {
+    assert.ok(types.has(type), type);
+  });
+  const activate = received.find(({ message }) => message.type === 'activate').message;
+  assert.equal(activate.kind, 'special');
+  assert.deepEqual(activate.wingmanIds, ['falco']);
+  assert.deepEqual(
+    received.filter(({ message }) => message.type === 'phase').map(({ message }) => message.phase),
+    ['approach', 'attack', 'escape', 'idle'],
+  );
+});
+
+test('snapshots are fast-forwarded by the latency and stale ones are dropped', () => {
+  const { loopback, host, guest, authority, replica, received, frame } = connect();
+  replica.ping();
+  loopback.advance(LATENCY);
+  loopback.advance(LATENCY);
+  assert.equal(replica.getLatency(), LATENCY);
+
+  host.trigger({ wingmanId: 'slippy' }, context);
+  authority.flush();
+  for (let i = 0; i < 120; i++) frame();
+
+  const snapshots = received.filter(({ message }) => message.type === 'snapshot');
+  assert.ok(snapshots.length >= 2);
+  assert.ok(snapshots.every(({ replaced }) => replaced));
+  const last = snapshots[snapshots.length - 1].message;
+
+  // Adopted the authority's state as it was when the snapshot arrived,
+  // LATENCY ms after it was sent
+  const reference = createWingmanSimulation();
+  reference.hydrate(last.snapshot);
+  for (let remaining = LATENCY; remaining > 0; remaining -= FRAME) {
+    reference.step(Math.min(FRAME, remaining), context);
+  }
+  assert.ok(Math.abs(guest.getState().time - (last.time + LATENCY)) < 1e-6);
+  assertClose(guest.getState(), reference.getState());
+
+  // A snapshot older than the one adopted would rewind the special
+  const state = guest.getState();
+  assert.equal(replica.receive(snapshots[0].message, context), false);
+  assert.equal(guest.getState(), state);
+});
+
+test('client requests reach the authority', () => {
+  const { loopback, replica, requests } = connect();
+  replica.request('trigger', [{ wingmanId: 'peppy' }]);
+  loopback.advance(LATENCY - 1);
+  assert.deepEqual(requests, []);
+  loopback.advance(1);
+  assert.deepEqual(requests, [{ action: 'trigger', args: [{ wingmanId: 'peppy' }] }]);
+});
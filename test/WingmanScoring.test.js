@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_WINGMEN, createWingmanSimulation } from '../WingmanSimulation.js';
+import { SCORING_DEFAULTS, DEFAULT_POINT_TABLE, getPoints, createWingmanScoring } from '../WingmanScoring.js';
+
+const FRAME = 1000 / 60;
+const WINDOW = SCORING_DEFAULTS.MULTI_KILL_WINDOW;
+
+// A kill event as the simulation emits it
+function kill(fields = {}) {
+  return {
+    type: 'kill',
+    enemyId: 'a',
+    wingmanId: 'falco',
+    weapon: 'gatling',
+    source: 'gatling',
+    order: 1,
+    position: [0, 0, -30],
+    time: 0,
+    escort: false,
+    combo: false,
+    chain: null,
+    ...fields,
+  };
+}
+
+// ============================================================================
+// POINTS
+// ============================================================================
+test('a kill earns the base, or the weapon\'s base for its source', () => {
+  assert.deepEqual(getPoints(DEFAULT_POINT_TABLE, kill(), 1), { base: 100, bonuses: [], points: 100 });
+  assert.equal(getPoints(DEFAULT_POINT_TABLE, kill({ source: 'splash' }), 1).points, 50);
+
+  const table = { ...DEFAULT_POINT_TABLE, kill: event => (event.enemyId === 'boss' ? 1000 : 10) };
+  assert.equal(getPoints(table, kill({ enemyId: 'boss' }), 1).points, 1000);
+  assert.equal(getPoints(table, kill(), 1).points, 10);
+});
+
+test('streak bonuses follow the multiKill table, repeating its last step', () => {
+  const bonus = streak => getPoints(DEFAULT_POINT_TABLE, kill(), streak).bonuses;
+  assert.deepEqual(bonus(1), []);
+  assert.deepEqual(bonus(2), [{ type: 'multiKill', count: 2, points: 100 }]);
+  assert.equal(bonus(5)[0].points, 1000);
+  assert.equal(bonus(9)[0].points, 1000);
+
+  const table = { ...DEFAULT_POINT_TABLE, multiKill: count => count * 10 };
+  assert.equal(getPoints(table, kill(), 3).bonuses[0].points, 30);
+});
+
+test('every hop a chained kill travelled pays chainHop', () => {
+  const chained = hop => kill({ weapon: 'lightning', source: 'lightning', chain: { id: 'chain-1', hop, length: 4 } });
+  assert.deepEqual(getPoints(DEFAULT_POINT_TABLE, chained(0), 1).bonuses, []);
+  assert.deepEqual(getPoints(DEFAULT_POINT_TABLE, chained(3), 1), {
+    base: 100,
+    bonuses: [{ type: 'chain', hop: 3, length: 4, points: 150 }],
+    points: 250,
+  });
+
+  const table = { ...DEFAULT_POINT_TABLE, chainHop: (hop, length) => (length >= 4 ? 100 : 50) };
+  assert.equal(getPoints(table, chained(1), 1).bonuses[0].points, 100);
+});
+
+test('the escort multiplier scales escort kills, bonuses included', () => {
+  const table = { ...DEFAULT_POINT_TABLE, escort: event => (event.wingmanId === 'slippy' ? 0.5 : 2) };
+  assert.equal(getPoints(table, kill({ escort: true }), 2).points, 400);
+  assert.equal(getPoints(table, kill({ escort: true, wingmanId: 'slippy' }), 1).points, 50);
+  // Specials are never scaled
+  assert.equal(getPoints(table, kill(), 1).points, 100);
+});
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+test('kills within the window build a streak, and one past it starts over', () => {
+  const scoring = createWingmanScoring();
+  assert.equal(scoring.record(kill({ time: 0 })).multiKill, 1);
+  assert.equal(scoring.record(kill({ time: WINDOW })).multiKill, 2);
+  assert.equal(scoring.record(kill({ time: WINDOW * 2 + 1 })).multiKill, 1);
+  assert.equal(scoring.getTotals().bestMultiKill, 2);
+
+  const wide = createWingmanScoring({ multiKillWindow: 2000 });
+  wide.record(kill({ time: 0 }));
+  assert.equal(wide.record(kill({ time: 1500 })).multiKill, 2);
+});
+
+test('each escort keeps its own streak, apart from the special', () => {
+  const scoring = createWingmanScoring();
+  scoring.record(kill({ time: 0 }));
+  assert.equal(scoring.record(kill({ time: 10, escort: true })).multiKill, 1);
+  assert.equal(scoring.record(kill({ time: 20, escort: true, wingmanId: 'slippy' })).multiKill, 1);
+  assert.equal(scoring.record(kill({ time: 30, escort: true })).multiKill, 2);
+  // Combo kills share the special's streak
+  assert.equal(scoring.record(kill({ time: 40, combo: true, wingmanId: 'peppy' })).multiKill, 2);
+});
+
+test('entries carry the running total and totals split by wingman, weapon and mode', () => {
+  const scoring = createWingmanScoring();
+  const entries = [];
+  const unsubscribe = scoring.subscribe(entry => entries.push(entry));
+
+  scoring.record(kill({ time: 0 }));
+  scoring.record(kill({ time: 100, escort: true, wingmanId: 'krystal', weapon: 'missile', source: 'splash' }));
+  unsubscribe();
+  scoring.record(kill({ time: 5000, combo: true }));
+
+  assert.deepEqual(entries.map(entry => entry.total), [100, 150]);
+  const totals = scoring.getTotals();
+  assert.equal(totals.points, 250);
+  assert.equal(totals.kills, 3);
+  assert.deepEqual(totals.byWingman, { falco: { points: 200, kills: 2 }, krystal: { points: 50, kills: 1 } });
+  assert.deepEqual(totals.byWeapon, { gatling: { points: 200, kills: 2 }, missile: { points: 50, kills: 1 } });
+  assert.deepEqual(totals.byMode, {
+    special: { points: 100, kills: 1 },
+    escort: { points: 50, kills: 1 },
+    combo: { points: 100, kills: 1 },
+  });
+});
+
+test('longestChain counts each chain\'s kills by its id', () => {
+  const scoring = createWingmanScoring();
+  const chained = (wingmanId, id, hop) => kill({
+    wingmanId,
+    time: 100,
+    weapon: 'lightning',
+    source: 'lightning',
+    chain: { id, hop, length: 3 },
+  });
+
+  // Two chains land in the same step: an escort's and the special's
+  scoring.record(chained('peppy', 'chain-4', 0));
+  scoring.record(chained('peppy', 'chain-4', 1));
+  scoring.record(chained('peppy', 'chain-5', 0));
+  assert.equal(scoring.getTotals().longestChain, 2);
+  scoring.record(chained('falco', 'chain-6', 0));
+  scoring.record(chained('falco', 'chain-6', 1));
+  scoring.record(chained('falco', 'chain-6', 2));
+  assert.equal(scoring.getTotals().longestChain, 3);
+});
+
+test('reset clears the totals and the streaks', () => {
+  const scoring = createWingmanScoring();
+  scoring.record(kill({ time: 0 }));
+  scoring.reset();
+  assert.equal(scoring.getTotals().points, 0);
+  assert.equal(scoring.getTotals().kills, 0);
+  assert.equal(scoring.record(kill({ time: 10 })).multiKill, 1);
+});
+
+test('attach scores the lightning chain a simulation fires, with one id per chain', () => {
+  const context = {
+    enemies: [
+      { id: 'a', position: [0, 0, -30], health: 10 },
+      { id: 'b', position: [4, 0, -34], health: 10 },
+      { id: 'c', position: [-4, 0, -38], health: 10 },
+    ],
+    playerPosition: [0, 0, 0],
+    playerForward: [0, 0, -1],
+    wingmen: DEFAULT_WINGMEN,
+  };
+  const sim = createWingmanSimulation({ seed: 1 });
+  const scoring = createWingmanScoring();
+  const entries = [];
+  scoring.subscribe(entry => entries.push(entry));
+  const detach = scoring.attach(sim);
+
+  sim.trigger({ wingmanId: 'peppy' }, context);
+  for (let i = 0; i < 2000 && sim.getState().phase !== 'idle'; i++) sim.step(FRAME, context);
+  detach();
+
+  assert.deepEqual(entries.map(entry => entry.chain.hop), [0, 1, 2]);
+  assert.equal(new Set(entries.map(entry => entry.chain.id)).size, 1);
+  assert.equal(scoring.getTotals().longestChain, 3);
+  assert.equal(scoring.getTotals().kills, 3);
+});
@@ -0,0 +1,792 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Euler, Vector3 } from 'three';
+import {
+  WINGMAN_CONFIG,
+  DEFAULT_WINGMEN,
+  computeHitDamage,
+  selectTargets,
+  createWingmanState,
+  createWingmanSimulation,
+  getActivationStatus,
+  stepWingmanSimulation,
+  triggerWingmanSpecial,
+  serializeWingmanState,
+  hydrateWingmanState,
+} from '../WingmanSimulation.js';
+
+const FRAME = 1000 / 60;
+
+const ENEMIES = [
+  { id: 'a', position: [0, 0, -30] },
+  { id: 'b', position: [5, 2, -35], health: 100, armor: 5 },
+  { id: 'c', position: [-5, 0, -40] },
+];
+
+function createContext(enemies = ENEMIES) {
+  return {
+    enemies,
+    playerPosition: [0, 0, 0],
+    playerForward: [0, 0, -1],
+    wingmen: DEFAULT_WINGMEN,
+  };
+}
+
+// Triggers `wingmanId` and steps `frames` frames, with the enemies drifting
+// so targets have to be tracked
+function run({ seed, wingmanId, frames }) {
+  const sim = createWingmanSimulation({ seed });
+  const events = [];
+  sim.subscribe(event => events.push(event));
+
+  let enemies = ENEMIES;
+  assert.equal(sim.trigger({ wingmanId }, createContext(enemies)), true);
+  for (let i = 0; i < frames; i++) {
+    enemies = enemies.map(enemy => ({ ...enemy, position: [enemy.position[0] + 0.1, ...enemy.position.slice(1)] }));
+    sim.step(FRAME, createContext(enemies));
+  }
+  return { state: sim.getState(), events };
+}
+
+// Steps the simulation until the special is over
+function runToIdle(sim, context, deltaMs = FRAME, maxFrames = 5000) {
+  for (let i = 0; i < maxFrames; i++) {
+    sim.step(deltaMs, context);
+    if (sim.getState().phase === 'idle') return i + 1;
+  }
+  throw new Error(`runToIdle: still ${sim.getState().phase} after ${maxFrames} frames`);
+}
+
+test('the same seed and inputs give identical state and events', () => {
+  DEFAULT_WINGMEN.forEach(({ id }) => {
+    const a = run({ seed: 7, wingmanId: id, frames: 400 });
+    const b = run({ seed: 7, wingmanId: id, frames: 400 });
+    assert.deepEqual(b.state, a.state, id);
+    assert.deepEqual(b.events, a.events, id);
+  });
+});
+
+test('the pure step gives the same state as the wrapper', () => {
+  const context = createContext();
+  let { state } = triggerWingmanSpecial(createWingmanState({ seed: 3 }), { wingmanId: 'slippy' }, context);
+  for (let i = 0; i < 200; i++) state = stepWingmanSimulation(state, FRAME, context).state;
+
+  const sim = createWingmanSimulation({ seed: 3 });
+  sim.trigger({ wingmanId: 'slippy' }, context);
+  for (let i = 0; i < 200; i++) sim.step(FRAME, context);
+
+  assert.deepEqual(sim.getState(), state);
+});
+
+test('phases run approach, attack, escape, idle', () => {
+  const sim = createWingmanSimulation({ seed: 1 });
+  const phases = [];
+  sim.subscribe((event) => {
+    if (event.type === 'phase') phases.push(event.phase);
+  });
+
+  const context = createContext();
+  assert.equal(sim.trigger({ wingmanId: 'falco' }, context), true);
+  runToIdle(sim, context);
+
+  assert.deepEqual(phases, ['approach', 'attack', 'escape', 'idle']);
+});
+
+test('the cooldown runs on frame time, not wall time', async () => {
+  const sim = createWingmanSimulation({ seed: 1 });
+  const context = createContext();
+  sim.trigger({ wingmanId: 'peppy' }, context);
+  runToIdle(sim, context);
+  const cooldown = sim.getState().cooldown;
+  assert.ok(cooldown > 0 && cooldown <= WINGMAN_CONFIG.TEAM_SPECIAL_COOLDOWN);
+
+  // Real time passing without steps changes nothing
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(sim.getState().cooldown, cooldown);
+  assert.equal(sim.trigger({ wingmanId: 'peppy' }, context), false);
+
+  // One big frame counts the same as many small ones
+  sim.step(1000, context);
+  assert.equal(sim.getState().cooldown, cooldown - 1000);
+  sim.step(cooldown - 1000, context);
+  assert.equal(sim.getState().cooldown, 0);
+  assert.equal(sim.trigger({ wingmanId: 'peppy' }, context), true);
+});
+
+test('a scaled frame time slows the special down and a paused frame changes nothing', () => {
+  const context = createContext();
+  const full = createWingmanSimulation({ seed: 5 });
+  full.trigger({ wingmanId: 'falco' }, context);
+  const fullFrames = runToIdle(full, context);
+
+  // timeScale 0.5: every rendered frame advances half a frame of game time
+  const slow = createWingmanSimulation({ seed: 5 });
+  const phases = [];
+  slow.subscribe((event) => {
+    if (event.type === 'phase') phases.push(event.phase);
+  });
+  slow.trigger({ wingmanId: 'falco' }, context);
+  for (let i = 0; i < 60; i++) slow.step(FRAME * 0.5, context);
+
+  // Paused: the frame still renders but no game time passes
+  const before = structuredClone(slow.getState());
+  const events = [];
+  const unsubscribe = slow.subscribe(event => events.push(event));
+  slow.step(0, context);
+  unsubscribe();
+  assert.deepEqual(slow.getState(), before);
+  assert.deepEqual(events, []);
+
+  const slowFrames = 60 + runToIdle(slow, context, FRAME * 0.5);
+  assert.ok(Math.abs(slowFrames - fullFrames * 2) <= 2, `${slowFrames} vs ${fullFrames}`);
+  assert.deepEqual(phases, ['approach', 'attack', 'escape', 'idle']);
+});
+
+// Steps `wingmanId`'s special until `pick` finds something in the effects
+function sampleEffects(seed, wingmanId, pick) {
+  const sim = createWingmanSimulation({ seed });
+  const context = createContext();
+  sim.trigger({ wingmanId }, context);
+  for (let i = 0; i < 600; i++) {
+    sim.step(FRAME, context);
+    const sample = pick(sim.getState().effects);
+    if (sample) return sample;
+  }
+  throw new Error(`sampleEffects: nothing picked from ${wingmanId}'s effects`);
+}
+
+test('gatling spread and lightning jitter come from the seed, not Math.random', () => {
+  const spread = effects => {
+    const rounds = effects.filter(effect => effect.type === 'gatling');
+    return rounds.length > 0 && rounds.map(round => round.startPosition);
+  };
+  const jitter = effects => {
+    const chain = effects.find(effect => effect.type === 'lightning' && effect.jitterSeed != null);
+    return chain && [chain.jitterSeed];
+  };
+
+  const { random } = Math;
+  Math.random = () => {
+    throw new Error('Math.random() called');
+  };
+  try {
+    [['falco', spread], ['peppy', jitter]].forEach(([wingmanId, pick]) => {
+      const a = sampleEffects(1, wingmanId, pick);
+      assert.deepEqual(sampleEffects(1, wingmanId, pick), a, wingmanId);
+      assert.notDeepEqual(sampleEffects(2, wingmanId, pick), a, wingmanId);
+    });
+  } finally {
+    Math.random = random;
+  }
+});
+
+test('an escort routes its approach once while the player flies straight', () => {
+  let blockedChecks = 0;
+  let playerPosition = [0, 0, 0];
+  const context = () => ({
+    ...createContext([]),
+    playerPosition,
+    flightPath: {
+      isBlocked: () => {
+        blockedChecks += 1;
+        return false;
+      },
+    },
+  });
+
+  const sim = createWingmanSimulation({ seed: 1 });
+  assert.equal(sim.startEscort({ wingmanId: 'falco' }, context()), true);
+  for (let i = 0; i < 600 && sim.getState().escorts[0].phase === 'approach'; i++) {
+    playerPosition = [0, 0, playerPosition[2] - 0.5];
+    sim.step(FRAME, context());
+  }
+
+  const [escort] = sim.getState().escorts;
+  assert.equal(escort.phase, 'escort');
+  assert.equal(blockedChecks, 1);
+  // Still lands in its slot, which moved with the player
+  const [right, up, back] = WINGMAN_CONFIG.ESCORT_SLOTS[escort.slotIndex];
+  escort.shipPosition.forEach((value, i) => {
+    assert.ok(Math.abs(value - [right, up, playerPosition[2] + back][i]) < 1e-6);
+  });
+});
+
+// The player rolled 90 degrees to the right: their up is world +X and their
+// right world -Y, so [x, y, z] in the level frame lands at [y, -x, z]
+const roll = ([x, y, z]) => [y, -x, z];
+
+function assertPositionsClose(actual, expected, label) {
+  assert.equal(actual.length, expected.length, label);
+  actual.forEach((position, i) => position.forEach((value, axis) => {
+    assert.ok(Math.abs(value - expected[i][axis]) < 1e-6, `${label} ${i}: ${position} vs ${expected[i]}`);
+  }));
+}
+
+// Ship positions of a special from trigger to idle, shot down `downAfter`
+// frames in when given
+function flySpecial(context, downAfter = null) {
+  const sim = createWingmanSimulation({ seed: 5 });
+  assert.equal(sim.trigger({ wingmanId: 'peppy' }, context), true);
+  const positions = [sim.getState().shipPosition];
+  const attackPosition = sim.getState().attackPosition;
+  for (let i = 0; i < 5000 && sim.getState().phase !== 'idle'; i++) {
+    if (i === downAfter) sim.damageWingman({ wingmanId: 'peppy', amount: 1000 }, context);
+    sim.step(FRAME, context);
+    positions.push(sim.getState().shipPosition);
+  }
+  return { positions, attackPosition };
+}
+
+test('a rolled player frame rolls the approach, attack, escape and fall with it', () => {
+  const level = createContext();
+  const rolled = {
+    ...createContext(ENEMIES.map(enemy => ({ ...enemy, position: roll(enemy.position) }))),
+    playerUp: [1, 0, 0],
+  };
+
+  const flown = flySpecial(level);
+  const flownRolled = flySpecial(rolled);
+  assertPositionsClose([flownRolled.attackPosition], [roll(flown.attackPosition)], 'attack position');
+  assertPositionsClose(flownRolled.positions, flown.positions.map(roll), 'special');
+
+  const downed = flySpecial(level, 60);
+  const downedRolled = flySpecial(rolled, 60);
+  assertPositionsClose(downedRolled.positions, downed.positions.map(roll), 'fall');
+  // Falls toward the player's down, not the world's
+  const [start, end] = [downedRolled.positions[61], downedRolled.positions[downedRolled.positions.length - 1]];
+  assert.ok(end[0] < start[0] - 30);
+
+  // An escort spawns the right way up
+  const sim = createWingmanSimulation({ seed: 1 });
+  sim.startEscort({ wingmanId: 'falco' }, { ...rolled, enemies: [] });
+  const up = new Vector3(0, 1, 0).applyEuler(new Euler(...sim.getState().escorts[0].shipRotation));
+  assert.ok(up.distanceTo(new Vector3(1, 0, 0)) < 1e-6);
+});
+
+test('serialize and hydrate round-trip mid-special', () => {
+  const { state } = run({ seed: 11, wingmanId: 'krystal', frames: 150 });
+  assert.notEqual(state.phase, 'idle');
+
+  const snapshot = serializeWingmanState(state);
+  assert.deepEqual(hydrateWingmanState(snapshot), state);
+  assert.deepEqual(hydrateWingmanState(JSON.stringify(snapshot)), state);
+
+  // A hydrated copy carries on exactly like the original
+  const context = createContext();
+  const original = createWingmanSimulation({ state });
+  const restored = createWingmanSimulation({ state: hydrateWingmanState(JSON.stringify(snapshot)) });
+  for (let i = 0; i < 300; i++) {
+    original.step(FRAME, context);
+    restored.step(FRAME, context);
+  }
+  assert.deepEqual(restored.getState(), original.getState());
+});
+
+test('hydrate rejects snapshots from a newer format', () => {
+  const snapshot = serializeWingmanState(createWingmanState());
+  assert.throws(() => hydrateWingmanState({ ...snapshot, version: snapshot.version + 1 }), /unsupported snapshot/);
+  assert.throws(() => hydrateWingmanState({}), /unsupported snapshot/);
+});
+
+// ============================================================================
+// DAMAGE MODEL
+// ============================================================================
+// Triggers `wingmanId` and runs the special to the end, returning its events
+function runSpecial(wingmanId, context, seed = 1) {
+  const sim = createWingmanSimulation({ seed });
+  const events = [];
+  sim.subscribe(event => events.push(event));
+  assert.equal(sim.trigger({ wingmanId }, context), true);
+  runToIdle(sim, context);
+  return { sim, events };
+}
+
+const damageTo = (events, enemyId) => events.filter(event => event.type === 'damage' && event.enemyId === enemyId);
+
+test('armor is subtracted per hit and immune enemies take nothing', () => {
+  assert.equal(computeHitDamage({ armor: 5 }, 20), 15);
+  assert.equal(computeHitDamage({ armor: 30 }, 20), 0);
+  assert.equal(computeHitDamage({ immune: true, armor: 0 }, 1000), 0);
+  assert.equal(computeHitDamage({}, 20), 20);
+  assert.equal(computeHitDamage(undefined, 20), 0);
+
+  const { roundDamage } = WINGMAN_CONFIG.WINGMAN_DAMAGE[0];
+  const { sim, events } = runSpecial('falco', createContext([
+    { id: 'tank', position: [2, 0, -30], health: 1000, armor: 5 },
+    { id: 'shield', position: [-2, 0, -30], immune: true },
+    { id: 'plain', position: [0, 0, -40] },
+  ]));
+
+  const tankHits = damageTo(events, 'tank');
+  assert.ok(tankHits.length > 1);
+  tankHits.forEach(hit => assert.equal(hit.amount, roundDamage - 5));
+  assert.equal(sim.getState().health.tank, 1000 - tankHits.length * (roundDamage - 5));
+  assert.deepEqual(damageTo(events, 'shield'), []);
+  assert.deepEqual(damageTo(events, 'plain').length, 1);
+
+  const destroyed = events.filter(event => event.type === 'destroyed').flatMap(event => event.enemyIds);
+  assert.deepEqual(destroyed, ['plain']);
+});
+
+test('armor that soaks a whole hit leaves the enemy untouched', () => {
+  const { sim, events } = runSpecial('falco', createContext([
+    { id: 'wall', position: [0, 0, -30], health: 50, armor: 1000 },
+  ]));
+  assert.deepEqual(damageTo(events, 'wall'), []);
+  assert.equal(sim.getState().health.wall, undefined);
+});
+
+test('missile splash spares excluded and immune enemies', () => {
+  const { splashDamage } = WINGMAN_CONFIG.WINGMAN_DAMAGE[3];
+  const context = {
+    ...createContext([
+      { id: 'target', position: [0, 0, -30], health: 500 },
+      { id: 'nearby', position: [2, 0, -30], health: 500 },
+      { id: 'hostage', position: [-2, 0, -30], untargetable: true },
+      { id: 'shielded', position: [0, 2, -30], immune: true },
+      { id: 'far', position: [30, 0, -30], health: 500 },
+    ]),
+    targeting: { exclude: 'untargetable', maxTargets: 1, priority: enemy => (enemy.id === 'target' ? 1 : 0) },
+  };
+  const { events } = runSpecial('krystal', context);
+
+  assert.ok(damageTo(events, 'target').some(hit => hit.source === 'missile'));
+  assert.deepEqual(damageTo(events, 'nearby').map(hit => [hit.source, hit.amount]), [['splash', splashDamage]]);
+  assert.deepEqual(damageTo(events, 'hostage'), []);
+  assert.deepEqual(damageTo(events, 'shielded'), []);
+  assert.deepEqual(damageTo(events, 'far'), []);
+});
+
+// ============================================================================
+// LOST TARGETS
+// ============================================================================
+// Steps until `predicate(state)` holds
+function stepUntil(sim, context, predicate, maxFrames = 2000) {
+  for (let i = 0; i < maxFrames; i++) {
+    if (predicate(sim.getState())) return;
+    sim.step(FRAME, context);
+  }
+  throw new Error('stepUntil: condition never met');
+}
+
+// Krystal fires one missile at 'prey'; it despawns while the missile flies
+function runLostMissile(lostTargetBehavior) {
+  const enemies = [
+    { id: 'prey', position: [0, 0, -30] },
+    { id: 'hostage', position: [1, 0, -31], untargetable: true },
+    { id: 'near', position: [3, 0, -32] },
+    { id: 'far', position: [-20, 0, -60] },
+  ];
+  const context = {
+    ...createContext(enemies),
+    lostTargetBehavior,
+    targeting: { exclude: 'untargetable', maxTargets: 1, priority: enemy => (enemy.id === 'prey' ? 1 : 0) },
+  };
+  const sim = createWingmanSimulation({ seed: 1 });
+  const events = [];
+  sim.subscribe(event => events.push(event));
+  sim.trigger({ wingmanId: 'krystal' }, context);
+  stepUntil(sim, context, state => state.effects.some(effect => effect.stage === 'flight'));
+
+  const remaining = { ...context, enemies: enemies.filter(enemy => enemy.id !== 'prey') };
+  runToIdle(sim, remaining);
+  return events;
+}
+
+test('an effect whose target despawns retargets the nearest enemy it may attack', () => {
+  const events = runLostMissile('retarget');
+  const hits = events.filter(event => event.type === 'damage');
+  // 'hostage' is nearer but excluded, and stays out of the splash too
+  assert.deepEqual(hits.map(hit => [hit.enemyId, hit.source]), [['near', 'missile']]);
+  const destroyed = events.filter(event => event.type === 'destroyed').flatMap(event => event.enemyIds);
+  assert.deepEqual(destroyed, ['near']);
+});
+
+test('with lostTargetBehavior fizzle an orphaned effect deals no damage', () => {
+  const events = runLostMissile('fizzle');
+  assert.deepEqual(events.filter(event => event.type === 'damage'), []);
+  assert.ok(events.some(event => event.type === 'audio' && event.cue === 'missile-impact'));
+  assert.deepEqual(events.filter(event => event.type === 'destroyed').flatMap(event => event.enemyIds), []);
+});
+
+test('the lightning chain re-routes around an enemy that despawns', () => {
+  const enemies = [
+    { id: 'a', position: [0, 0, -30] },
+    { id: 'b', position: [2, 0, -35] },
+    { id: 'c', position: [4, 0, -40] },
+  ];
+  const context = createContext(enemies);
+  const sim = createWingmanSimulation({ seed: 1 });
+  const events = [];
+  sim.subscribe(event => events.push(event));
+  sim.trigger({ wingmanId: 'peppy' }, context);
+  stepUntil(sim, context, state => state.effects.some(effect => effect.stage === 'chain'));
+
+  runToIdle(sim, { ...context, enemies: enemies.filter(enemy => enemy.id !== 'b') });
+  const kills = events.filter(event => event.type === 'kill');
+  const { id } = kills[0].chain;
+  assert.deepEqual(kills.map(kill => [kill.enemyId, kill.chain]), [
+    ['a', { id, hop: 0, length: 2 }],
+    ['c', { id, hop: 1, length: 2 }],
+  ]);
+});
+
+// ============================================================================
+// TARGETING
+// ============================================================================
+const FIELD = [
+  { id: 'near', position: [0, 0, -10] },
+  { id: 'mid', position: [3, 0, -50] },
+  { id: 'far', position: [0, 0, -200] },
+  { id: 'behind', position: [0, 0, 20] },
+  { id: 'flagged', position: [0, 1, -15], untargetable: true },
+];
+
+const targetsFor = (targeting, wingman = null, from = [0, 0, 0]) => (
+  selectTargets({ ...createContext(FIELD), targeting }, wingman, from)
+);
+
+test('without a policy every enemy is a target, nearest first', () => {
+  assert.deepEqual(targetsFor(undefined), ['near', 'flagged', 'behind', 'mid', 'far']);
+});
+
+test('range, cone and exclusions drop enemies', () => {
+  assert.deepEqual(targetsFor({ maxRange: 100 }), ['near', 'flagged', 'behind', 'mid']);
+  assert.deepEqual(targetsFor({ coneAngle: Math.PI / 4 }), ['near', 'flagged', 'mid', 'far']);
+  assert.deepEqual(targetsFor({ exclude: 'untargetable' }), ['near', 'behind', 'mid', 'far']);
+  assert.deepEqual(targetsFor({ exclude: enemy => enemy.position[2] > 0 }), ['near', 'flagged', 'mid', 'far']);
+  assert.deepEqual(
+    targetsFor({ maxRange: 100, coneAngle: Math.PI / 4, exclude: 'untargetable' }),
+    ['near', 'mid'],
+  );
+});
+
+test('priority orders targets and the policy and wingman caps both apply', () => {
+  const priority = enemy => (enemy.id === 'far' ? 2 : enemy.id === 'mid' ? 1 : 0);
+  assert.deepEqual(targetsFor({ priority }), ['far', 'mid', 'near', 'flagged', 'behind']);
+  assert.deepEqual(targetsFor({ priority, maxTargets: 3 }), ['far', 'mid', 'near']);
+  assert.deepEqual(targetsFor({ priority, maxTargets: 3 }, { maxTargets: 2 }), ['far', 'mid']);
+  assert.deepEqual(targetsFor({ maxTargets: 4 }, { maxTargets: 6 }).length, 4);
+});
+
+test('occluded enemies are skipped, checked from the firing position', () => {
+  const calls = [];
+  const isOccluded = (from, to, enemy) => {
+    calls.push({ from: from.toArray(), to: to.toArray(), enemyId: enemy.id });
+    return to.z < -100;
+  };
+  assert.deepEqual(targetsFor({ isOccluded, exclude: 'untargetable' }, null, [5, 2, 0]), ['near', 'behind', 'mid']);
+
+  // Excluded enemies never reach the (expensive) occlusion check
+  assert.deepEqual(calls.map(call => call.enemyId), ['near', 'mid', 'far', 'behind']);
+  calls.forEach(call => assert.deepEqual(call.from, [5, 2, 0]));
+  assert.deepEqual(calls[0].to, [0, 0, -10]);
+});
+
+test('a special only locks the enemies its targeting allows', () => {
+  const context = { ...createContext(FIELD), targeting: { maxRange: 100, coneAngle: Math.PI / 4, exclude: 'untargetable' } };
+  const sim = createWingmanSimulation({ seed: 1 });
+  const targeted = [];
+  sim.subscribe((event) => {
+    if (event.type === 'targeted') targeted.push(event.enemyIds);
+  });
+  sim.trigger({ wingmanId: 'falco' }, context);
+  assert.deepEqual(targeted, [['near', 'mid']]);
+
+  // Nothing targetable: the trigger is refused
+  const empty = createWingmanSimulation({ seed: 1 });
+  assert.equal(empty.trigger({ wingmanId: 'falco' }, { ...context, targeting: { maxRange: 1 } }), false);
+});
+
+// ============================================================================
+// WINGMAN HEALTH AND RESCUE
+// ============================================================================
+// Falco flying escort with a pursuer its guns can't hurt, recording every
+// event
+function createEscort(config) {
+  const enemies = [{ id: 'bandit', position: [0, 0, -30], immune: true }];
+  const context = { ...createContext(enemies), config: config && { ...WINGMAN_CONFIG, ...config } };
+  const sim = createWingmanSimulation({ seed: 1 });
+  const events = [];
+  sim.subscribe(event => events.push(event));
+  assert.equal(sim.startEscort({ wingmanId: 'falco' }, context), true);
+  return { sim, events, context };
+}
+
+const rescues = events => events.filter(event => event.type === 'rescue').map(event => event.outcome);
+
+test('a hurt wingman calls for help and thanks the player for the rescue', () => {
+  const { sim, events, context } = createEscort();
+  const threshold = WINGMAN_CONFIG.WINGMAN_HEALTH * WINGMAN_CONFIG.RESCUE_HEALTH;
+
+  // Above the threshold: just damage
+  assert.equal(sim.damageWingman({ wingmanId: 'falco', amount: 10, sourceId: 'bandit' }, context), true);
+  assert.deepEqual(rescues(events), []);
+
+  sim.damageWingman({ wingmanId: 'falco', amount: WINGMAN_CONFIG.WINGMAN_HEALTH - 10 - threshold, sourceId: 'bandit' }, context);
+  assert.deepEqual(rescues(events), ['request']);
+  assert.equal(sim.getState().allies.falco.pursuerId, 'bandit');
+
+  // The player shoots the pursuer down: it leaves `enemies`
+  sim.step(FRAME, { ...context, enemies: context.enemies.filter(enemy => enemy.id !== 'bandit') });
+  assert.deepEqual(rescues(events), ['request', 'saved']);
+  assert.equal(events.find(event => event.outcome === 'saved').byWingman, false);
+  assert.ok(events.some(event => event.type === 'voice' && event.moment === 'thanks'));
+  assert.equal(sim.getState().allies.falco.pursuerId, null);
+});
+
+test('an unanswered call for help expires after RESCUE_TIMEOUT', () => {
+  const { sim, events, context } = createEscort();
+  sim.damageWingman({ wingmanId: 'falco', amount: 60, sourceId: 'bandit' }, context);
+  for (let time = 0; time < WINGMAN_CONFIG.RESCUE_TIMEOUT - FRAME; time += FRAME) sim.step(FRAME, context);
+  assert.deepEqual(rescues(events), ['request']);
+  sim.step(FRAME * 2, context);
+  assert.deepEqual(rescues(events), ['request', 'expired']);
+});
+
+test('a wingman shot down spirals out, sits out DOWNED_DURATION and comes back', () => {
+  const { sim, events, context } = createEscort({ DOWNED_DURATION: 5000 });
+  sim.damageWingman({ wingmanId: 'falco', amount: 60, sourceId: 'bandit' }, context);
+  sim.damageWingman({ wingmanId: 'falco', amount: 60, sourceId: 'bandit' }, context);
+
+  // The pending rescue fails with the ship
+  assert.deepEqual(rescues(events), ['request', 'failed']);
+  const downed = events.find(event => event.type === 'downed');
+  assert.deepEqual(downed, { type: 'downed', wingmanId: 'falco', recoverIn: 5000 });
+  assert.equal(sim.getState().escorts[0].phase, 'downed');
+  assert.equal(sim.getState().allies.falco.health, 0);
+
+  // Unavailable while down: no more hits, no special
+  assert.equal(sim.damageWingman({ wingmanId: 'falco', amount: 10 }, context), false);
+  for (let i = 0; i < 180; i++) sim.step(FRAME, context);
+  assert.equal(sim.getState().escorts.length, 0);
+  assert.equal(sim.trigger({ wingmanId: 'falco' }, context), false);
+  assert.equal(sim.trigger({ wingmanId: 'slippy' }, context), true);
+
+  for (let time = 180 * FRAME; time < 5000; time += FRAME) sim.step(FRAME, context);
+  assert.ok(events.some(event => event.type === 'recovered' && event.wingmanId === 'falco'));
+  assert.equal(sim.getState().allies.falco.health, WINGMAN_CONFIG.WINGMAN_HEALTH);
+});
+
+test('the rescue threshold and downed time come from the context config', () => {
+  const { sim, events, context } = createEscort({ RESCUE_HEALTH: 0.9, DOWNED_DURATION: null });
+  sim.damageWingman({ wingmanId: 'falco', amount: 15, sourceId: 'bandit' }, context);
+  assert.deepEqual(rescues(events), ['request']);
+
+  sim.damageWingman({ wingmanId: 'falco', amount: 100 }, context);
+  for (let i = 0; i < 3000; i++) sim.step(FRAME, context);
+  assert.equal(sim.getState().allies.falco.downed, true);
+  assert.ok(!events.some(event => event.type === 'recovered'));
+
+  // Out for the rest of the level, until the game restores it
+  sim.restoreWingman({ wingmanId: 'falco' });
+  assert.ok(events.some(event => event.type === 'recovered'));
+  assert.equal(sim.getState().allies.falco, undefined);
+});
+
+test('a wingman that is not flying cannot be hit', () => {
+  const sim = createWingmanSimulation({ seed: 1 });
+  const context = createContext();
+  assert.equal(sim.damageWingman({ wingmanId: 'falco', amount: 10 }, context), false);
+  assert.equal(sim.damageWingman({ wingmanId: 'nobody', amount: 10 }, context), false);
+  assert.deepEqual(sim.getState().allies, {});
+});
+
+test('the Team Special ship going down ends the special through the downed phase', () => {
+  const sim = createWingmanSimulation({ seed: 1 });
+  const context = createContext();
+  const phases = [];
+  sim.subscribe((event) => {
+    if (event.type === 'phase') phases.push(event.phase);
+  });
+  sim.trigger({ wingmanId: 'peppy' }, context);
+  sim.step(FRAME, context);
+  assert.equal(sim.damageWingman({ wingmanId: 'peppy', amount: 1000 }, context), true);
+  runToIdle(sim, context);
+  assert.deepEqual(phases, ['approach', 'downed', 'idle']);
+});
+
+// ============================================================================
+// COMBO TEAM SPECIAL
+// ============================================================================
+// Lanes sit COMBO_LANE_SPACING apart around the attack point, to the player's
+// right; enemies well to either side belong to the nearer lane
+const laneTargets = (sim) => Object.fromEntries(
+  sim.getState().combo.members.map(member => [member.wingmanId, member.targetIds])
+);
+
+test('combo targets go to the nearest lane', () => {
+  const sim = createWingmanSimulation({ seed: 1 });
+  const context = createContext([
+    { id: 'left-1', position: [-20, 0, -30] },
+    { id: 'right-1', position: [30, 0, -32] },
+    { id: 'left-2', position: [-25, 0, -40] },
+    { id: 'right-2', position: [35, 0, -45] },
+  ]);
+  assert.equal(sim.triggerCombo({ wingmanIds: ['falco', 'slippy'] }, context), true);
+  assert.deepEqual(laneTargets(sim), { falco: ['left-1', 'left-2'], slippy: ['right-1', 'right-2'] });
+
+  // Every target is locked by the member whose lane took it
+  const locks = sim.getState().locks.map(lock => [lock.enemyId, lock.wingmanId]);
+  assert.deepEqual(locks, [['left-1', 'falco'], ['left-2', 'falco'], ['right-1', 'slippy'], ['right-2', 'slippy']]);
+});
+
+test('an empty lane takes a target from the busiest one', () => {
+  const sim = createWingmanSimulation({ seed: 1 });
+  const context = createContext([
+    { id: 'a', position: [-20, 0, -30] },
+    { id: 'b', position: [-22, 0, -35] },
+    { id: 'c', position: [-24, 0, -40] },
+  ]);
+  sim.triggerCombo({ wingmanIds: ['falco', 'slippy', 'peppy'] }, context);
+  const lanes = laneTargets(sim);
+  assert.deepEqual(Object.values(lanes).map(ids => ids.length), [1, 1, 1]);
+  assert.deepEqual(Object.values(lanes).flat().sort(), ['a', 'b', 'c']);
+
+  // A lone target can't be shared
+  const single = createWingmanSimulation({ seed: 1 });
+  single.triggerCombo({ wingmanIds: ['falco', 'slippy'] }, createContext([{ id: 'a', position: [-20, 0, -30] }]));
+  assert.deepEqual(laneTargets(single), { falco: ['a'], slippy: [] });
+});
+
+test('members\' maxTargets cap the pick and overflow to the other lane', () => {
+  const wingmen = DEFAULT_WINGMEN.map(wingman => ({ ...wingman, maxTargets: 1 }));
+  const sim = createWingmanSimulation({ seed: 1 });
+  const context = {
+    ...createContext([
+      { id: 'left-1', position: [-20, 0, -30] },
+      { id: 'left-2', position: [-21, 0, -31] },
+      { id: 'left-3', position: [-22, 0, -32] },
+    ]),
+    wingmen,
+  };
+  sim.triggerCombo({ wingmanIds: ['falco', 'slippy'] }, context);
+  assert.deepEqual(laneTargets(sim), { falco: ['left-1'], slippy: ['left-2'] });
+});
+
+test('combo members open fire at their own delays into the attack', () => {
+  const sim = createWingmanSimulation({ seed: 1 });
+  const context = createContext();
+  let attackAt = null;
+  sim.subscribe((event) => {
+    if (event.type === 'combo' && event.phase === 'attack') attackAt = sim.getState().time;
+  });
+  sim.triggerCombo({ wingmanIds: ['peppy', 'krystal'] }, context);
+
+  const firstFire = {};
+  for (let i = 0; i < 2000 && Object.keys(firstFire).length < 2; i++) {
+    sim.step(FRAME, context);
+    sim.getState().effects.forEach((effect) => {
+      if (!(effect.wingmanId in firstFire)) firstFire[effect.wingmanId] = sim.getState().time;
+    });
+  }
+  assert.ok(attackAt != null);
+  const { krystal, peppy } = WINGMAN_CONFIG.COMBO_DELAYS;
+  assert.ok(Math.abs(firstFire.krystal - attackAt - krystal) <= FRAME);
+  assert.ok(Math.abs(firstFire.peppy - attackAt - peppy) <= FRAME);
+});
+
+test('a combo needs two free wingmen and has its own cooldown', () => {
+  const sim = createWingmanSimulation({ seed: 1 });
+  const context = createContext();
+  assert.equal(sim.triggerCombo({ wingmanIds: ['falco'] }, context), false);
+  assert.equal(sim.triggerCombo({ wingmanIds: ['falco', 'ghost'] }, context), false);
+
+  const phases = [];
+  sim.subscribe((event) => {
+    if (event.type === 'combo') phases.push(event.phase);
+  });
+  assert.equal(sim.triggerCombo({ wingmanIds: ['falco', 'slippy'] }, context), true);
+  assert.equal(sim.trigger({ wingmanId: 'peppy' }, context), false);
+  for (let i = 0; i < 3000 && sim.getState().combo; i++) sim.step(FRAME, context);
+  assert.deepEqual(phases, ['approach', 'attack', 'escape', 'idle']);
+
+  const { comboCooldown } = sim.getState();
+  assert.ok(comboCooldown > 0 && comboCooldown <= WINGMAN_CONFIG.COMBO_COOLDOWN);
+  assert.equal(sim.triggerCombo({ wingmanIds: ['falco', 'slippy'] }, context), false);
+});
+
+// ============================================================================
+// ACTIVATION RULES
+// ============================================================================
+const METER = { cooldown: false, meter: true, meterMax: 100, maxCharges: 2, cost: 1, comboCost: 2 };
+
+test('the meter turns into charges up to maxCharges', () => {
+  const sim = createWingmanSimulation({ seed: 1 });
+  const context = { ...createContext(), activation: METER };
+  const charges = [];
+  sim.subscribe((event) => {
+    if (event.type === 'charge') charges.push([event.meter, event.charges]);
+  });
+
+  assert.equal(sim.addCharge({ amount: 150 }, context), true);
+  assert.equal(sim.addCharge({ amount: 30 }, context), true);
+  assert.equal(sim.addCharge({ amount: 500 }, context), true);
+  assert.deepEqual(charges, [[50, 1], [80, 1], [0, 2]]);
+  assert.equal(sim.addCharge({ amount: -10 }, context), false);
+
+  // Without a meter the game's charge calls are ignored
+  const plain = createWingmanSimulation({ seed: 1 });
+  assert.equal(plain.addCharge({ amount: 100 }, createContext()), false);
+  assert.equal(plain.getState().charges, 0);
+});
+
+test('specials and combos spend charges and are refused without them', () => {
+  const sim = createWingmanSimulation({ seed: 1 });
+  const context = { ...createContext(), activation: METER };
+  assert.equal(sim.trigger({ wingmanId: 'falco' }, context), false);
+
+  sim.addCharge({ amount: 100 }, context);
+  assert.equal(sim.triggerCombo({ wingmanIds: ['falco', 'slippy'] }, context), false);
+  assert.equal(sim.trigger({ wingmanId: 'falco' }, context), true);
+  assert.equal(sim.getState().charges, 0);
+
+  // A cancelled special gives its charge back
+  sim.cancel();
+  assert.equal(sim.getState().charges, 1);
+
+  // No cooldown with these rules: charges are the only gate
+  sim.addCharge({ amount: 100 }, context);
+  assert.equal(sim.triggerCombo({ wingmanIds: ['falco', 'slippy'] }, context), true);
+  assert.equal(sim.getState().charges, 0);
+  for (let i = 0; i < 3000 && sim.getState().combo; i++) sim.step(FRAME, context);
+  assert.equal(sim.getState().comboCooldown, 0);
+});
+
+test('passiveCharge fills the meter over game time', () => {
+  const sim = createWingmanSimulation({ seed: 1 });
+  const context = { ...createContext(), activation: { ...METER, passiveCharge: 50 } };
+  // 2.5 s at 50 per second: one charge and a quarter of the next
+  for (let i = 0; i < 150; i++) sim.step(FRAME, context);
+  assert.equal(sim.getState().charges, 1);
+  assert.ok(Math.abs(sim.getState().meter - 25) < 1e-6);
+
+  const status = getActivationStatus(sim.getState(), context);
+  assert.deepEqual(status.meter, { value: sim.getState().meter, max: 100, charges: 1, maxCharges: 2, cost: 1, comboCost: 2 });
+  assert.equal(status.usesCooldown, false);
+});
+
+test('per-wingman cooldowns block only the wingman that flew', () => {
+  const sim = createWingmanSimulation({ seed: 1 });
+  const wingmen = DEFAULT_WINGMEN.map(wingman => (wingman.id === 'falco' ? { ...wingman, cooldown: 10000 } : wingman));
+  const context = {
+    ...createContext(),
+    wingmen,
+    activation: { perWingman: true, cooldownScale: wingmanId => (wingmanId === 'falco' ? 0.5 : 1) },
+  };
+  sim.trigger({ wingmanId: 'falco' }, context);
+  runToIdle(sim, context);
+
+  assert.equal(sim.getState().cooldown, 0);
+  const falco = sim.getState().wingmanCooldowns.falco;
+  assert.equal(falco.maxCooldown, 5000);
+  assert.ok(falco.cooldown > 0);
+  assert.equal(sim.trigger({ wingmanId: 'falco' }, context), false);
+  assert.equal(sim.triggerCombo({ wingmanIds: ['slippy', 'falco'] }, context), false);
+
+  sim.reduceCooldown({ amount: 1000, wingmanId: 'falco' }, context);
+  assert.equal(sim.getState().wingmanCooldowns.falco.cooldown, falco.cooldown - 1000);
+  assert.deepEqual(getActivationStatus(sim.getState(), context).wingmanCooldowns, sim.getState().wingmanCooldowns);
+
+  assert.equal(sim.trigger({ wingmanId: 'slippy' }, context), true);
+});